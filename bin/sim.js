@@ -53,12 +53,11 @@ var ALLOC_CHAIN = [
 	        'hard-filter-min-ram',
 	        'hard-filter-min-cpu',
 //	        'hard-filter-min-disk',
+	        'calculate-affinity',
 	        'hard-filter-locality-hints',
 	        'hard-filter-owners-servers',
-	       ['or', 'hard-filter-reservoir',
-	              'identity'],
-	       ['or', 'hard-filter-large-servers',
-	              'identity'],
+	       ['try', 'hard-filter-reservoir'],
+	       ['try', 'hard-filter-large-servers'],
 	        'soft-filter-locality-hints',
 	        'score-unreserved-ram',
 	        'score-unreserved-disk',
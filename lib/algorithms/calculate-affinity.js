@@ -121,5 +121,6 @@ convertAffinityToLocality(servers, opts, cb)
 
 module.exports = {
 	name: 'Convert affinity to locality hints',
+	provides: ['opts.vm.locality'],
 	run: convertAffinityToLocality
 };
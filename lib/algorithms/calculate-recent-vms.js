@@ -0,0 +1,91 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Adds VMs which this allocator recently placed, if those VMs have not yet
+ * appeared in the CNAPI input being fed to DAPI.
+ *
+ * Several allocations in quick succession can otherwise all see the same free
+ * space on a server, since it takes a while for a new VM to show up in CNAPI,
+ * and so all pick that server. The allocator keeps a record of the VMs it has
+ * placed (see lib/recent-vms.js), which it passes in opts.recentVms. This
+ * plugin adds each of those VMs to its server, the same way as
+ * calculate-ticketed-vms does for tickets, and forgets about a VM once it
+ * appears on its server. Records are also forgotten after the recent_vm_ttl
+ * default (in seconds) passes.
+ *
+ * This plugin should come after load-server-vms, but before
+ * calculate-ticketed-vms and calculate-server-unreserved.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var RecentVms = require('../recent-vms');
+var reservations = require('../reservations');
+
+
+function
+addRecentVms(servers, opts, cb)
+{
+	assert.arrayOfObject(servers, 'servers');
+	assert.object(opts, 'opts');
+	assert.object(opts.defaults, 'opts.defaults');
+	assert.optionalObject(opts.recentVms, 'opts.recentVms');
+	assert.func(cb, 'cb');
+
+	var reasons = {};
+
+	if (!opts.recentVms) {
+		reasons.skip = 'No record of recent VMs';
+		return (cb(null, servers, reasons));
+	}
+
+	var ttl = +opts.defaults.recent_vm_ttl || RecentVms.DEFAULT_TTL;
+	var serverLookup = {};
+	var numAdded = {};
+
+	servers.forEach(function (server) {
+		serverLookup[server.uuid] = server;
+	});
+
+	opts.recentVms.list(ttl).forEach(function (entry) {
+		var server = serverLookup[entry.server_uuid];
+		var vmUuid = entry.vm.uuid;
+
+		if (!server)
+			return;
+
+		if (!server.vms)
+			server.vms = {};
+
+		// CNAPI knows about the VM now, so we don't need to
+		if (server.vms[vmUuid]) {
+			opts.recentVms.remove(vmUuid);
+			return;
+		}
+
+		reservations.addVm(server, jsprim.deepCopy(entry.vm));
+
+		numAdded[server.uuid] = (numAdded[server.uuid] || 0) + 1;
+	});
+
+	Object.keys(numAdded).forEach(function (serverUuid) {
+		reasons[serverUuid] = numAdded[serverUuid] +
+		    ' recently allocated VMs added';
+	});
+
+	return (cb(null, servers, reasons));
+}
+
+module.exports = {
+	name: 'Add VMs which were recently allocated',
+	requires: ['server.vms'],
+	run: addRecentVms
+};
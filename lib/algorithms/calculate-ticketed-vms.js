@@ -21,9 +21,7 @@
  */
 
 var assert = require('assert-plus');
-
-
-var GiB = 1024 * 1024 * 1024;
+var reservations = require('../reservations');
 
 
 function
@@ -56,28 +54,8 @@ addTicketedVms(servers, opts, cb)
 			if (vms[ticket.id])
 				continue;
 
-			var vm = createVm(ticket);
-			vms[ticket.id] = vm;
-
-			server.disk_zone_quota_bytes += vm.quota * GiB;
-
-			if (vm.brand === 'kvm') {
-				server.disk_kvm_zvol_volsize_bytes +=
-					vm.zvol_quota * GiB;
-
-				delete vm.zvol_quota;
-			} else if (vm.brand === 'bhyve') {
-				// When a bhyve VM is provisioned, vmadm will
-				// add the zvol size to the quota. Since here
-				// we're dealing with VMs that have not yet
-				// been provisioned, we have to add that
-				// ourselves.
-				server.disk_zone_quota_bytes +=
-					vm.zvol_quota * GiB;
-				vm.quota += vm.zvol_quota;
-
-				delete vm.zvol_quota;
-			}
+			reservations.addVm(server,
+			    reservations.createVm(ticket.id, ticket.extra));
 		}
 
 		return (true);
@@ -104,48 +82,8 @@ findOpenTickets(tickets)
 	return (serverTickets);
 }
 
-function
-createVm(ticket)
-{
-	var meta = ticket.extra;
-
-	var vm = {
-		uuid: ticket.id,
-		owner_uuid: meta.owner_uuid,
-		max_physical_memory: meta.max_physical_memory,
-		cpu_cap: meta.cpu_cap,
-		quota: meta.quota,
-		brand: meta.brand,
-		zone_state: 'running',
-		state: 'running'
-	};
-
-	if (['bhyve', 'kvm'].indexOf(vm.brand) !== -1) {
-		if (vm.brand === 'kvm') {
-			vm.max_physical_memory += 1024;
-		} else if (vm.brand === 'bhyve') {
-			// value should match BHYVE_MEM_OVERHEAD in
-			// smartos-live/src/vm/node_modules/proptable.js
-			vm.max_physical_memory += (1024 + 256);
-		}
-		vm.zvol_quota = 0;
-
-		if (meta.disks) {
-			var zvolQuota = 0;
-
-			meta.disks.forEach(function (disk) {
-				zvolQuota += disk.size || 0;
-			});
-
-			// convert from MiB to GiB
-			vm.zvol_quota = Math.ceil(zvolQuota / 1024);
-		}
-	}
-
-	return (vm);
-}
-
 module.exports = {
 	name: 'Add VMs which have open provisioning tickets',
+	requires: ['server.vms'],
 	run: addTicketedVms
 };
@@ -33,6 +33,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-capness');
 
 function
 filterCapness(servers, opts, cb)
@@ -73,7 +74,11 @@ addReason(reasons, serverUuid, serverVm, pkgCapness)
 		' cpu_cap, while the package ' +
 		(pkgCapness ? 'does' : 'does not');
 
-	reasons[serverUuid] = msg;
+	reasons[serverUuid] = createReason('CpuCapMismatch', msg, {
+		resource: 'cpu_cap',
+		requested: pkgCapness,
+		available: !!serverVm.cpu_cap
+	});
 }
 
 module.exports = {
@@ -31,6 +31,8 @@ var assert = require('assert-plus');
 
 var filterMinPlatforms =
 	require('./shared/platform-versions.js').filterMinPlatforms;
+var createReason =
+	require('../reasons').factory('hard-filter-feature-min-platform');
 
 var VERSION_RE = /^\d+\.\d+$/;
 
@@ -48,7 +50,7 @@ function filterFeatureMinPlatform(servers, opts, cb) {
 	if (opts.vm.docker && dkrMinPlatform) {
 		var dkrMinPlatforms = { '7.0': dkrMinPlatform };
 		servers = filterMinPlatforms(dkrMinPlatforms,
-			servers, 'Docker support', reasons);
+			servers, 'Docker support', reasons, createReason);
 	}
 
 	var dkrVolAutomountMinPlatform =
@@ -60,7 +62,7 @@ function filterFeatureMinPlatform(servers, opts, cb) {
 		servers =
 			filterMinPlatforms(dkrVolAutomountMinPlatforms,
 				servers, 'Docker volume automount support',
-				reasons);
+				reasons, createReason);
 	}
 
 	var nonDkrVolAutomountMinPlatform =
@@ -74,7 +76,7 @@ function filterFeatureMinPlatform(servers, opts, cb) {
 		servers =
 			filterMinPlatforms(nonDkrVolAutomountMinPlatforms,
 				servers, 'Non-docker volume automount support',
-				reasons);
+				reasons, createReason);
 	}
 
 	var flexibleDiskMinPlatform =
@@ -85,7 +87,7 @@ function filterFeatureMinPlatform(servers, opts, cb) {
 		servers =
 			filterMinPlatforms(flexibleDiskMinPlatforms,
 				servers, 'Flexible disk size support',
-				reasons);
+				reasons, createReason);
 	}
 
 	return (cb(null, servers, reasons));
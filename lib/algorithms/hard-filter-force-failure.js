@@ -20,6 +20,8 @@
  */
 
 var assert = require('assert-plus');
+var createReason =
+	require('../reasons').factory('hard-filter-force-failure');
 
 function
 filterForcedFailures(servers, opts, cb)
@@ -35,8 +37,9 @@ filterForcedFailures(servers, opts, cb)
 
 	if (metadata && metadata.force_designation_failure) {
 		for (idx = 0; idx < servers.length; idx++) {
-			reasons[servers[idx].uuid] =
-			    'force_designation_failure set, failing';
+			reasons[servers[idx].uuid] = createReason(
+			    'ForcedFailure',
+			    'force_designation_failure set, failing');
 		}
 		cb(null, [], reasons);
 		return;
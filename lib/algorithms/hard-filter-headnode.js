@@ -13,6 +13,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-headnode');
 
 function
 filterHeadnode(servers, opts, cb)
@@ -30,7 +31,12 @@ filterHeadnode(servers, opts, cb)
 	}
 
 	var adequateServers = servers.filter(function (server) {
-		return (!server.headnode);
+		if (!server.headnode)
+			return (true);
+
+		reasons[server.uuid] = createReason('Headnode',
+		    'Server is a headnode');
+		return (false);
 	});
 
 	return (cb(null, adequateServers, reasons));
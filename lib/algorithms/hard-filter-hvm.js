@@ -24,6 +24,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-hvm');
 
 var HVM_BRANDS = ['bhyve', 'kvm'];
 
@@ -80,8 +81,8 @@ function filterHVM(servers, opts, cb) {
 		}
 
 		if (newVmBrand === 'bhyve' && bhyveSupport !== true) {
-			reasons[server.uuid] =
-			    'Server does not support "bhyve" VMs';
+			reasons[server.uuid] = createReason('BhyveUnsupported',
+			    'Server does not support "bhyve" VMs');
 			return (false);
 		}
 
@@ -89,11 +90,16 @@ function filterHVM(servers, opts, cb) {
 		// vcpus
 		if (newVmBrand === 'bhyve') {
 			if (newVmVcpus < 1 || newVmVcpus > bhyveMaxVcpus) {
-				reasons[server.uuid] = 'bhyve VM ' +
-				    opts.vm.uuid +
+				var msg = 'bhyve VM ' + opts.vm.uuid +
 				    ' is requesting ' + newVmVcpus + ' vcpus ' +
 				    'whereas server supports 1 - ' +
 				    bhyveMaxVcpus + ' vcpus';
+				reasons[server.uuid] = createReason(
+				    'UnsupportedVcpus', msg, {
+					resource: 'vcpus',
+					requested: newVmVcpus,
+					available: bhyveMaxVcpus
+				});
 				return (false);
 			}
 		}
@@ -113,10 +119,15 @@ function filterHVM(servers, opts, cb) {
 			}
 
 			if (vm.brand !== newVmBrand) {
-				reasons[server.uuid] = 'VM ' + vm.uuid +
+				reasons[server.uuid] = createReason(
+				    'IncompatibleBrand', 'VM ' + vm.uuid +
 				    ' has brand ' + vm.brand + ' which ' +
 				    'is incompatible with new VMs using ' +
-				    'brand ' + newVmBrand;
+				    'brand ' + newVmBrand, {
+					resource: 'brand',
+					requested: newVmBrand,
+					available: vm.brand
+				});
 				return (false);
 			}
 		}
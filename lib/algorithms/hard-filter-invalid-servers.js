@@ -14,6 +14,8 @@
 
 var assert = require('assert-plus');
 var validations = require('../validations');
+var createReason =
+	require('../reasons').factory('hard-filter-invalid-servers');
 
 function
 filterInvalidServers(servers, opts, cb)
@@ -39,8 +41,10 @@ filterInvalidServers(servers, opts, cb)
 				log.warn('Skipping server in request:', msg);
 		}
 
-		if (msg)
-			reasons[server.uuid] = msg;
+		if (msg) {
+			reasons[server.uuid] = createReason('InvalidServer',
+				msg);
+		}
 
 		return (!msg);
 	});
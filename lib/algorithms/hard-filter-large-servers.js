@@ -17,6 +17,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-large-servers');
 
 /* by default, 15% of servers are kept for large allocations */
 var LARGE_POOL_RATIO = 0.15;
@@ -49,6 +50,15 @@ filterLargeServers(servers, opts, cb)
 
 	var pool = servers.slice(largePoolSize, servers.length);
 
+	servers.slice(0, largePoolSize).forEach(function (server) {
+		reasons[server.uuid] = createReason('KeptForLargeVms',
+		    'Server is among the ' + LARGE_POOL_RATIO * 100 + '% ' +
+		    'with the most unreserved RAM, kept for large VMs', {
+			resource: 'ram',
+			available: server.unreserved_ram
+		});
+	});
+
 	return (cb(null, pool, reasons));
 }
 
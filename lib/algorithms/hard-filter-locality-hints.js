@@ -20,6 +20,8 @@
 
 var assert = require('assert-plus');
 var shared = require('./shared/locality-hints');
+var createReason =
+	require('../reasons').factory('hard-filter-locality-hints');
 
 
 /**
@@ -60,7 +62,7 @@ filterHardLocality(servers, opts, cb)
 		// Process `far` first (far wins over near)
 		if (far.length > 0) {
 			servers = shared.filterFar(servers, reasons, far,
-				strict, ownerUuid);
+				strict, ownerUuid, createReason);
 		}
 
 		if (servers.length > 0 && near.length > 0) {
@@ -119,14 +121,22 @@ function filterNearStrict(servers, reasons, near, ownerUuid) {
 		if (exclude) {
 			filteredServers = [];
 		} else {
-			reasons[candidateServer.uuid] = 'include: inst=='
-				+ near.join(',');
+			reasons[candidateServer.uuid] = createReason(
+				'NearVmPresent', 'include: inst=='
+				+ near.join(','), {
+				resource: 'locality.near',
+				requested: near
+			});
 			filteredServers = [candidateServer];
 		}
 	}
 
 	if (filteredServers.length === 0) {
-		reasons['*'] = 'exclude: inst==' + near.join(',');
+		reasons['*'] = createReason('NearVmMissing',
+			'exclude: inst==' + near.join(','), {
+			resource: 'locality.near',
+			requested: near
+		});
 	}
 	servers = filteredServers;
 
@@ -136,5 +146,6 @@ function filterNearStrict(servers, reasons, near, ownerUuid) {
 
 module.exports = {
 	name: 'Servers with requested hard locality considered',
+	requires: ['opts.vm.locality'],
 	run: filterHardLocality
 };
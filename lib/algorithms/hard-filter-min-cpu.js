@@ -14,6 +14,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-min-cpu');
 
 function
 filterMinCpu(servers, opts, cb)
@@ -52,7 +53,12 @@ filterMinCpu(servers, opts, cb)
 			var msg = 'VM\'s calculated ' + requestedCpu +
 				' CPU is less than server\'s spare ' +
 				server.unreserved_cpu;
-			reasons[server.uuid] = msg;
+			reasons[server.uuid] = createReason('InsufficientCpu',
+				msg, {
+				resource: 'cpu',
+				requested: requestedCpu,
+				available: server.unreserved_cpu
+			});
 
 			return (false);
 		};
@@ -69,7 +75,11 @@ filterMinCpu(servers, opts, cb)
 
 			var msg = 'Package gave no CPU overprovision ' +
 				'ratio, but server has ratio ' + serverCpu;
-			reasons[server.uuid] = msg;
+			reasons[server.uuid] = createReason(
+				'MissingOverprovisionRatio', msg, {
+				resource: 'cpu',
+				available: serverCpu
+			});
 
 			return (false);
 		};
@@ -80,5 +90,6 @@ filterMinCpu(servers, opts, cb)
 
 module.exports = {
 	name: 'Servers with enough unreserved CPU',
+	requires: ['server.unreserved_cpu'],
 	run: filterMinCpu
 };
@@ -14,9 +14,8 @@
  */
 
 var assert = require('assert-plus');
-
-var MiB = 1024 * 1024;
-var FUDGE_MB = 10 * 1024; // leave 10GiB additional space, just in case
+var createReason = require('../reasons').factory('hard-filter-min-disk');
+var disk = require('./shared/disk');
 
 function
 filterMinDisk(servers, opts, cb)
@@ -48,26 +47,8 @@ filterMinDisk(servers, opts, cb)
 	}
 
 	if (pkg && pkg.overprovision_disk) {
-		var requestedDisk;
-
-		// VM quota takes precedence over pkg quota. The former is in
-		// GiB, while the latter is in MiB.
-		var quota = vm.quota ? vm.quota * 1024 : pkg.quota;
-
-		if (['bhyve', 'kvm'].indexOf(vm.brand) !== -1 ||
-			    img.type === 'zvol') {
-			// image_size applies to disk[0], quota to disk[1]
-			requestedDisk = quota + img.image_size;
-		} else {
-			requestedDisk = Math.ceil(quota /
-			        pkg.overprovision_disk);
-		}
-
-		// make sure we have space for the image itself, just in case
-		var overhead = img.files.reduce(function (acc, image) {
-			return (acc + image.size);
-		}, 0) / MiB;
-		requestedDisk += Math.ceil(overhead) + FUDGE_MB;
+		var requestedDisk = disk.requestedDisk(vm, img, pkg) +
+		    disk.FUDGE_MB;
 
 		filter = function (server) {
 			if (server.unreserved_disk >= requestedDisk)
@@ -76,7 +57,12 @@ filterMinDisk(servers, opts, cb)
 			var msg = 'VM\'s calculated ' + requestedDisk +
 				' MiB disk is more than server\'s spare ' +
 				server.unreserved_disk + ' MiB';
-			reasons[server.uuid] = msg;
+			reasons[server.uuid] = createReason('InsufficientDisk',
+				msg, {
+				resource: 'disk',
+				requested: requestedDisk,
+				available: server.unreserved_disk
+			});
 
 			return (false);
 		};
@@ -93,7 +79,11 @@ filterMinDisk(servers, opts, cb)
 
 			var msg = 'Package gave no disk overprovision ratio, ' +
 				'but server has ratio ' + serverDisk;
-			reasons[server.uuid] = msg;
+			reasons[server.uuid] = createReason(
+				'MissingOverprovisionRatio', msg, {
+				resource: 'disk',
+				available: serverDisk
+			});
 
 			return (false);
 		};
@@ -104,5 +94,6 @@ filterMinDisk(servers, opts, cb)
 
 module.exports = {
 	name: 'Servers with enough unreserved disk',
+	requires: ['server.unreserved_disk'],
 	run: filterMinDisk
 };
@@ -14,6 +14,8 @@
 
 var assert = require('assert-plus');
 var constants = require('./shared/constants');
+var createReason =
+	require('../reasons').factory('hard-filter-min-free-disk');
 
 var MiB = 1024 * 1024;
 var POOL_USABLE_RATIO = constants.POOL_USABLE_RATIO;
@@ -42,8 +44,14 @@ filterMinFreeDisk(servers, opts, cb)
 		if (freeDisk >= +requiredFreeDisk)
 			return (true);
 
-		reasons[server.uuid] = 'Server requires ' + requiredFreeDisk +
+		var msg = 'Server requires ' + requiredFreeDisk +
 			'MB free disk, but only has ' + freeDisk + 'MB';
+		reasons[server.uuid] = createReason('InsufficientFreeDisk',
+			msg, {
+			resource: 'disk',
+			requested: +requiredFreeDisk,
+			available: freeDisk
+		});
 
 		return (false);
 	}
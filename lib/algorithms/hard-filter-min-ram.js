@@ -14,6 +14,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-min-ram');
 
 function
 filterMinRam(servers, opts, cb)
@@ -49,7 +50,12 @@ filterMinRam(servers, opts, cb)
 			var msg = 'VM\'s calculated ' + requestedRam +
 				' RAM is less than server\'s spare ' +
 				server.unreserved_ram;
-			reasons[server.uuid] = msg;
+			reasons[server.uuid] = createReason('InsufficientRam',
+				msg, {
+				resource: 'ram',
+				requested: requestedRam,
+				available: server.unreserved_ram
+			});
 
 			return (false);
 		};
@@ -65,7 +71,11 @@ filterMinRam(servers, opts, cb)
 
 			var msg = 'Package gave no RAM overprovision ' +
 				'ratio, but server has ratio ' + serverRam;
-			reasons[server.uuid] = msg;
+			reasons[server.uuid] = createReason(
+				'MissingOverprovisionRatio', msg, {
+				resource: 'ram',
+				available: serverRam
+			});
 
 			return (false);
 		};
@@ -76,5 +86,6 @@ filterMinRam(servers, opts, cb)
 
 module.exports = {
 	name: 'Servers with enough unreserved RAM',
+	requires: ['server.unreserved_ram'],
 	run: filterMinRam
 };
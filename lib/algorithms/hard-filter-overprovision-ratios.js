@@ -24,6 +24,8 @@
  */
 
 var assert = require('assert-plus');
+var createReason =
+	require('../reasons').factory('hard-filter-overprovision-ratios');
 
 var OP_KEY_MATCH = [['cpu',  'overprovision_cpu' ],
 					['ram',  'overprovision_ram' ],
@@ -58,9 +60,15 @@ filterOverprovisionRatios(servers, opts, cb)
 			if (serverRatio === pkgRatio)
 				return (true);
 
-			reasons[server.uuid] = 'Package over-provision ratio ' +
-				'of ' + pkgRatio + ' does not match ' +
-				'server\'s ' + serverRatio;
+			var msg = 'Package over-provision ratio of ' +
+				pkgRatio + ' does not match server\'s ' +
+				serverRatio;
+			reasons[server.uuid] = createReason(
+				'OverprovisionRatioMismatch', msg, {
+				resource: serverKey,
+				requested: pkgRatio && +pkgRatio,
+				available: serverRatio && +serverRatio
+			});
 
 			return (false);
 		});
@@ -25,6 +25,8 @@
  */
 
 var assert = require('assert-plus');
+var createReason =
+	require('../reasons').factory('hard-filter-owners-servers');
 
 
 function
@@ -71,14 +73,15 @@ filterOwner(log, servers, filters, ownerUuid, reasons)
 		acceptedServers = filterWithCode(servers, code);
 		msg = 'Servers pass filter for owner ' + ownerUuid + ': ' +
 			code;
+		reasons['*'] = createReason('OwnerFilter', msg);
 	} catch (e) {
 		acceptedServers = [];
 		msg = 'Error running filter for owner ' + ownerUuid + ': ' +
 			code;
 		log.error(msg, e);
+		reasons['*'] = createReason('OwnerFilterError', msg);
 	}
 
-	reasons['*'] = msg;
 	return (acceptedServers);
 }
 
@@ -102,7 +105,7 @@ filterNotOwners(log, servers, filters, reasons)
 			var msg = 'Error running filter for owner ' +
 				ownerUuid + ': ' + code;
 			log.error(msg, e);
-			reasons['*'] = msg;
+			reasons['*'] = createReason('OwnerFilterError', msg);
 			return ([]);
 		}
 
@@ -115,8 +118,8 @@ filterNotOwners(log, servers, filters, reasons)
 		var uuid = ownerServers[server.uuid];
 
 		if (uuid) {
-			reasons[server.uuid] = 'Removed by filter for owner ' +
-				uuid;
+			reasons[server.uuid] = createReason('ReservedForOwner',
+				'Removed by filter for owner ' + uuid);
 			return (false);
 		}
 
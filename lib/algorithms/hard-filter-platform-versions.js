@@ -20,6 +20,8 @@
 var assert = require('assert-plus');
 
 var platformVersions = require('./shared/platform-versions.js');
+var createReason =
+	require('../reasons').factory('hard-filter-platform-versions');
 
 var VERSION_RE = /^\d+\.\d+$/;
 
@@ -38,7 +40,7 @@ filterPlatformVersions(servers, opts, cb)
 	var pkgMinPlatforms = opts.pkg && opts.pkg.min_platform;
 	if (pkgMinPlatforms)
 		servers = platformVersions.filterMinPlatforms(pkgMinPlatforms,
-			servers, 'Package', reasons);
+			servers, 'Package', reasons, createReason);
 
 	var img = opts.img;
 	if (!img.requirements)
@@ -47,12 +49,12 @@ filterPlatformVersions(servers, opts, cb)
 	var imgMinPlatforms = img.requirements.min_platform;
 	if (imgMinPlatforms)
 		servers = platformVersions.filterMinPlatforms(imgMinPlatforms,
-			servers, 'Image', reasons);
+			servers, 'Image', reasons, createReason);
 
 	var imgMaxPlatforms = img.requirements.max_platform;
 	if (imgMaxPlatforms)
 		servers = platformVersions.filterMaxPlatforms(imgMaxPlatforms,
-			servers, 'Image', reasons);
+			servers, 'Image', reasons, createReason);
 
 	return (cb(null, servers, reasons));
 }
@@ -13,6 +13,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-reserved');
 
 function
 filterReserved(servers, opts, cb)
@@ -21,11 +22,18 @@ filterReserved(servers, opts, cb)
 	assert.object(opts, 'opts');
 	assert.func(cb, 'cb');
 
+	var reasons = {};
+
 	var adequateServers = servers.filter(function (server) {
-		return (!server.reserved);
+		if (!server.reserved)
+			return (true);
+
+		reasons[server.uuid] = createReason('ServerReserved',
+		    'Server is reserved');
+		return (false);
 	});
 
-	return (cb(null, adequateServers, {}));
+	return (cb(null, adequateServers, reasons));
 }
 
 module.exports = {
@@ -13,6 +13,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-reservoir');
 
 function
 filterReservoir(servers, opts, cb)
@@ -21,11 +22,18 @@ filterReservoir(servers, opts, cb)
 	assert.object(opts, 'opts');
 	assert.func(cb, 'cb');
 
+	var reasons = {};
+
 	var adequateServers = servers.filter(function (server) {
-		return (!server.reservoir);
+		if (!server.reservoir)
+			return (true);
+
+		reasons[server.uuid] = createReason('ServerInReservoir',
+		    'Server is in the reservoir');
+		return (false);
 	});
 
-	return (cb(null, adequateServers, {}));
+	return (cb(null, adequateServers, reasons));
 }
 
 module.exports = {
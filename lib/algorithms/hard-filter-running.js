@@ -18,6 +18,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-running');
 
 function
 filterRunning(servers, opts, cb)
@@ -37,7 +38,12 @@ filterRunning(servers, opts, cb)
 		if (server.status === 'unknown')
 			log.warn('Server has unknown status:', server.uuid);
 
-		reasons[server.uuid] = 'Server has status: ' + server.status;
+		reasons[server.uuid] = createReason('ServerNotRunning',
+			'Server has status: ' + server.status, {
+			resource: 'status',
+			requested: 'running',
+			available: server.status
+		});
 
 		return (false);
 	});
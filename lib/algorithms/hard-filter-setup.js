@@ -18,6 +18,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-setup');
 
 function
 filterSetup(servers, opts, cb)
@@ -29,7 +30,12 @@ filterSetup(servers, opts, cb)
 	var reasons = {};
 
 	var adequateServers = servers.filter(function (server) {
-		return (server.setup);
+		if (server.setup)
+			return (true);
+
+		reasons[server.uuid] = createReason('ServerNotSetup',
+		    'Server has not been setup');
+		return (false);
 	});
 
 	return (cb(null, adequateServers, reasons));
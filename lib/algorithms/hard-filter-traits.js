@@ -18,6 +18,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-traits');
 
 function
 filterTraits(servers, opts, cb)
@@ -54,7 +55,12 @@ filterTraits(servers, opts, cb)
 			var msg = 'Combined vm/pkg/img traits require ' +
 				JSON.stringify(requestedTraits) + ' but ' +
 				'server has ' + JSON.stringify(serverTraits);
-			reasons[server.uuid] = msg;
+			reasons[server.uuid] = createReason('TraitMismatch',
+				msg, {
+				resource: 'traits',
+				requested: requestedTraits,
+				available: serverTraits
+			});
 
 			return (false);
 		}
@@ -69,7 +75,12 @@ filterTraits(servers, opts, cb)
 				log.trace('Skipping server',
 				    server.uuid, 'because', errMsg);
 
-				reasons[server.uuid] = errMsg;
+				reasons[server.uuid] = createReason(
+				    'TraitMismatch', errMsg, {
+					resource: 'traits.' + name,
+					requested: requestedTraits[name],
+					available: serverTraits[name]
+				});
 
 				return (false);
 			}
@@ -154,9 +165,13 @@ traitless(servers, reasons, cb)
 		    Object.keys(server.traits).length === 0;
 
 		if (!isTraitless) {
-			reasons[server.uuid] =
+			reasons[server.uuid] = createReason('TraitMismatch',
 			    'Combined vm/pkg/img require no traits ' +
-			    'but server has ' + JSON.stringify(server.traits);
+			    'but server has ' + JSON.stringify(server.traits), {
+				resource: 'traits',
+				requested: {},
+				available: server.traits
+			});
 		}
 
 		return (isTraitless);
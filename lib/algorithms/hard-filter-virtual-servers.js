@@ -20,6 +20,8 @@
  */
 
 var assert = require('assert-plus');
+var createReason =
+	require('../reasons').factory('hard-filter-virtual-servers');
 
 var EXCLUDE_VIRTUAL_SERVERS_TAG = 'triton.placement.exclude_virtual_servers';
 
@@ -54,8 +56,8 @@ filterVirtualServers(servers, opts, cb)
 	adequateServers = servers.filter(function _filterVC(server) {
 		if (server.sysinfo &&
 				server.sysinfo['System Type'] === 'Virtual') {
-			reasons[server.uuid] =
-				'Server is a virtual server - excluding';
+			reasons[server.uuid] = createReason('VirtualServer',
+				'Server is a virtual server - excluding');
 			return (false);
 		}
 		return (true);
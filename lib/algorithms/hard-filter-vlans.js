@@ -52,6 +52,7 @@
 
 var assert = require('assert-plus');
 var mod_util = require('util');
+var createReason = require('../reasons').factory('hard-filter-vlans');
 
 function filterTags(servers, opts, cb) {
 	assert.arrayOfObject(servers, 'servers');
@@ -84,8 +85,9 @@ function filterTags(servers, opts, cb) {
 		var offlineTags;
 
 		if (!interfaces) {
-			reasons[server.uuid] =
-				'Server missing interfaces in sysinfo';
+			reasons[server.uuid] = createReason(
+				'MissingInterfaces',
+				'Server missing interfaces in sysinfo');
 
 			return (false);
 		}
@@ -113,14 +115,24 @@ function filterTags(servers, opts, cb) {
 				continue;
 			} else if (satisfiedOffline !== null) {
 				var nic = offlineTags[tag];
-				reasons[server.uuid] = mod_util.format(
+				reasons[server.uuid] = createReason(
+				    'NicTagDown', mod_util.format(
 				    'NIC %s for tag "%s" is %s',
-				    nic.interface, tag, nic['Link Status']);
+				    nic.interface, tag, nic['Link Status']), {
+					resource: 'nic_tags',
+					requested: reqs,
+					available: Object.keys(onlineTags)
+				});
 				return (false);
 			} else {
-				reasons[server.uuid] =
+				reasons[server.uuid] = createReason(
+				    'MissingNicTag',
 				    'Server must have one of the NIC Tags: ' +
-				    reqs.join(', ');
+				    reqs.join(', '), {
+					resource: 'nic_tags',
+					requested: reqs,
+					available: Object.keys(onlineTags)
+				});
 				return (false);
 			}
 		}
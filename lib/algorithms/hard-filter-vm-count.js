@@ -18,6 +18,7 @@
  */
 
 var assert = require('assert-plus');
+var createReason = require('../reasons').factory('hard-filter-vm-count');
 
 /* Default maximum number of VMs that can occupy a single server */
 var DEFAULT_VM_LIMIT = 224;
@@ -46,7 +47,11 @@ filterVmCount(servers, opts, cb)
 			log.trace('Skipping server', server.uuid, 'because',
 				msg);
 
-			reasons[server.uuid] = msg;
+			reasons[server.uuid] = createReason('TooManyVms', msg, {
+				resource: 'vms',
+				requested: 1,
+				available: Math.max(0, vmLimit - numVms)
+			});
 
 			return (false);
 		}
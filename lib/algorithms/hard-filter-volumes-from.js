@@ -18,6 +18,8 @@
  */
 
 var assert = require('assert-plus');
+var createReason =
+	require('../reasons').factory('hard-filter-volumes-from');
 
 
 function
@@ -80,8 +82,8 @@ filterByPreloadedVms(log, servers, requiredVms, cb)
 			var vmUuid = requiredVms[i];
 
 			if (!vms[vmUuid]) {
-				var msg = genErrMsg(log, serverUuid, vmUuid);
-				reasons[serverUuid] = msg;
+				reasons[serverUuid] = genReason(log, serverUuid,
+					vmUuid);
 				return (false);
 			}
 		}
@@ -125,8 +127,9 @@ loadVmAndFilter(log, servers, requiredVms, getVm, cb)
 			if (err) {
 				log.error('Error loading VM', err);
 
-				reasons['*'] = 'Error loading VM ' + vmUuid +
-					': ' + err.message;
+				reasons['*'] = createReason('VmLoadError',
+					'Error loading VM ' + vmUuid + ': ' +
+					err.message);
 
 				// is this the right thing to do...?
 				return (cb(null, [], reasons));
@@ -137,8 +140,8 @@ loadVmAndFilter(log, servers, requiredVms, getVm, cb)
 					return (true);
 				}
 
-				var msg = genErrMsg(log, server.uuid, vmUuid);
-				reasons[server.uuid] = msg;
+				reasons[server.uuid] = genReason(log,
+					server.uuid, vmUuid);
 				return (false);
 			});
 
@@ -150,12 +153,15 @@ loadVmAndFilter(log, servers, requiredVms, getVm, cb)
 }
 
 
-function genErrMsg(log, serverUuid, vmUuid) {
+function genReason(log, serverUuid, vmUuid) {
 	log.trace('Due to volumes-from and missing source VM ' + vmUuid +
 		', omitting server: ' + serverUuid);
 	var msg = 'VM needs volumes from ' + vmUuid + ', which was not found ' +
 		'on server';
-	return (msg);
+	return (createReason('MissingVolumesFromVm', msg, {
+		resource: 'vms',
+		requested: vmUuid
+	}));
 }
 
 
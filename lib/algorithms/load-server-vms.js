@@ -92,5 +92,6 @@ loadServerVms(servers, opts, cb)
 
 module.exports = {
 	name: 'Load info about all VMs for each server',
+	provides: ['server.vms'],
 	run: loadServerVms
 };
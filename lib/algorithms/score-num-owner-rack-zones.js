@@ -0,0 +1,103 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Increases the scores on servers based on the number of zones belonging to
+ * the owner of the zone currently being allocated, counted across each
+ * server's whole rack (server.rack_identifier).
+ *
+ * The range of scores that can be added to servers is determined by
+ * weight_num_owner_rack_zones (between 0 and abs(weight)). A positive
+ * weight_num_owner_rack_zones will cause servers in racks with fewer zones
+ * belonging to the owner to receive higher scores, spreading an owner's zones
+ * across racks. A negative weight does the opposite. All servers in a rack
+ * receive the same score increase.
+ *
+ * Servers without a rack_identifier are each treated as a rack of their own.
+ * Only the servers given to this plugin are counted, so zones on servers which
+ * earlier plugins removed are not.
+ */
+
+var assert = require('assert-plus');
+var score = require('../scorers').linearBuckets;
+
+
+function
+scoreNumOwnerRackZones(servers, opts, cb)
+{
+	assert.arrayOfObject(servers, 'servers');
+	assert.object(opts, 'opts');
+	assert.object(opts.vm, 'opts.vm');
+	assert.object(opts.defaults, 'opts.defaults');
+	assert.object(opts.log, 'opts.log');
+	assert.func(cb, 'cb');
+
+	var ownerUuid = opts.vm.owner_uuid;
+	var reasons = {};
+
+	var weight = +opts.defaults.weight_num_owner_rack_zones;
+	if (!weight) {
+		reasons.skip = 'Resolved score weight to 0.00; no changes';
+		return (cb(null, servers, reasons));
+	}
+
+	var racks = {};	/* rack ID to [<count>, [<server>, ...]] */
+	servers.forEach(function (server) {
+		var rackId = server.rack_identifier || server.uuid;
+		var rack = racks[rackId];
+
+		if (!rack)
+			rack = racks[rackId] = [0, []];
+
+		var vms = server.vms || {};
+		Object.keys(vms).forEach(function (vmUuid) {
+			if (vms[vmUuid].owner_uuid === ownerUuid)
+				rack[0]++;
+		});
+
+		rack[1].push(server);
+	});
+
+	// racks with the same count share a bucket, so get the same score
+	var buckets = {};	/* count to [<server>, ...] */
+	Object.keys(racks).forEach(function (rackId) {
+		var count = racks[rackId][0];
+		buckets[count] =
+		    (buckets[count] || []).concat(racks[rackId][1]);
+	});
+
+	var counts = Object.keys(buckets).map(Number).sort(function (a, b) {
+		// we multiply by weight here in order to make weight's sign
+		// (negative, positive number) have an effect -- whether the
+		// sorting is reversed or not
+		return (weight * (a - b));
+	});
+
+	// alter scores; this mutates the server objects in servers
+	score(opts.log, counts.map(function (count) {
+		return (buckets[count]);
+	}), Math.abs(weight), reasons);
+
+	Object.keys(racks).forEach(function (rackId) {
+		racks[rackId][1].forEach(function (server) {
+			reasons[server.uuid] += '; ' + racks[rackId][0] +
+			    ' owner zones found in rack';
+		});
+	});
+
+	return (cb(null, servers, reasons));
+}
+
+
+module.exports = {
+	name: 'Score servers based on number of zones belonging to owner in ' +
+	    'their rack',
+	run: scoreNumOwnerRackZones
+};
@@ -18,6 +18,10 @@
  * well as alloc_server_spread in the package. If they are set to `random`,
  * weight_uniform_random is ignored and servers receive random score increases
  * up to RANDOM_WEIGHT.
+ *
+ * Randomness comes from opts.random, a seeded generator provided by the
+ * allocator so that allocations can be replayed. Math.random() is used if the
+ * generator is not present.
  */
 
 var assert = require('assert-plus');
@@ -37,6 +41,7 @@ scoreUniformRandom(servers, opts, cb)
 
 	var reasons = {};
 	var pkg = opts.pkg;
+	var random = opts.random || Math.random;
 
 	// backwards compat
 	var serverSpread = (pkg && pkg.alloc_server_spread) ||
@@ -64,7 +69,7 @@ scoreUniformRandom(servers, opts, cb)
 
 	/* Durstenfeld shuffle */
 	for (var i = sortedServers.length - 1; i !== 0; i--) {
-		var j = Math.floor(Math.random() * (i + 1));
+		var j = Math.floor(random() * (i + 1));
 		var tmp = sortedServers[i];
 		sortedServers[i] = sortedServers[j];
 		sortedServers[j] = tmp;
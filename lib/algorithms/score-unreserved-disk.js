@@ -76,5 +76,6 @@ scoreUnreservedDisk(servers, opts, cb)
 
 module.exports = {
 	name: 'Score servers based on unreserved disk',
+	requires: ['server.unreserved_disk'],
 	run: scoreUnreservedDisk
 };
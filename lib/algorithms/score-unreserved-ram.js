@@ -96,5 +96,6 @@ getCompatWeight(opts)
 
 module.exports = {
 	name: 'Score servers based on unreserved RAM',
+	requires: ['server.unreserved_ram'],
 	run: scoreUnreservedRam
 };
@@ -0,0 +1,55 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * How much disk a VM reserves on a server. Shared by hard-filter-min-disk and
+ * lib/capacity.js, so that slot counts agree with what the filter accepts.
+ */
+
+var MiB = 1024 * 1024;
+var FUDGE_MB = 10 * 1024; // leave 10GiB additional space, just in case
+
+
+/*
+ * Returns the disk (in MiB) that a VM with payload 'vm', image 'img' and
+ * package 'pkg' reserves, not counting the FUDGE_MB a server must also have
+ * spare. HVM VMs and zvol images are charged the image size as well as the
+ * quota, while other VMs' quotas are divided by the package's
+ * overprovision_disk. The size of the image files is always added.
+ */
+function
+requestedDisk(vm, img, pkg)
+{
+	// VM quota takes precedence over pkg quota. The former is in
+	// GiB, while the latter is in MiB.
+	var quota = vm.quota ? vm.quota * 1024 : pkg.quota;
+	var disk;
+
+	if (['bhyve', 'kvm'].indexOf(vm.brand) !== -1 ||
+		    img.type === 'zvol') {
+		// image_size applies to disk[0], quota to disk[1]
+		disk = quota + img.image_size;
+	} else {
+		disk = Math.ceil(quota / (pkg.overprovision_disk || 1));
+	}
+
+	// make sure we have space for the image itself, just in case
+	var overhead = img.files.reduce(function (acc, image) {
+		return (acc + image.size);
+	}, 0) / MiB;
+
+	return (disk + Math.ceil(overhead));
+}
+
+
+module.exports = {
+	FUDGE_MB: FUDGE_MB,
+	requestedDisk: requestedDisk
+};
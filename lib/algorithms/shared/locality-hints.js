@@ -37,10 +37,21 @@ function normNearFar(nearFar, errStr) {
  * Process `far`: filter out any server that has any of the VMs
  * listed in `far`.
  *
- * `reasons` is modified in place.
+ * `reasons` is modified in place, with reasons from `createReason` (the
+ * calling plugin's function from lib/reasons.js factory()).
  */
-function filterFar(servers, reasons, far, strict, ownerUuid) {
+function filterFar(servers, reasons, far, strict, ownerUuid, createReason) {
 	var filteredServers = [];
+	var excluded = {};
+
+	function farReason(vmUuid, note) {
+		return (createReason('FarVmPresent', 'exclude: inst!='
+			+ vmUuid + note, {
+			resource: 'locality.far',
+			requested: vmUuid
+		}));
+	}
+
 	for (var i = 0; i < servers.length; i++) {
 		var server = servers[i];
 		var serverVms = server.vms;
@@ -51,8 +62,8 @@ function filterFar(servers, reasons, far, strict, ownerUuid) {
 			    /* owner_uuid guard (see top comment) */
 			    vm.owner_uuid === ownerUuid)
 			{
-				reasons[server.uuid] = 'exclude: inst!='
-					+ far[j];
+				reasons[server.uuid] = farReason(far[j], '');
+				excluded[server.uuid] = far[j];
 				exclude = true;
 				break;
 			}
@@ -63,8 +74,9 @@ function filterFar(servers, reasons, far, strict, ownerUuid) {
 	}
 	if (!strict && filteredServers.length === 0) {
 		// Non-strict filter: Ignore these far filters.
-		Object.keys(reasons).forEach(function (uuid) {
-			reasons[uuid] += ' (ignored b/c non-strict)';
+		Object.keys(excluded).forEach(function (uuid) {
+			reasons[uuid] = farReason(excluded[uuid],
+				' (ignored b/c non-strict)');
 		});
 	} else {
 		servers = filteredServers;
@@ -45,14 +45,18 @@ getValidPlatforms(platforms)
 	return (platforms);
 }
 
-/* mutates reasons arg, if provided */
+/*
+ * Mutates reasons arg, if provided. createReason is the calling plugin's
+ * function from lib/reasons.js factory().
+ */
 function
-filterMinPlatforms(minPlatforms, servers, predicateName, reasons)
+filterMinPlatforms(minPlatforms, servers, predicateName, reasons, createReason)
 {
 	assert.object(minPlatforms, 'minPlatforms');
 	assert.arrayOfObject(servers, 'servers');
 	assert.string(predicateName, 'predicateName');
 	assert.object(reasons, 'reasons');
+	assert.func(createReason, 'createReason');
 
 	var acceptableServers = [];
 	var maxVersion;
@@ -80,11 +84,18 @@ filterMinPlatforms(minPlatforms, servers, predicateName, reasons)
 				version < maxVersion)) {
 				acceptableServers.push(server);
 			} else {
-				reasons[server.uuid] = predicateName +
+				var msg = predicateName +
 					' requires min platforms ' +
 					JSON.stringify(minPlatforms) +
 					', but server has ' + '{"' + version +
 					'":"' + platform + '"}';
+				reasons[server.uuid] = createReason(
+					'PlatformTooOld', msg, {
+					resource: 'platform',
+					requested: minPlatforms,
+					available: serverPlatforms(version,
+						platform)
+				});
 			}
 		}
 	}
@@ -92,14 +103,15 @@ filterMinPlatforms(minPlatforms, servers, predicateName, reasons)
 	return (acceptableServers);
 }
 
-/* mutates reasons arg, if provided */
+/* mutates reasons arg, if provided; see filterMinPlatforms() */
 function
-filterMaxPlatforms(maxPlatforms, servers, predicateName, reasons)
+filterMaxPlatforms(maxPlatforms, servers, predicateName, reasons, createReason)
 {
 	assert.object(maxPlatforms, 'maxPlatforms');
 	assert.arrayOfObject(servers, 'servers');
 	assert.string(predicateName, 'predicateName');
 	assert.object(reasons, 'reasons');
+	assert.func(createReason, 'createReason');
 
 	var sortedVersions;
 	var minVersion;
@@ -132,13 +144,30 @@ filterMaxPlatforms(maxPlatforms, servers, predicateName, reasons)
 			var msg = predicateName + ' requires max platforms ' +
 			    JSON.stringify(maxPlatforms) + ', but server has ' +
 			    '{"' + version + '":"' + platform + '"}';
-			reasons[server.uuid] = msg;
+			reasons[server.uuid] = createReason('PlatformTooNew',
+			    msg, {
+				resource: 'platform',
+				requested: maxPlatforms,
+				available: serverPlatforms(version, platform)
+			});
 		}
 	}
 
 	return (acceptableServers);
 }
 
+/*
+ * Returns a server's platform in the same form as min_platform and
+ * max_platform.
+ */
+function
+serverPlatforms(version, platform)
+{
+	var platforms = {};
+	platforms[version] = platform;
+	return (platforms);
+}
+
 module.exports = {
 	filterMaxPlatforms: filterMaxPlatforms,
 	filterMinPlatforms: filterMinPlatforms
@@ -71,6 +71,12 @@
  *   customer can land on. This balancing by default *overrides* subsequent
  *   sorting/scoring attempts in the sdc-designation pipeline.)
  *
+ * Non-strict hints and spreading by owner can be turned off with the
+ * filter_soft_locality and filter_owner_spread defaults respectively. These
+ * are meant for the allocator's auto_relaxation_ladder: rather than only being
+ * ignored when they would leave no servers here, they can then be dropped when
+ * they would leave no servers at the end of the allocation.
+ *
  * If there are both non-strict "near" *and* "far", then they could be in
  * conflict. This implementation prefers "far". In other words, given
  * `{far: ["db0"], near: ["webhead1"]}`, it will prefer to be on a server other
@@ -129,6 +135,8 @@
 
 var assert = require('assert-plus');
 var shared = require('./shared/locality-hints');
+var createReason =
+	require('../reasons').factory('soft-filter-locality-hints');
 
 
 /**
@@ -144,6 +152,7 @@ filterSoftLocality(servers, opts, cb)
 
 	var ownerUuid = opts.vm.owner_uuid;
 	assert.uuid(ownerUuid, 'opts.vm.owner_uuid');
+	var defaults = opts.defaults || {};
 	var reasons = {};
 
 	if (servers.length === 0) {
@@ -159,6 +168,11 @@ filterSoftLocality(servers, opts, cb)
 	var near = shared.normNearFar(locality.near, 'locality.near');
 
 	if (near.length === 0 && far.length === 0) {
+		if (isOff(defaults.filter_owner_spread)) {
+			reasons.skip = 'Do not spread by owner';
+			return (cb(null, servers, reasons));
+		}
+
 		// Default behaviour: basic attempt to spread out the
 		// customer's VMs.
 		servers = softSpreadByOwner(servers, reasons, ownerUuid);
@@ -166,11 +180,14 @@ filterSoftLocality(servers, opts, cb)
 		reasons.skip = 'Strict locality requested and no spreading ' +
 			'needed';
 		return (cb(null, servers, reasons));
+	} else if (isOff(defaults.filter_soft_locality)) {
+		reasons.skip = 'Do not follow non-strict locality hints';
+		return (cb(null, servers, reasons));
 	} else {
 		// Process `far` first (far wins over near, see notes above).
 		if (far.length > 0) {
 			servers = shared.filterFar(servers, reasons, far,
-				strict, ownerUuid);
+				strict, ownerUuid, createReason);
 		}
 
 		if (servers.length > 0 && near.length > 0) {
@@ -183,6 +200,16 @@ filterSoftLocality(servers, opts, cb)
 }
 
 
+/*
+ * Whether a boolean default is explicitly set to false.
+ */
+function
+isOff(override)
+{
+	return (typeof (override) !== 'undefined' && !override);
+}
+
+
 /*
  * A soft attempt to balance a customer's VMs.
  *
@@ -218,12 +245,12 @@ function softSpreadByOwner(servers, reasons, ownerUuid) {
 	}
 
 	if (filteredServers.length === 0) {
-		reasons['*']
-			= 'exclude: spread by owner (ignored b/c non-strict)';
+		reasons['*'] = createReason('OwnerVmPresent',
+			'exclude: spread by owner (ignored b/c non-strict)');
 	} else {
 		for (i = 0; i < excludedServers.length; i++) {
-			reasons[excludedServers[i].uuid]
-				= 'exclude: spread by owner';
+			reasons[excludedServers[i].uuid] = createReason(
+				'OwnerVmPresent', 'exclude: spread by owner');
 		}
 		servers = filteredServers;
 	}
@@ -252,8 +279,12 @@ function filterNearNonStrict(servers, reasons, near, ownerUuid) {
 			    /* owner_uuid guard (see top comment) */
 			    vm.owner_uuid === ownerUuid)
 			{
-				reasons[server.uuid]
-					= 'include: inst==~' + near[j];
+				reasons[server.uuid] = createReason(
+					'NearVmPresent',
+					'include: inst==~' + near[j], {
+					resource: 'locality.near',
+					requested: near[j]
+				});
 				filteredServers.push(server);
 				// VM can only be on one server.
 				delete nearRemaining[j];
@@ -271,8 +302,12 @@ function filterNearNonStrict(servers, reasons, near, ownerUuid) {
 		var nearStr = (near.length > 2
 			? near.slice(0, 2).join(',') + ',...'
 			: near.join(','));
-		reasons['*'] = 'exclude: inst==~' + nearStr
-			+ ' (ignored b/c non-strict)';
+		reasons['*'] = createReason('NearVmMissing',
+			'exclude: inst==~' + nearStr
+			+ ' (ignored b/c non-strict)', {
+			resource: 'locality.near',
+			requested: near
+		});
 	} else {
 		servers = filteredServers;
 	}
@@ -283,5 +318,6 @@ function filterNearNonStrict(servers, reasons, near, ownerUuid) {
 
 module.exports = {
 	name: 'Servers with requested soft locality considered',
+	requires: ['opts.vm.locality'],
 	run: filterSoftLocality
 };
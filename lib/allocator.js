@@ -24,7 +24,9 @@
  * of servers that the plugin deems acceptable for allocation. 'reasons' is a
  * hash with a textual description of why any server was removed by that plugin,
  * although some plugins do not fill in the hash with such information because
- * the reasons for the filtering is obvious (e.g. the plugin is boolean).
+ * the reasons for the filtering is obvious (e.g. the plugin is boolean). The
+ * filter plugins give reason objects with a machine-readable code instead of
+ * text; see lib/reasons.js.
  *
  * Plugins form a tree, much like s-exps, where they form an expression. An
  * example of such an expression:
@@ -38,10 +40,17 @@
  * array is a command, and all other elements are either plugins or sub-arrays
  * of commands and plugins.
  *
- * This module recognizes two commands: 'pipe' and 'or'. 'pipe' feeds the list
- * of servers to the first plugin, the result from the first plugin is fed to
- * the second plugin, and so forth. 'or' iterates through every plugin, feeding
- * each with the full list of servers until a plugin returns a non-empty list.
+ * This module recognizes six commands: 'pipe', 'or', 'try', 'union',
+ * 'intersect' and 'when'. 'pipe' feeds the list of servers to the first
+ * plugin, the result from the first plugin is fed to the second plugin, and so
+ * forth. 'or' iterates through every plugin, feeding each with the full list of
+ * servers until a plugin returns a non-empty list. 'try' works like 'pipe', but
+ * if no servers are left at the end, it returns the list it was given instead.
+ * 'union' and 'intersect' feed the full list of servers to every plugin, and
+ * return the servers returned by any of them, or by all of them, respectively.
+ * 'when' takes pairs of a predicate (see lib/predicate.js) and a plugin or
+ * sub-array, optionally followed by a default plugin or sub-array, and runs
+ * the one following the first predicate which matches the request.
  *
  * The final array should be ordered such that the most desirable server(s) for
  * this allocation come first -- i.e. ordered by descending preference. In the
@@ -50,30 +59,112 @@
  */
 
 var assert = require('assert-plus');
+var capacity = require('./capacity');
+var EventEmitter = require('events').EventEmitter;
+var jsprim = require('jsprim');
 var mod_fs = require('fs');
+var mod_path = require('path');
+var predicate = require('./predicate');
+var presets = require('./presets');
+var prng = require('./prng');
+var RecentVms = require('./recent-vms');
+var mod_reasons = require('./reasons');
+var relaxations = require('./relaxations');
+var reservations = require('./reservations');
+var validations = require('./validations');
+var mod_util = require('util');
 
 var ALGORITHMS_PATH = __dirname + '/algorithms/';
 
+/* expression commands, and the minimum length of an expression using each */
+var COMMANDS = {
+	'pipe': 2,
+	'or': 3,
+	'try': 2,
+	'union': 3,
+	'intersect': 3,
+	'when': 3
+};
+
 var SERVER_CAPACITY_DESC = [
 	'pipe', 'hard-filter-setup',
 		'hard-filter-running',
 		'hard-filter-invalid-servers',
 		'load-server-vms',
+		'calculate-ticketed-vms',
 		'override-overprovisioning',
 		'calculate-server-unreserved'
 ];
 
+/* Used by packageCapacity() to filter servers for each package. */
+var PACKAGE_CAPACITY_DESC = [
+	'pipe', 'hard-filter-traits'
+];
+
+/*
+ * Used by checkResize(). A step which releases the VM's current reservation is
+ * run between these two.
+ */
+var RESIZE_LOAD_DESC = [
+	'pipe', 'load-server-vms',
+		'override-overprovisioning',
+		'calculate-ticketed-vms'
+];
+
+var RESIZE_CHECK_DESC = [
+	'pipe', 'calculate-server-unreserved',
+		'hard-filter-min-ram',
+		'hard-filter-min-cpu',
+		'hard-filter-min-disk'
+];
+
+/* the constructor's opts which are passed on to plugins */
+var PLUGIN_OPTS = ['log', 'getVm', 'getServerVms', 'listVms'];
+
 
 /* data preserved across objects */
 var availableAlgorithms;	/* what's available for use */
 
 /*
  * Creates an Algorithm class that allocates according to the provided
- * description. It falls back to a sane default if no description provided.
+ * description. The description can also be the name of one of the presets in
+ * lib/presets.js. It falls back to the default preset (presets.DEFAULT_PRESET)
+ * if no description provided.
+ *
+ * opts.capacityDescription optionally replaces the description used by
+ * serverCapacity() and friends, so that capacity can be worked out with the
+ * same filters as allocation. It must include calculate-server-unreserved.
+ *
+ * Besides the algorithms in lib/algorithms, descriptions can use algorithms
+ * loaded from the directories in opts.algorithmPaths, and the algorithm
+ * objects in opts.algorithms (keyed by the name descriptions use). A name
+ * provided by more than one of these is an error.
+ *
+ * opts.provides optionally lists the fields which the caller's inputs already
+ * have, e.g. 'server.vms' when servers are passed with their VMs, so that
+ * descriptions with algorithms requiring them aren't rejected (see
+ * _checkRequirements()).
+ *
+ * Plugins are given opts.log, and the optional functions opts.getVm,
+ * opts.getServerVms and opts.listVms for loading VMs (see PLUGIN_OPTS). The
+ * other opts are only used by the Allocator.
+ *
+ * opts.shadow optionally sets up shadow mode, where each allocate() also runs
+ * opts.shadow.description with opts.shadow.defaults on copies of its inputs,
+ * and compares the result with the real one (see _runShadow()).
+ *
+ * Allocators are EventEmitters, which report on allocate() and serverCapacity()
+ * as they run (see _emitEvent()).
+ *
+ * The descriptions are checked in turn (the allocation description, then
+ * opts.capacityDescription and opts.shadow.description), and the constructor
+ * throws an Error for the first one with errors. The Error's 'problems'
+ * attribute lists every problem found in that description (see
+ * validateDescription()); later descriptions aren't checked. Problems which
+ * are only warnings are logged.
  *
  * WARNING: this class is currently designed to initialize only on program
- * startup: it blocks on loading algorithm files, and terminates the program
- * when given a bad description.
+ * startup, as it blocks on loading algorithm files.
  */
 var Allocator = module.exports = function (opts, description, defaults)
 {
@@ -81,27 +172,186 @@ var Allocator = module.exports = function (opts, description, defaults)
 	assert.object(opts.log, 'opts.log');
 	assert.optionalFunc(opts.getVm, 'opts.getVm');
 	assert.optionalFunc(opts.getServerVms, 'opts.getServerVm');
-	assert.array(description, 'description');
+	assert.optionalFunc(opts.listVms, 'opts.listVms');
+	assert.optionalArray(opts.capacityDescription,
+	    'opts.capacityDescription');
+	assert.optionalArrayOfString(opts.algorithmPaths,
+	    'opts.algorithmPaths');
+	assert.optionalObject(opts.algorithms, 'opts.algorithms');
+	assert.optionalObject(opts.shadow, 'opts.shadow');
+	assert.optionalArrayOfString(opts.provides, 'opts.provides');
 	assert.object(defaults, 'defaults');
 
+	EventEmitter.call(this);
+
 	this.log = opts.log;
 	this.opts = opts;
 	this.defaults = defaults;
+	this.version = 1;
+	this.recentVms = new RecentVms();
+	this.lastOperationId = 0;
+
+	description = this._resolveDescription(description);
 
 	if (!availableAlgorithms)
 		availableAlgorithms = this._loadAvailableAlgorithms();
 
-	this.allocServerExpr = this._createExpression(description,
-	    availableAlgorithms);
+	var algorithms = this.algorithms = this._addCustomAlgorithms(
+	    availableAlgorithms, opts.algorithmPaths || [],
+	    opts.algorithms || {});
+
+	var provides = opts.provides || [];
+
+	this.allocServerExpr = this._createExpression(description, algorithms,
+	    provides);
+
+	var capacityDescription = opts.capacityDescription ||
+	    SERVER_CAPACITY_DESC;
+
+	this.serverCapacityExpr = this._createExpression(capacityDescription,
+	    algorithms, provides);
+
+	if (!this._includesAlgorithm(this.serverCapacityExpr,
+	    algorithms['calculate-server-unreserved'])) {
+		throw (this._reportProblems([ createProblem('error',
+		    'MissingDependency', [], 'capacity description must ' +
+		    'include calculate-server-unreserved') ]));
+	}
+
+	this.packageCapacityExpr = this._createExpression(PACKAGE_CAPACITY_DESC,
+	    algorithms, provides);
+
+	this.resizeLoadExpr = this._createExpression(RESIZE_LOAD_DESC,
+	    algorithms, provides);
+
+	// runs on servers which have been through resizeLoadExpr
+	this.resizeCheckExpr = this._createExpression(RESIZE_CHECK_DESC,
+	    algorithms, provides.concat('server.vms'));
+
+	this.shadowExpr = null;
+	if (opts.shadow) {
+		assert.optionalObject(opts.shadow.defaults,
+		    'opts.shadow.defaults');
+		assert.optionalFunc(opts.shadow.onComparison,
+		    'opts.shadow.onComparison');
+
+		this.shadowExpr = this._createExpression(
+		    this._resolveDescription(opts.shadow.description),
+		    algorithms, provides);
+	}
+};
+mod_util.inherits(Allocator, EventEmitter);
+
+
+/*
+ * Returns the description to use for 'description' as given to the
+ * constructor: the default preset if it is undefined or null, the named
+ * preset if it is a string, or otherwise the description itself. Throws an
+ * Error for unknown presets.
+ */
+Allocator.prototype._resolveDescription = function (description)
+{
+	if (description === undefined || description === null)
+		description = presets.DEFAULT_PRESET;
+
+	if (typeof (description) === 'string') {
+		if (!presets.PRESETS.hasOwnProperty(description)) {
+			throw (this._reportProblems([ createProblem('error',
+			    'UnknownPreset', [],
+			    'Unknown preset: ' + description) ]));
+		}
+
+		description = presets.PRESETS[description];
+	}
+
+	assert.array(description, 'description');
+
+	return (description);
+};
+
+
+/*
+ * Replaces the allocation description and defaults used from now on, without
+ * creating a new Allocator. 'description' can be anything the constructor
+ * accepts; if undefined or null, the current description is kept. Likewise,
+ * the current defaults are kept if 'defaults' is undefined or null.
+ *
+ * The new configuration is checked first. If the description has errors (see
+ * validateDescription()) or the defaults are invalid, the current
+ * configuration is kept and cb is called with an Error. Otherwise the
+ * description and defaults are swapped together, and cb is called with the
+ * configuration's new version.
+ *
+ * Allocations which have already started finish with the configuration they
+ * started with. Versions start at 1 and go up by one with each successful
+ * reconfigure(); the first step of every allocation records the version of
+ * the configuration it used.
+ */
+Allocator.prototype.reconfigure = function (description, defaults, cb)
+{
+	assert.optionalObject(defaults, 'defaults');
+	assert.func(cb, 'cb');
+
+	var self = this;
+	var expr = self.allocServerExpr;
+
+	if (description !== undefined && description !== null) {
+		var err = self._reportProblems(
+		    self.validateDescription(description));
+		if (err)
+			return (cb(err));
+
+		expr = buildExpression(self._resolveDescription(description),
+		    self.algorithms);
+	}
+
+	if (defaults) {
+		var msg = validations.validateDefaults(defaults);
+		if (msg) {
+			var errMsg = 'Bad defaults given: ' + msg;
+			self.log.error(errMsg);
+			return (cb(new Error(errMsg)));
+		}
+	}
+
+	self.allocServerExpr = expr;
+	self.defaults = defaults || self.defaults;
+	self.version++;
+
+	self.log.info('Allocator reconfigured; now at version %d',
+	    self.version);
+
+	return (cb(null, self.version));
+};
+
+
+/*
+ * Returns an object which works like this allocator, but keeps the current
+ * description and defaults if reconfigure() is called. Operations which
+ * allocate several times use it, so that they use one configuration
+ * throughout.
+ */
+Allocator.prototype._pinConfig = function ()
+{
+	var pinned = Object.create(this);
+
+	pinned.allocServerExpr = this.allocServerExpr;
+	pinned.defaults = this.defaults;
+	pinned.version = this.version;
 
-	this.serverCapacityExpr = this._createExpression(SERVER_CAPACITY_DESC,
-	    availableAlgorithms);
+	return (pinned);
 };
 
 
 /*
  * Takes a list of servers, and applies the algorithms to the list of servers to
  * select one for this allocation.
+ *
+ * If no server is found, the relaxations in the auto_relaxation_ladder default
+ * are applied until one is (see _allocateRelaxing()). If there is still no
+ * server and the relaxation_ladder default is set, details also has a
+ * 'relaxation' attribute describing what it would take for the allocation to
+ * succeed (see _analyzeRelaxations()).
  */
 Allocator.prototype.allocate = function (servers, vm, img, pkg, tickets, cb)
 {
@@ -113,402 +363,3160 @@ Allocator.prototype.allocate = function (servers, vm, img, pkg, tickets, cb)
 	assert.func(cb, 'cb');
 
 	var self = this;
+	var expr = self.allocServerExpr;
+	var opts = self._createOpts(vm, img, pkg, tickets);
+	var pristine = null;
 
-	if (pkg) {
-		pkg = self._massagePkgData(pkg);
-	}
+	opts.operation = self._startOperation('allocate', servers,
+	    vm.vm_uuid);
 
-	var opts = {
-		vm: vm,
-		img: img,
-		pkg: pkg,
-		tickets: tickets,
-		defaults: self.defaults
-	};
+	var shadow = self._prepareShadow(servers, opts);
 
-	Object.keys(self.opts).forEach(function (key) {
-		opts[key] = opts[key] || self.opts[key];
-	});
+	if (relaxations.isSet(opts.defaults.relaxation_ladder) ||
+	    relaxations.isSet(opts.defaults.auto_relaxation_ladder)) {
+		self._cacheServerVms(opts);
+		pristine = self._copyInputs(servers, opts);
+	}
 
-	servers.forEach(function (s) {
-		s.score = 0;
-	});
+	function done(err, server, steps, details) {
+		self._emitEvent('allocation-end', opts.operation, {
+			server_uuid: server ? server.uuid : null,
+			score: server ? server.score : null,
+			score_breakdown: server ? server.score_breakdown : null,
+			candidates: details && details.candidates || null,
+			error: err ? err.message : null,
+			duration: Date.now() - opts.operation.start
+		});
 
-	self._dispatch(self.allocServerExpr, servers, opts,
-			function (err, filteredServers, visitedAlgorithms,
-			remainingServers, reasonsRemoved) {
-		if (err) {
-			return (cb(err));
-		}
+		return (cb(err, server, steps, details));
+	}
 
-		// get server with highest score
-		var server;
-		if (filteredServers.length > 1) {
-			server = filteredServers.reduce(function (s1, s2) {
-				return (s1.score > s2.score ? s1 : s2);
+	self._allocateRelaxing(expr, servers, opts, pristine,
+			function (err, server, steps, details) {
+		if (server)
+			self._recordVm(server.uuid, vm, img, opts.pkg);
+
+		// run after returning, so that it doesn't delay allocation
+		if (shadow && !err) {
+			setImmediate(function () {
+				self._runShadow(shadow, server, steps);
 			});
-		} else {
-			server = filteredServers[0];
 		}
 
-		var stepSummary = self._createPluginSummary(servers,
-			visitedAlgorithms, remainingServers, reasonsRemoved);
+		if (err || server || !pristine)
+			return (done(err, server, steps, details));
+
+		var ladder = relaxations.applicable(
+		    opts.defaults.relaxation_ladder, pristine.opts);
+		if (ladder.length === 0)
+			return (done(err, server, steps, details));
 
-		return (cb(null, server, stepSummary));
+		self._analyzeRelaxations(expr, pristine, ladder,
+				function (analysis) {
+			details.relaxation = analysis;
+			return (done(err, server, steps, details));
+		});
 	});
 };
 
 
 /*
- * Determine how much free capacity is available on a group of servers. We
- * invoke some of the same algorithms used during allocation to ensure we're
- * returning valid data.
+ * Works like _allocate(), but if no server is found, tries again with the
+ * relaxations in the auto_relaxation_ladder default applied: first the first
+ * one, then the first two together, and so on, until a server is found. If one
+ * is, its steps and details are returned instead, with the names of the
+ * relaxations applied in details.relaxations. Otherwise the result of the
+ * unrelaxed allocation is returned.
  *
- * Returns the spare CPU (in units of cpu_cap), RAM (in MiB), and disk (in MiB).
- * If a server isn't setup or valid, the reason for it being removed is also
- * indicated.
+ * 'pristine' is a copy of 'servers' and 'opts' from _copyInputs(), taken before
+ * they were allocated on, or null to not relax at all.
  */
-Allocator.prototype.serverCapacity = function (servers, cb)
+Allocator.prototype._allocateRelaxing =
+function (expr, servers, opts, pristine, cb)
 {
-	assert.arrayOfObject(servers, 'servers');
-	assert.func(cb, 'func');
-
 	var self = this;
 
-	var opts = {
-		defaults: self.defaults
-	};
-
-	Object.keys(self.opts).forEach(function (key) {
-		opts[key] = opts[key] || self.opts[key];
-	});
-
-	servers.forEach(function (s) {
-		s.score = 0;
-	});
-
-	self._dispatch(self.serverCapacityExpr, servers, opts,
-			function (err, filteredServers, visitedAlgorithms,
-			remainingServers, reasonsRemoved) {
-		if (err) {
-			return (cb(err));
-		}
+	self._allocate(expr, servers, opts,
+			function (err, server, steps, details) {
+		if (err || server || !pristine)
+			return (cb(err, server, steps, details));
 
-		/* extract unreserved_ values from each server */
-		var serversUnreserved = {};
-		filteredServers.forEach(function (server) {
-			serversUnreserved[server.uuid] = {
-				cpu: server.unreserved_cpu,	/* centi-CPUs */
-				ram: server.unreserved_ram,	/* MiB */
-				disk: server.unreserved_disk	/* MiB */
-			};
+		var ladder = relaxations.applicable(
+		    opts.defaults.auto_relaxation_ladder, pristine.opts);
+		var attempts = ladder.map(function (relaxation, i) {
+			return (ladder.slice(0, i + 1));
 		});
 
-		/* merge all the reasons (why a server was removed) hashes */
-		var reasons = {};
-		reasonsRemoved.forEach(function (serverReasons) {
-			for (var key in serverReasons) {
-				reasons[key] = serverReasons[key];
-			}
-		});
+		self._tryRelaxations(expr, pristine, attempts,
+				function (tried, relaxed) {
+			if (!relaxed)
+				return (cb(null, server, steps, details));
+
+			relaxed.details.relaxations = relaxed.relaxations;
+
+			self.log.info({
+				vm_uuid: opts.vm.vm_uuid,
+				server_uuid: relaxed.server.uuid,
+				relaxations: relaxed.relaxations
+			}, 'Allocated with relaxations');
+
+			// the relaxed allocation ran on copies of 'servers'
+			var original = servers.filter(function (s) {
+				return (s.uuid === relaxed.server.uuid);
+			})[0];
+			['score', 'score_breakdown'].forEach(function (key) {
+				original[key] = relaxed.server[key];
+			});
 
-		return (cb(err, serversUnreserved, reasons));
+			return (cb(null, original, relaxed.steps,
+			    relaxed.details));
+		});
 	});
 };
 
 
 /*
- * Takes an array of plugins with a command prefix, and dispatches the array
- * of plugins to a function that can handle the command prefix. There are
- * two recognized commands: 'pipe' and 'or'.
+ * Finds out what it would take for a failed allocation to succeed, by running
+ * 'expr' again on copies of its inputs ('pristine', from _copyInputs()) with
+ * the relaxations in 'ladder' applied (see relaxations.js).
  *
- * When the command is 'pipe': forms a pipeline between all plugins. A list
- * of servers is fed in to the first plugin, the servers the first plugin
- * returns are fed to the second plugin, and so on; this continues until all
- * plugins (or sub-expressions) are run, or until a plugin returns no servers.
+ * Each relaxation is first tried alone, in ladder order. If none of them is
+ * enough, increasingly long prefixes of the ladder are tried together. This
+ * stops at the first attempt which yields a server. The callback receives:
  *
- * When the command is 'or': feeds the same list of servers to each plugin in
- * turn until a plugin returns a non-empty list of servers.
+ * - tried: a { relaxations, server_uuid } object for each attempt, where
+ *   'relaxations' are the names of the relaxations applied, and server_uuid is
+ *   the server picked (or null). Attempts which failed also have an 'error'.
+ * - minimal: the first attempt which yielded a server, or null if none did.
+ *
+ * None of this affects the real allocation, and errors are only reported.
  */
-Allocator.prototype._dispatch =
-function (algorithms, initialServers, opts, cb)
+Allocator.prototype._analyzeRelaxations =
+function (expr, pristine, ladder, cb)
 {
-	assert.array(algorithms, 'algorithms');
-	assert.arrayOfObject(initialServers, 'initialServers');
-	assert.object(opts, 'opts');
-	assert.object(opts.log, 'opts.log');
-	assert.func(cb, 'cb');
+	var attempts = ladder.map(function (relaxation) {
+		return ([relaxation]);
+	});
 
-	var self = this;
-	var log = self.log;
+	for (var i = 2; i <= ladder.length; i++)
+		attempts.push(ladder.slice(0, i));
 
-	var visitedAlgos = [];
-	var remainingServers = [];
-	var reasons = [];
-	var algorithm;
-	var startTime;
+	this._tryRelaxations(expr, pristine, attempts,
+			function (tried, relaxed) {
+		return (cb({
+			tried: tried,
+			minimal: relaxed ? tried[tried.length - 1] : null
+		}));
+	});
+};
 
-	/* we don't use shift(), to avoid modifying the referenced object */
-	var command = algorithms[0];
-	log.trace('Dispatching on "' + command + '"');
-	assert.ok(command === 'pipe' || command === 'or', 'command valid');
-	algorithms = algorithms.slice(1, algorithms.length);
 
-	function ranAlgorithms(err, servers, _visitedAlgos, _remainingServers,
-			_reasons) {
-		if (err) {
-			return (cb(err));
-		}
+/*
+ * Runs 'expr' on fresh copies of 'pristine' (from _copyInputs()) with each
+ * list of relaxations in 'attempts' applied in turn, until one yields a server.
+ * The callback receives the { relaxations, server_uuid, error } summaries
+ * described in _analyzeRelaxations(), and a { relaxations, server, steps,
+ * details } object for the attempt which yielded a server (or null if none
+ * did).
+ */
+Allocator.prototype._tryRelaxations =
+function (expr, pristine, attempts, cb)
+{
+	var self = this;
+	var tried = [];
 
-		visitedAlgos = visitedAlgos.concat(_visitedAlgos);
-		remainingServers = remainingServers.concat(_remainingServers);
-		reasons = reasons.concat(_reasons);
+	function tryNext(i) {
+		if (i === attempts.length)
+			return (cb(tried, null));
 
-		return (step(servers));
-	}
+		var attempt = attempts[i];
+		var names = attempt.map(function (relaxation) {
+			return (relaxation.name);
+		});
 
-	function ranAlgorithm(err, servers, _reasons) {
-		if (err) {
-			return (cb(err));
-		}
+		var copy = self._copyInputs(pristine.servers, pristine.opts);
+		attempt.forEach(function (relaxation) {
+			relaxations.apply(relaxation, copy.opts);
+		});
 
-		reasons.push(_reasons);
-		visitedAlgos.push(algorithm);
+		self._allocate(expr, copy.servers, copy.opts,
+				function (err, server, steps, details) {
+			var result = {
+				relaxations: names,
+				server_uuid: server ? server.uuid : null
+			};
 
-		var serverUuids = servers.map(function (s) {
-			return (s.uuid);
-		});
-		remainingServers.push(serverUuids);
+			if (err) {
+				self.log.warn({ err: err, relaxations: names },
+				    'Relaxed allocation failed');
+				result.error = err.message;
+			}
 
-		var timeDelta = Math.floor(new Date() - startTime);
-		log.debug({ serverUuids: serverUuids },
-			'%s returned %d server(s) in %d ms',
-			algorithm.name, serverUuids.length, timeDelta);
+			tried.push(result);
 
-		return (step(servers));
+			if (!server)
+				return (tryNext(i + 1));
+
+			return (cb(tried, {
+				relaxations: names,
+				server: server,
+				steps: steps,
+				details: details
+			}));
+		});
 	}
 
-	var idx = 0;
-	function step(stepServers) {
-		if (idx === algorithms.length) {
-			return (cb(null, stepServers, visitedAlgos,
-				remainingServers, reasons));
-		}
+	tryNext(0);
+};
 
-		if ((command === 'pipe' && stepServers.length === 0) ||
-		    (command === 'or' && stepServers.length > 0)) {
-			return (cb(null, stepServers, visitedAlgos,
-				remainingServers, reasons));
-		}
 
-		algorithm = algorithms[idx];
-		idx += 1;
+/*
+ * Wraps opts.getServerVms so that the VMs of each server are only loaded once,
+ * however many times the allocation is run again with relaxations (copies of
+ * 'opts' from _copyInputs() share the wrapper). Each call gets its own copy of
+ * the VMs, as plugins can modify them. Errors aren't remembered, so a later run
+ * tries again.
+ */
+Allocator.prototype._cacheServerVms = function (opts)
+{
+	var getServerVms = opts.getServerVms;
+	if (!getServerVms)
+		return;
 
-		var argServers;
-		if (command === 'pipe') {
-			argServers = stepServers;
-		} else { // command === 'or'
-			argServers = initialServers;
-		}
+	var loaded = {};
 
-		if (Array.isArray(algorithm)) {
-			self._dispatch(algorithm, argServers, opts,
-				ranAlgorithms);
-		} else {
-			startTime = new Date();
-			algorithm.run(argServers, opts, ranAlgorithm);
-		}
+	opts.getServerVms = function (serverUuid, cb) {
+		if (loaded.hasOwnProperty(serverUuid))
+			return (cb(null, jsprim.deepCopy(loaded[serverUuid])));
 
-		return (null); // to silence linter
-	}
+		getServerVms(serverUuid, function (err, vms) {
+			if (err)
+				return (cb(err));
 
-	if (command === 'pipe') {
-		step(initialServers);
-	} else { // command === 'or'
-		step([]);
-	}
+			loaded[serverUuid] = jsprim.deepCopy(vms);
+			return (cb(null, vms));
+		});
+	};
 };
 
 
 /*
- * Creates an array which lists the algorithm name that was run at each step,
- * and the server UUIDs that were returned by that algorithm. This is useful as
- * a summary of what DAPI did to reach the result.
+ * Copies the inputs of an allocation for the shadow description to run on
+ * later, or returns null if shadow mode is off.
  */
-Allocator.prototype._createPluginSummary =
-function (servers, visitedAlgorithms, remainingServers, reasonsRemoved)
+Allocator.prototype._prepareShadow = function (servers, opts)
 {
-	assert.arrayOfObject(servers, 'servers');
-	assert.arrayOfObject(visitedAlgorithms, 'visitedAlgorithms');
-	assert.arrayOfArray(remainingServers, 'remainingServers');
-	assert.arrayOfObject(reasonsRemoved, 'reasonsRemoved');
+	if (!this.shadowExpr)
+		return (null);
 
-	var steps = [];
-	var initialServerUuids = servers.map(function (s) { return (s.uuid); });
+	var shadow = this._copyInputs(servers, opts);
+	shadow.opts.defaults = this.opts.shadow.defaults || opts.defaults;
 
-	steps.push({ step: 'Received by DAPI', remaining: initialServerUuids });
+	return (shadow);
+};
 
-	for (var i = 0; i < visitedAlgorithms.length; i++) {
-		var algoName = visitedAlgorithms[i].name;
-		var remaining = remainingServers[i];
-		var reasons = reasonsRemoved[i];
-		var step = { step: algoName, remaining: remaining };
 
-		if (reasons && Object.keys(reasons).length !== 0)
-			step.reasons = reasons;
+/*
+ * Returns copies of the servers and opts of an allocation, which can be
+ * allocated on again without affecting the original. Copies are needed as
+ * plugins modify the servers and opts.vm they are given, and the VM being
+ * allocated will have been recorded in recentVms once the original is done.
+ * The copy gets its own random number generator, starting from the same seed.
+ * Runs on the copy don't emit plugin events, as they aren't part of the
+ * operation which opts.operation describes.
+ */
+Allocator.prototype._copyInputs = function (servers, opts)
+{
+	var copyOpts = {};
+	Object.keys(opts).forEach(function (key) {
+		if (key !== 'operation')
+			copyOpts[key] = opts[key];
+	});
+
+	['vm', 'img', 'pkg', 'tickets'].forEach(function (key) {
+		if (opts[key] !== undefined)
+			copyOpts[key] = jsprim.deepCopy(opts[key]);
+	});
 
-		steps.push(step);
-	}
+	copyOpts.recentVms = opts.recentVms.clone();
+	copyOpts.random = prng.createPrng(opts.seed);
 
-	return (steps);
+	return ({
+		servers: jsprim.deepCopy(servers),
+		opts: copyOpts
+	});
 };
 
 
 /*
- * If a requested package has no overprovision attributes, we treat it as if it
- * had an overprovision_ram of 1.0 (RAM won't overprovision, but other resources
- * can). It's up to the caller to ensure the requested cpu_cap/ram/disk are
- * properly balanced to prevent actual overprovisioning... unless that's their
- * intent.
+ * Runs the shadow description on the inputs copied by _prepareShadow(), and
+ * compares its result with the server and steps of the real allocation. The
+ * comparison is logged, and passed to opts.shadow.onComparison if set. It has
+ * these attributes:
+ *
+ * - vm_uuid: the VM being allocated.
+ * - server_uuid, shadow_server_uuid: the servers picked by the real and shadow
+ *   allocations (null if none).
+ * - same_server: whether these are the same.
+ * - shadow_rank: the position (starting at 1) of the real pick in the shadow
+ *   allocation's ranking of servers, or null if the shadow removed it.
+ * - filter_differences: a { server_uuid, removed_by, shadow_removed_by }
+ *   object for each server which was removed by a different step in each
+ *   allocation, where the steps are null if the server wasn't removed.
+ *
+ * Nothing the shadow allocation does affects the real one; failures are only
+ * logged.
  */
-Allocator.prototype._massagePkgData = function (pkg)
+Allocator.prototype._runShadow = function (shadow, server, steps)
 {
-	assert.object(pkg, 'pkg');
+	var self = this;
+	var servers = shadow.servers;
 
-	if (pkg.overprovision_cpu)
-		pkg.overprovision_cpu = +pkg.overprovision_cpu;
+	servers.forEach(function (s) {
+		s.score = 0;
+		s.score_breakdown = {};
+	});
 
-	if (pkg.overprovision_memory)
-		pkg.overprovision_ram = +pkg.overprovision_memory;
+	self._dispatch(self.shadowExpr, servers, shadow.opts,
+			function (err, filteredServers, visitedAlgorithms,
+			remainingServers, reasonsRemoved) {
+		if (err) {
+			self.log.warn({ err: err }, 'Shadow allocation failed');
+			return;
+		}
 
-	if (pkg.overprovision_storage)
-		pkg.overprovision_disk = +pkg.overprovision_storage;
+		var ranking = self._rankServers(filteredServers).map(
+		    function (s) {
+			return (s.uuid);
+		});
+		var shadowSteps = self._createPluginSummary(servers,
+		    visitedAlgorithms, remainingServers, reasonsRemoved);
+
+		var serverUuid = server ? server.uuid : null;
+		var shadowServerUuid = ranking.length > 0 ? ranking[0] : null;
+		var rank = ranking.indexOf(serverUuid);
+
+		var removedBy = findRemovingSteps(steps);
+		var shadowRemovedBy = findRemovingSteps(shadowSteps);
+		var differences = [];
+
+		servers.forEach(function (s) {
+			var step = removedBy[s.uuid] || null;
+			var shadowStep = shadowRemovedBy[s.uuid] || null;
+
+			if (step !== shadowStep) {
+				differences.push({
+					server_uuid: s.uuid,
+					removed_by: step,
+					shadow_removed_by: shadowStep
+				});
+			}
+		});
 
-	if (pkg.overprovision_network)
-		pkg.overprovision_net = +pkg.overprovision_network;
+		var comparison = {
+			vm_uuid: shadow.opts.vm.vm_uuid,
+			server_uuid: serverUuid,
+			shadow_server_uuid: shadowServerUuid,
+			same_server: serverUuid === shadowServerUuid,
+			shadow_rank: (serverUuid && rank !== -1 ? rank + 1 :
+			    null),
+			filter_differences: differences
+		};
+
+		self.log.info({ shadow_comparison: comparison },
+		    'Shadow allocation compared');
+
+		if (self.opts.shadow.onComparison)
+			self.opts.shadow.onComparison(comparison);
+	});
+};
 
-	if (pkg.overprovision_io)
-		pkg.overprovision_io = +pkg.overprovision_io;
 
-	delete pkg.overprovision_memory;
-	delete pkg.overprovision_storage;
-	delete pkg.overprovision_network;
+/*
+ * Allocates servers for several VMs in one call. Each element of 'requests' is
+ * an object with the 'vm', 'img', 'pkg' and (optional) 'tickets' attributes,
+ * which are the same as the arguments to allocate().
+ *
+ * Requests are allocated in order. Each VM that is placed is charged to its
+ * server -- its VM is added to server.vms and the server's disk counters -- so
+ * that later requests in the batch see the resources earlier ones consumed.
+ * The caller's server objects are not modified.
+ *
+ * Returns an array of { server, steps } objects, one for each request which
+ * was attempted. Requests which could not be placed also have a 'failure' (see
+ * analyzeFailure()), and those placed by applying relaxations from the
+ * auto_relaxation_ladder default list them in 'relaxations'. By default a batch
+ * is all-or-nothing: allocation stops at the first request which cannot be
+ * placed, and no request in the batch is given a server. If best effort is
+ * chosen, all requests are attempted, and only those that could not be placed
+ * lack a server.
+ *
+ * 'batchOpts' is optional, and may contain:
+ *
+ * - bestEffort: whether this batch is best effort. Defaults to the
+ *   batch_best_effort default.
+ */
+Allocator.prototype.allocateMany = function (servers, requests, batchOpts, cb)
+{
+	if (typeof (batchOpts) === 'function') {
+		cb = batchOpts;
+		batchOpts = {};
+	}
 
-	if (!(pkg.overprovision_cpu || pkg.overprovision_ram ||
-	    pkg.overprovision_disk || pkg.overprovision_io ||
-	    pkg.overprovision_net))
-		pkg.overprovision_ram = 1.0;
+	assert.arrayOfObject(servers, 'servers');
+	assert.arrayOfObject(requests, 'requests');
+	assert.object(batchOpts, 'batchOpts');
+	assert.optionalBool(batchOpts.bestEffort, 'batchOpts.bestEffort');
+	assert.func(cb, 'cb');
 
-	return (pkg);
+	var self = this._pinConfig();
+	var bestEffort = batchOpts.bestEffort;
+
+	if (bestEffort === undefined)
+		bestEffort = Boolean(self.defaults.batch_best_effort);
+	var placed = [];
+	var results = [];
+
+	function allocateRequest(i) {
+		if (i === requests.length) {
+			placed.forEach(function (p) {
+				self._addRecentVm(p.server_uuid, p.vm);
+			});
+
+			return (cb(null, results));
+		}
+
+		var request = requests[i];
+		assertRequest(request, 'requests[' + i + ']');
+
+		var opts = self._createOpts(request.vm, request.img,
+		    request.pkg, request.tickets || []);
+		var chargedServers = self._chargeServers(servers, placed, opts);
+		var pristine = null;
+
+		if (relaxations.isSet(opts.defaults.auto_relaxation_ladder)) {
+			self._cacheServerVms(opts);
+			pristine = self._copyInputs(chargedServers, opts);
+		}
+
+		return (self._allocateRelaxing(self.allocServerExpr,
+				chargedServers, opts, pristine,
+				function (err, server, steps, details) {
+			if (err)
+				return (cb(err));
+
+			var result = { server: server, steps: steps };
+			if (details.failure)
+				result.failure = details.failure;
+			if (details.relaxations)
+				result.relaxations = details.relaxations;
+
+			results.push(result);
+
+			if (server) {
+				placed.push({
+					server_uuid: server.uuid,
+					vm: reservations.createRequestVm(
+					    request.vm, request.img, opts.pkg)
+				});
+			} else if (!bestEffort) {
+				results.forEach(function (result) {
+					result.server = undefined;
+				});
+
+				return (cb(null, results));
+			}
+
+			return (allocateRequest(i + 1));
+		}));
+	}
+
+	allocateRequest(0);
+};
+
+
+/*
+ * Returns a deep copy of 'servers', with each VM in 'placed' (an array of
+ * { server_uuid, vm } objects) charged to its server. Since load-server-vms
+ * replaces server.vms with what opts.getServerVms returns, opts.getServerVms
+ * is wrapped to add the placed VMs back in.
+ */
+Allocator.prototype._chargeServers = function (servers, placed, opts)
+{
+	assert.arrayOfObject(servers, 'servers');
+	assert.arrayOfObject(placed, 'placed');
+	assert.object(opts, 'opts');
+
+	var copies = jsprim.deepCopy(servers);
+	var serverLookup = {};
+
+	copies.forEach(function (server) {
+		serverLookup[server.uuid] = server;
+	});
+
+	placed.forEach(function (p) {
+		var server = serverLookup[p.server_uuid];
+		if (server)
+			reservations.addVm(server, jsprim.deepCopy(p.vm));
+	});
+
+	var getServerVms = opts.getServerVms;
+	if (getServerVms && placed.length > 0) {
+		opts.getServerVms = function (serverUuid, cb) {
+			getServerVms(serverUuid, function (err, vms) {
+				if (err)
+					return (cb(err));
+
+				// the caller's array may be cached, so isn't
+				// changed
+				var server = serverLookup[serverUuid];
+				var extra = placed.filter(function (p) {
+					return (p.server_uuid === serverUuid);
+				}).map(function (p) {
+					return (server.vms[p.vm.uuid]);
+				});
+
+				return (cb(null, vms.concat(extra)));
+			});
+		};
+	}
+
+	return (copies);
 };
 
 
 /*
- * Loads all algorithms in the algorithms/ directory. These can then be using
- * when constructing an expression tree according to a provided description.
+ * Selects a server for an existing VM to be migrated to. The arguments are the
+ * same as allocate(), plus 'migrateOpts', which may contain:
+ *
+ * - sourceServerUuid: the server the VM is currently on. Defaults to
+ *   vm.server_uuid.
+ *
+ * The VM is treated as if it did not exist: it is removed from every server's
+ * VMs (and its disk from that server's counters), any ticket for it is
+ * ignored, and it is dropped from its own locality hints, so that neither its
+ * current reservation nor any rule referring to it affects the result. Rules
+ * relating it to other VMs (its siblings) still apply. The source server is
+ * then removed by an extra step at the start of the chain.
+ *
+ * The callback arguments are the same as allocate().
  */
-Allocator.prototype._loadAvailableAlgorithms = function ()
+Allocator.prototype.allocateMigration =
+function (servers, vm, img, pkg, tickets, migrateOpts, cb)
 {
+	assert.arrayOfObject(servers, 'servers');
+	assert.object(vm, 'vm');
+	assert.uuid(vm.vm_uuid, 'vm.vm_uuid');
+	assert.object(img, 'img');
+	assert.optionalObject(pkg, 'pkg');
+	assert.array(tickets, 'tickets');
+	assert.object(migrateOpts, 'migrateOpts');
+	assert.optionalUuid(migrateOpts.sourceServerUuid,
+	    'migrateOpts.sourceServerUuid');
+	assert.func(cb, 'cb');
+
+	var sourceUuid = migrateOpts.sourceServerUuid || vm.server_uuid;
+	assert.uuid(sourceUuid, 'source server UUID');
+
 	var self = this;
+	var opts = self._createOpts(vm, img, pkg, tickets);
+	var migration = self._prepareMigration(servers, opts, sourceUuid);
 
-	var algoNames = [];
-	var loadedAlgorithms = {};
+	self._allocate(migration.expr, migration.servers, opts,
+			function (err, server, steps, details) {
+		if (server)
+			self._recordVm(server.uuid, vm, img, opts.pkg);
 
-	var files = mod_fs.readdirSync(ALGORITHMS_PATH);
-	var algorithmFiles = files.filter(function (file) {
-		return (file.match(/\.js$/));
+		return (cb(err, server, steps, details));
 	});
+};
 
-	algorithmFiles.forEach(function (fileName) {
-		var algorithm = self._loadAlgorithm(fileName);
 
-		if (algorithm) {
-			var lookupName = fileName.split('.js')[0];
-			loadedAlgorithms[lookupName] = algorithm;
-			algoNames.push(algorithm.name);
+/*
+ * Sets up an allocation of the VM in 'opts' so that it is treated as being
+ * moved off the server 'sourceUuid': the VM is removed from copies of
+ * 'servers', from opts.getServerVms and opts.listVms results, from opts.tickets
+ * and from its own locality hints. opts.vm is replaced with a copy.
+ *
+ * Returns the server copies and the expression to allocate with, which is the
+ * allocation chain preceded by a step removing the source server.
+ */
+Allocator.prototype._prepareMigration = function (servers, opts, sourceUuid)
+{
+	assert.arrayOfObject(servers, 'servers');
+	assert.object(opts, 'opts');
+	assert.uuid(sourceUuid, 'sourceUuid');
+
+	var vmUuid = opts.vm.vm_uuid;
+
+	var vm = opts.vm = jsprim.deepCopy(opts.vm);
+	if (vm.locality) {
+		vm.locality.near = withoutUuid(vm.locality.near, vmUuid);
+		vm.locality.far = withoutUuid(vm.locality.far, vmUuid);
+	}
+
+	opts.tickets = opts.tickets.filter(function (ticket) {
+		return (ticket.id !== vmUuid);
+	});
+
+	servers = jsprim.deepCopy(servers);
+	servers.forEach(function (server) {
+		reservations.removeVm(server, vmUuid);
+	});
+
+	var getServerVms = opts.getServerVms;
+	if (getServerVms) {
+		opts.getServerVms = function (serverUuid, _cb) {
+			getServerVms(serverUuid, function (err, vms) {
+				if (err)
+					return (_cb(err));
+
+				return (_cb(null, vms.filter(function (v) {
+					return (v.uuid !== vmUuid);
+				})));
+			});
+		};
+	}
+
+	var listVms = opts.listVms;
+	if (listVms) {
+		opts.listVms = function (filter, _cb) {
+			listVms(filter, function (err, vms) {
+				if (err)
+					return (_cb(err));
+
+				return (_cb(null, vms.filter(function (v) {
+					return (v.uuid !== vmUuid);
+				})));
+			});
+		};
+	}
+
+	var excludeSource = {
+		name: 'Servers other than the VM\'s current server',
+		run: function (_servers, _opts, _cb) {
+			var reasons = {};
+
+			var filtered = _servers.filter(function (server) {
+				if (server.uuid !== sourceUuid)
+					return (true);
+
+				reasons[server.uuid] = 'VM ' + vmUuid +
+				    ' is currently on this server';
+				return (false);
+			});
+
+			return (_cb(null, filtered, reasons));
 		}
+	};
+
+	return ({
+		servers: servers,
+		expr: ['pipe', excludeSource, this.allocServerExpr]
 	});
+};
 
-	self.log.info('Loaded the following algorithms: ', algoNames);
 
-	return (loadedAlgorithms);
+/*
+ * Plans moving every VM off the server 'sourceUuid', e.g. ahead of
+ * maintenance. The VMs in the source's server.vms (loaded with
+ * opts.getServerVms if the source has no 'vms') are placed largest first (by
+ * RAM, then disk), each as allocateMigration() would place it, against the
+ * other servers. Like allocateMany(), every VM placed is charged to its target
+ * so that later VMs see the resources earlier ones consumed.
+ *
+ * evacuateOpts.getRequest(vm, cb) is called with each VM, and must return the
+ * arguments the VM was allocated with, as for planRebalance().
+ *
+ * Returns an object with these attributes:
+ *
+ * - moves: a { vm_uuid, server_uuid, steps } object for each VM placed, in the
+ *   order they were placed.
+ * - unplaced: a { vm_uuid, step, reasons, steps } object for each VM that could
+ *   not be placed, where 'step' is the name of the step which removed the last
+ *   remaining servers and 'reasons' is that step's reasons.
+ * - reasons: a { code, step, vm_uuids } object for each reason code (see
+ *   lib/reasons.js) which such a step gave for removing servers, where 'step'
+ *   is the step's name and 'vm_uuids' are the VMs in 'unplaced' it stopped.
+ *   Servers removed without a reason object count as code 'Unspecified'.
+ *
+ * The caller's server objects are not modified.
+ */
+Allocator.prototype.planEvacuation =
+function (servers, sourceUuid, evacuateOpts, cb)
+{
+	assert.arrayOfObject(servers, 'servers');
+	assert.uuid(sourceUuid, 'sourceUuid');
+	assert.object(evacuateOpts, 'evacuateOpts');
+	assert.func(evacuateOpts.getRequest, 'evacuateOpts.getRequest');
+	assert.func(cb, 'cb');
+
+	var self = this._pinConfig();
+
+	var source = servers.filter(function (server) {
+		return (server.uuid === sourceUuid);
+	})[0];
+
+	if (!source)
+		return (cb(new Error('Server ' + sourceUuid + ' not found')));
+
+	return (self._loadSourceVms(source, function (err, sourceVms) {
+		if (err)
+			return (cb(err));
+
+		var vms = sourceVms.sort(function (a, b) {
+			return (((b.max_physical_memory || 0) -
+			    (a.max_physical_memory || 0)) ||
+			    ((b.quota || 0) - (a.quota || 0)));
+		});
+
+		return (self._evacuate(servers, sourceUuid, vms,
+		    evacuateOpts.getRequest, cb));
+	}));
 };
 
 
 /*
- * Load an algorithm from a file. Return the algorithm if valid.
+ * Returns (in its callback) the VMs of server 'source' for planEvacuation():
+ * those in source.vms, or if it has none, those which opts.getServerVms loads.
  */
-Allocator.prototype._loadAlgorithm = function (shortName)
+Allocator.prototype._loadSourceVms = function (source, cb)
 {
-	assert.string(shortName, 'shortName');
+	var getServerVms = this.opts.getServerVms;
+
+	if (source.vms) {
+		return (cb(null, Object.keys(source.vms).map(function (vmUuid) {
+			return (source.vms[vmUuid]);
+		})));
+	}
+
+	if (!getServerVms) {
+		return (cb(new Error('Server ' + source.uuid + ' has no vms, ' +
+		    'and opts.getServerVms is not set')));
+	}
+
+	return (getServerVms(source.uuid, function (err, vms) {
+		if (err)
+			return (cb(err));
+
+		return (cb(null, jsprim.deepCopy(vms)));
+	}));
+};
+
 
+/*
+ * Places each VM in 'vms' for planEvacuation(), in order.
+ */
+Allocator.prototype._evacuate =
+function (servers, sourceUuid, vms, getRequest, cb)
+{
 	var self = this;
-	var log = self.log;
-	var algoPath = ALGORITHMS_PATH + shortName;
+	var placed = [];
+	var plan = { moves: [], unplaced: [], reasons: [] };
 
-	var algorithm = require(algoPath);
+	function addReason(code, step, vmUuid) {
+		var reason = plan.reasons.filter(function (r) {
+			return (r.code === code && r.step === step);
+		})[0];
 
-	if (!algorithm.run || typeof (algorithm.run) !== 'function') {
-		log.error('Algorithm "%s" does not have a run function',
-		    shortName);
-		return (null);
-	} else if (!algorithm.name || typeof (algorithm.name) != 'string') {
-		log.error('Algorithm "%s" does not have a name',
-		    shortName);
-		return (null);
-	} else {
-		log.debug('Algorithm "%s" has been loaded', shortName);
-		return (algorithm);
+		if (!reason) {
+			reason = { code: code, step: step, vm_uuids: [] };
+			plan.reasons.push(reason);
+		}
+
+		reason.vm_uuids.push(vmUuid);
+	}
+
+	function placeVm(i) {
+		if (i === vms.length)
+			return (cb(null, plan));
+
+		return (loadRequest(getRequest, vms[i],
+				function (err, request) {
+			if (err)
+				return (cb(err));
+
+			return (placeRequest(i, request));
+		}));
+	}
+
+	function placeRequest(i, request) {
+		var opts = self._createOpts(request.vm, request.img,
+		    request.pkg, request.tickets || []);
+		var migration = self._prepareMigration(
+		    self._chargeServers(servers, placed, opts), opts,
+		    sourceUuid);
+
+		return (self._allocate(migration.expr, migration.servers, opts,
+				function (err, server, steps, details) {
+			if (err)
+				return (cb(err));
+
+			var vmUuid = request.vm.vm_uuid;
+
+			if (server) {
+				// the VM as it is now, reservations included
+				placed.push({
+					server_uuid: server.uuid,
+					vm: jsprim.deepCopy(vms[i])
+				});
+
+				plan.moves.push({
+					vm_uuid: vmUuid,
+					server_uuid: server.uuid,
+					steps: steps
+				});
+			} else {
+				var lastStep = steps[steps.length - 1];
+
+				plan.unplaced.push({
+					vm_uuid: vmUuid,
+					step: lastStep.step,
+					reasons: lastStep.reasons || {},
+					steps: steps
+				});
+
+				var removed = details.failure.removed_by[
+				    lastStep.step];
+				var codes = ['Unspecified'];
+				if (removed)
+					codes = Object.keys(removed.codes);
+
+				codes.forEach(function (code) {
+					addReason(code, lastStep.step, vmUuid);
+				});
+			}
+
+			return (placeVm(i + 1));
+		}));
 	}
+
+	return (placeVm(0));
 };
 
 
 /*
- * Given an expression description, and available algorithms, construct an
- * expression which can be interpreted for allocation.
+ * Proposes up to rebalanceOpts.maxMoves VM moves which recover as many whole
+ * package slots as possible, where 'pkgs' are the packages of interest. The
+ * number of slots is the sum, over every server and package, of how many more
+ * VMs of that package fit on that server (see lib/capacity.js).
+ *
+ * This works greedily: each round considers moving any VM whose removal frees
+ * slots on its server, to any server which the allocation chain accepts for
+ * that VM (as allocateMigration() would), and picks the move which gains the
+ * most slots overall. Rounds stop when maxMoves is reached or no move gains
+ * anything. Each move is applied to copies of the servers before the next
+ * round, so the moves are meant to be carried out in order.
+ *
+ * Every server's 'vms' must be populated; opts.getServerVms is not used.
+ *
+ * rebalanceOpts.getRequest(vm, cb) is called with each VM (from server.vms)
+ * considered for a move, and must return the arguments the VM was allocated
+ * with: an object like the elements of allocateMany()'s 'requests', whose
+ * vm.vm_uuid is the VM's UUID. These are what the allocation chain checks the
+ * VM's possible targets with, so that traits, locality and other rules apply.
+ * Each VM's request is only loaded once per call.
+ *
+ * Returns an object with these attributes:
+ *
+ * - moves: a { vm_uuid, source_server_uuid, server_uuid, slots } object for
+ *   each proposed move, where 'slots' is the number of slots it recovers.
+ * - before, after: for each package in 'pkgs', the number of slots across all
+ *   servers before and after the moves.
  */
-Allocator.prototype._createExpression = function (description, algorithmLookup)
+Allocator.prototype.planRebalance =
+function (servers, pkgs, rebalanceOpts, cb)
 {
-	assert.array(description, 'description');
-	assert.object(algorithmLookup, 'algorithmLookup');
+	assert.arrayOfObject(servers, 'servers');
+	assert.arrayOfObject(pkgs, 'pkgs');
+	assert.object(rebalanceOpts, 'rebalanceOpts');
+	assert.number(rebalanceOpts.maxMoves, 'rebalanceOpts.maxMoves');
+	assert.func(rebalanceOpts.getRequest, 'rebalanceOpts.getRequest');
+	assert.func(cb, 'cb');
 
-	var self = this;
-	var expression = [];
+	var self = this._pinConfig();
+	var maxMoves = rebalanceOpts.maxMoves;
+	var moves = [];
+	var requests = {};
+	var before;
+	var state;
+	var stateLookup = {};
 
-	function errExit(errStr) {
-		var errMsg = 'Bad expression given: ' + errStr;
-		self.log.error(errMsg);
-		throw new Error(errMsg);
+	pkgs = pkgs.map(function (pkg) {
+		return (self._massagePkgData(jsprim.deepCopy(pkg)));
+	});
+
+	function countSlots(server) {
+		return (capacity.countAllSlots(server, pkgs, self.defaults));
 	}
 
-	var command = description[0];
+	function countPkgSlots() {
+		return (pkgs.map(function (pkg) {
+			return (state.reduce(function (acc, server) {
+				return (acc + capacity.countSlots(server, pkg,
+				    self.defaults));
+			}, 0));
+		}));
+	}
 
-	if (command !== 'pipe' && command !== 'or')
-		errExit('Invalid command: ' + command);
+	/*
+	 * Find VMs whose removal would free slots on their server, best first.
+	 */
+	function findCandidates() {
+		var candidates = [];
+
+		state.forEach(function (server) {
+			var slots = countSlots(server);
+
+			Object.keys(server.vms).forEach(function (vmUuid) {
+				var vm = server.vms[vmUuid];
+				var gain = countSlots(probeServer(server, vm,
+				    false)) - slots;
+
+				if (gain > 0) {
+					candidates.push({
+						server: server,
+						vm: vm,
+						gain: gain
+					});
+				}
+			});
+		});
 
-	if ((command === 'pipe' && description.length < 2) ||
-		(command ===   'or' && description.length < 3))
-		errExit('sexp too short for given command: ' + command);
+		return (candidates.sort(function (a, b) {
+			return (b.gain - a.gain);
+		}));
+	}
 
-	expression.push(command);
+	/*
+	 * Run the allocation chain for the candidate's VM, and return the
+	 * accepted server on which the VM costs the fewest slots.
+	 */
+	function evaluate(candidate, next) {
+		var vmUuid = candidate.vm.uuid;
+		var request = requests[vmUuid];
+
+		if (request)
+			return (evaluateRequest(candidate, request, next));
+
+		return (loadRequest(rebalanceOpts.getRequest, candidate.vm,
+				function (err, loaded) {
+			if (err)
+				return (next(err));
+
+			requests[vmUuid] = loaded;
+			return (evaluateRequest(candidate, loaded, next));
+		}));
+	}
 
-	for (var i = 1; i !== description.length; i++) {
-		var element = description[i];
+	function evaluateRequest(candidate, request, next) {
+		var opts = self._createOpts(request.vm, request.img,
+		    request.pkg, request.tickets || []);
+		delete opts.getServerVms;
 
-		if (Array.isArray(element)) {
-			var subexpression = self._createExpression(element,
-			    algorithmLookup);
-			expression.push(subexpression);
-		} else if (typeof (element) !== 'string') {
-			errExit('Invalid element: ' + element);
-		} else {
-			var algorithm = algorithmLookup[element];
-			if (!algorithm)
-				errExit('Unrecognized algorithm: ' + element);
+		var migration = self._prepareMigration(state, opts,
+		    candidate.server.uuid);
+		migration.servers.forEach(function (s) {
+			s.score = 0;
+		});
+
+		self._dispatch(migration.expr, migration.servers, opts,
+				function (err, filteredServers) {
+			if (err)
+				return (next(err));
+
+			var best = null;
+
+			filteredServers.forEach(function (s) {
+				var target = stateLookup[s.uuid];
+				var loss = countSlots(target) -
+				    countSlots(probeServer(target,
+				    candidate.vm, true));
+				var net = candidate.gain - loss;
+
+				if (net > 0 && (!best || net > best.slots)) {
+					best = {
+						candidate: candidate,
+						target: target,
+						slots: net
+					};
+				}
+			});
+
+			return (next(null, best));
+		});
+	}
+
+	function proposeMove() {
+		if (moves.length >= maxMoves)
+			return (finish());
+
+		var candidates = findCandidates();
+		var best = null;
+
+		function evaluateCandidate(i) {
+			// a candidate can't recover more than it frees up
+			if (i === candidates.length ||
+			    (best && best.slots >= candidates[i].gain)) {
+				return (applyMove(best));
+			}
+
+			return (evaluate(candidates[i], function (err, move) {
+				if (err)
+					return (cb(err));
 
-			expression.push(algorithm);
+				if (move && (!best || move.slots > best.slots))
+					best = move;
+
+				return (evaluateCandidate(i + 1));
+			}));
 		}
+
+		return (evaluateCandidate(0));
 	}
 
-	return (expression);
-};
+	function applyMove(move) {
+		if (!move)
+			return (finish());
+
+		var source = move.candidate.server;
+		var vm = reservations.removeVm(source, move.candidate.vm.uuid);
+		reservations.addVm(move.target, vm);
+
+		moves.push({
+			vm_uuid: vm.uuid,
+			source_server_uuid: source.uuid,
+			server_uuid: move.target.uuid,
+			slots: move.slots
+		});
+
+		return (proposeMove());
+	}
+
+	function finish() {
+		return (cb(null, {
+			moves: moves,
+			before: before,
+			after: countPkgSlots()
+		}));
+	}
+
+	var opts = self._createCapacityOpts();
+	delete opts.getServerVms;
+
+	servers = jsprim.deepCopy(servers);
+	servers.forEach(function (s) {
+		s.score = 0;
+	});
+
+	self._dispatch(self.serverCapacityExpr, servers, opts,
+			function (err, filteredServers) {
+		if (err)
+			return (cb(err));
+
+		state = filteredServers;
+		state.forEach(function (server) {
+			stateLookup[server.uuid] = server;
+		});
+
+		before = countPkgSlots();
+
+		return (proposeMove());
+	});
+};
+
+
+/*
+ * Returns a shallow copy of 'server', with 'vm' added to it if 'add' is true,
+ * or removed from it otherwise. Only the copy's 'vms' and disk counters change.
+ */
+function
+probeServer(server, vm, add)
+{
+	var probe = jsprim.mergeObjects(server, { vms: {} });
+
+	Object.keys(server.vms).forEach(function (vmUuid) {
+		probe.vms[vmUuid] = server.vms[vmUuid];
+	});
+
+	vm = jsprim.deepCopy(vm);
+
+	if (add) {
+		reservations.addVm(probe, vm);
+	} else {
+		probe.vms[vm.uuid] = vm;
+		reservations.removeVm(probe, vm.uuid);
+	}
+
+	return (probe);
+}
+
+
+/*
+ * Checks whether an existing VM can be resized in place. 'vm' and 'pkg'
+ * describe the VM at its new size; vm.vm_uuid and vm.server_uuid (the server
+ * the VM is currently on) are required.
+ *
+ * The VM's current reservation is released from its server, and then the
+ * hard-filter-min-ram, hard-filter-min-cpu and hard-filter-min-disk plugins are
+ * run against the server with the new size. If the VM does not fit, the normal
+ * allocation chain is run (as allocateMigration() would) to find other servers
+ * the VM could be moved to at its new size.
+ *
+ * Returns an object with these attributes:
+ *
+ * - fits: whether the current server can take the new size.
+ * - steps: the step summary of the check against the current server.
+ * - alternatives: if the VM does not fit, the UUIDs of servers it could be
+ *   moved to instead, best first. This is the candidates list if the
+ *   candidate_count default is set, otherwise the single server that would be
+ *   selected. It is empty if there are none.
+ * - alternativeSteps: if the VM does not fit, the step summary from finding
+ *   the alternatives.
+ */
+Allocator.prototype.checkResize = function (servers, vm, img, pkg, tickets, cb)
+{
+	assert.arrayOfObject(servers, 'servers');
+	assert.object(vm, 'vm');
+	assert.uuid(vm.vm_uuid, 'vm.vm_uuid');
+	assert.uuid(vm.server_uuid, 'vm.server_uuid');
+	assert.object(img, 'img');
+	assert.optionalObject(pkg, 'pkg');
+	assert.array(tickets, 'tickets');
+	assert.func(cb, 'cb');
+
+	var self = this._pinConfig();
+	var vmUuid = vm.vm_uuid;
+	var sourceUuid = vm.server_uuid;
+
+	var source = servers.filter(function (server) {
+		return (server.uuid === sourceUuid);
+	})[0];
+
+	if (!source)
+		return (cb(new Error('Server ' + sourceUuid + ' not found')));
+
+	var opts = self._createOpts(vm, img, pkg,
+	    tickets.filter(function (ticket) {
+		return (ticket.id !== vmUuid);
+	}));
+
+	var releaseVm = {
+		name: 'Release the VM\'s current reservation',
+		run: function (_servers, _opts, _cb) {
+			var reasons = {};
+
+			_servers.forEach(function (server) {
+				if (reservations.removeVm(server, vmUuid)) {
+					reasons[server.uuid] = 'VM ' + vmUuid +
+					    ' released';
+				}
+			});
+
+			return (_cb(null, _servers, reasons));
+		}
+	};
+
+	var expr = ['pipe', self.resizeLoadExpr, releaseVm,
+	    self.resizeCheckExpr];
+
+	return (self._allocate(expr, [jsprim.deepCopy(source)], opts,
+			function (err, server, steps) {
+		if (err)
+			return (cb(err));
+
+		if (server)
+			return (cb(null, { fits: true, steps: steps }));
+
+		var altOpts = self._createOpts(vm, img, pkg, tickets);
+		var migration = self._prepareMigration(servers, altOpts,
+		    sourceUuid);
+
+		return (self._allocate(migration.expr, migration.servers,
+				altOpts, function (err2, alternative, altSteps,
+				details) {
+			if (err2)
+				return (cb(err2));
+
+			var alternatives = [];
+			if (details.candidates) {
+				alternatives = details.candidates.map(
+				    function (candidate) {
+					return (candidate.uuid);
+				});
+			} else if (alternative) {
+				alternatives = [alternative.uuid];
+			}
+
+			return (cb(null, {
+				fits: false,
+				steps: steps,
+				alternatives: alternatives,
+				alternativeSteps: altSteps
+			}));
+		}));
+	}));
+};
+
+
+/*
+ * Asserts that 'request' has the same attributes as the elements of
+ * allocateMany()'s 'requests': 'vm', 'img', and optional 'pkg' and 'tickets'.
+ */
+function
+assertRequest(request, name)
+{
+	assert.object(request, name);
+	assert.object(request.vm, name + '.vm');
+	assert.string(request.vm.vm_uuid, name + '.vm.vm_uuid');
+	assert.object(request.img, name + '.img');
+	assert.optionalObject(request.pkg, name + '.pkg');
+	assert.optionalArray(request.tickets, name + '.tickets');
+}
+
+
+/*
+ * Calls 'getRequest' (from planRebalance() or planEvacuation()) for the
+ * existing VM 'vm', and checks the request it returns is for that VM.
+ */
+function
+loadRequest(getRequest, vm, cb)
+{
+	getRequest(vm, function (err, request) {
+		if (err)
+			return (cb(err));
+
+		var name = 'request for VM ' + vm.uuid;
+		assertRequest(request, name);
+		assert.equal(request.vm.vm_uuid, vm.uuid, name + '.vm.vm_uuid');
+
+		return (cb(null, request));
+	});
+}
+
+
+/*
+ * Returns locality.near or locality.far (a UUID, an array of UUIDs, or
+ * undefined) without 'uuid'.
+ */
+function
+withoutUuid(nearFar, uuid)
+{
+	if (nearFar === uuid)
+		return (undefined);
+
+	if (Array.isArray(nearFar)) {
+		return (nearFar.filter(function (u) {
+			return (u !== uuid);
+		}));
+	}
+
+	return (nearFar);
+}
+
+
+/*
+ * Records that a VM was placed on server 'serverUuid', for the
+ * calculate-recent-vms plugin. VMs without a vm_uuid can't be recognized when
+ * they appear in CNAPI, so are not recorded.
+ */
+Allocator.prototype._recordVm = function (serverUuid, vm, img, pkg)
+{
+	if (!vm.vm_uuid)
+		return;
+
+	this._addRecentVm(serverUuid,
+	    reservations.createRequestVm(vm, img, pkg));
+};
+
+
+/*
+ * Adds 'vm' (from reservations.createRequestVm()) to recentVms, if the
+ * description uses calculate-recent-vms; nothing else would ever read or
+ * expire the entry. Old entries are expired using the recent_vm_ttl default.
+ */
+Allocator.prototype._addRecentVm = function (serverUuid, vm)
+{
+	if (!this._includesAlgorithm(this.allocServerExpr,
+	    this.algorithms['calculate-recent-vms'])) {
+		return;
+	}
+
+	this.recentVms.add(serverUuid, vm, +this.defaults.recent_vm_ttl ||
+	    undefined);
+};
+
+
+/*
+ * Creates the opts object handed to every plugin during an allocation.
+ *
+ * This includes opts.random, a seeded random number generator which plugins
+ * use instead of Math.random(). The seed is the random_seed default if set,
+ * otherwise the VM's UUID, otherwise a new random seed. It is echoed in the
+ * step summary, so that an allocation can be replayed by setting random_seed.
+ */
+Allocator.prototype._createOpts = function (vm, img, pkg, tickets)
+{
+	var self = this;
+
+	if (pkg) {
+		pkg = self._massagePkgData(pkg);
+	}
+
+	var seed = self.defaults.random_seed;
+	if (seed === undefined)
+		seed = vm.vm_uuid;
+	if (seed === undefined)
+		seed = prng.generateSeed();
+
+	var opts = {
+		vm: vm,
+		img: img,
+		pkg: pkg,
+		tickets: tickets,
+		defaults: self.defaults,
+		recentVms: self.recentVms,
+		seed: seed,
+		random: prng.createPrng(seed),
+		configVersion: self.version
+	};
+
+	self._addPluginOpts(opts);
+
+	return (opts);
+};
+
+
+/*
+ * Runs the expression 'expr' over 'servers', and returns the server with the
+ * highest score along with a summary of the steps taken.
+ *
+ * The callback also receives a 'details' object. If the candidate_count
+ * default is set, details.candidates lists up to that many of the servers which
+ * survived the chain, in descending order of score. Each candidate has the
+ * server's uuid, its score, and a breakdown of how much each plugin added to
+ * that score. If no server was found, details.failure explains why (see
+ * analyzeFailure()).
+ */
+Allocator.prototype._allocate = function (expr, servers, opts, cb)
+{
+	assert.array(expr, 'expr');
+	assert.arrayOfObject(servers, 'servers');
+	assert.object(opts, 'opts');
+	assert.func(cb, 'cb');
+
+	var self = this;
+	var numCandidates = +opts.defaults.candidate_count || 0;
+
+	servers.forEach(function (s) {
+		s.score = 0;
+		s.score_breakdown = {};
+	});
+
+	self._dispatch(expr, servers, opts,
+			function (err, filteredServers, visitedAlgorithms,
+			remainingServers, reasonsRemoved) {
+		if (err) {
+			return (cb(err));
+		}
+
+		// get server with highest score
+		var server;
+		if (filteredServers.length > 1) {
+			server = filteredServers.reduce(function (s1, s2) {
+				return (s1.score > s2.score ? s1 : s2);
+			});
+		} else {
+			server = filteredServers[0];
+		}
+
+		var stepSummary = self._createPluginSummary(servers,
+			visitedAlgorithms, remainingServers, reasonsRemoved);
+		stepSummary[0].seed = opts.seed;
+		stepSummary[0].version = opts.configVersion;
+
+		var details = {};
+		if (!server)
+			details.failure = analyzeFailure(stepSummary);
+
+		if (numCandidates > 0) {
+			details.candidates = self._rankServers(filteredServers)
+			    .slice(0, numCandidates).map(function (s) {
+				return ({
+					uuid: s.uuid,
+					score: s.score,
+					breakdown: s.score_breakdown
+				});
+			});
+		}
+
+		return (cb(null, server, stepSummary, details));
+	});
+};
+
+
+/*
+ * Returns a copy of 'servers' ordered by descending score. Ties are broken the
+ * same way allocate() does when it picks a server: the later server in the
+ * list wins.
+ */
+Allocator.prototype._rankServers = function (servers)
+{
+	assert.arrayOfObject(servers, 'servers');
+
+	var indexed = servers.map(function (server, i) {
+		return ({ server: server, index: i });
+	});
+
+	indexed.sort(function (a, b) {
+		return ((b.server.score - a.server.score) ||
+		    (b.index - a.index));
+	});
+
+	return (indexed.map(function (entry) {
+		return (entry.server);
+	}));
+};
+
+
+/*
+ * Determine how much free capacity is available on a group of servers. We
+ * invoke some of the same algorithms used during allocation to ensure we're
+ * returning valid data.
+ *
+ * 'tickets' (optional) are the open provisioning tickets, so that VMs which
+ * are being provisioned are not counted as free capacity.
+ *
+ * Returns the spare CPU (in units of cpu_cap), RAM (in MiB), and disk (in MiB).
+ * If a server isn't setup or valid, the reason for it being removed is also
+ * indicated.
+ */
+Allocator.prototype.serverCapacity = function (servers, tickets, cb)
+{
+	if (typeof (tickets) === 'function') {
+		cb = tickets;
+		tickets = [];
+	}
+
+	assert.arrayOfObject(servers, 'servers');
+	assert.arrayOfObject(tickets, 'tickets');
+	assert.func(cb, 'func');
+
+	var self = this;
+	var opts = self._createCapacityOpts(tickets);
+
+	opts.operation = self._startOperation('serverCapacity', servers);
+
+	servers.forEach(function (s) {
+		s.score = 0;
+	});
+
+	self._dispatch(self.serverCapacityExpr, servers, opts,
+			function (err, filteredServers, visitedAlgorithms,
+			remainingServers, reasonsRemoved) {
+		self._emitEvent('allocation-end', opts.operation, {
+			servers: filteredServers ? filteredServers.length :
+			    null,
+			error: err ? err.message : null,
+			duration: Date.now() - opts.operation.start
+		});
+
+		if (err) {
+			return (cb(err));
+		}
+
+		/* extract unreserved_ values from each server */
+		var serversUnreserved = {};
+		filteredServers.forEach(function (server) {
+			serversUnreserved[server.uuid] = {
+				cpu: server.unreserved_cpu,	/* centi-CPUs */
+				ram: server.unreserved_ram,	/* MiB */
+				disk: server.unreserved_disk	/* MiB */
+			};
+		});
+
+		/* merge all the reasons (why a server was removed) hashes */
+		var reasons = mergeReasons(reasonsRemoved);
+
+		return (cb(err, serversUnreserved, reasons));
+	});
+};
+
+
+/*
+ * Determine how many more VMs of each package in 'pkgs' fit on each server,
+ * and in total. This runs the same plugins as serverCapacity(), then filters
+ * the servers for each package with hard-filter-traits, and counts slots with
+ * lib/capacity.js: this honours the package's overprovision ratios, the memory
+ * overhead of pkg.brand (if set), hard-filter-min-disk's spare disk and the VM
+ * count limit.
+ *
+ * 'img' optionally gives the image the VMs would be created from. It is passed
+ * to the plugins, and disk is counted for it as hard-filter-min-disk does (e.g.
+ * image_size for HVM packages). Without it, the image is taken to use no disk.
+ *
+ * Returns an object with 'servers', which maps each server's UUID to an array
+ * of counts (one per package, in the same order as 'pkgs'), and 'total', an
+ * array with the counts summed over all servers. Like serverCapacity(), the
+ * reasons why servers were removed are also returned.
+ */
+Allocator.prototype.packageCapacity = function (servers, pkgs, img, cb)
+{
+	if (typeof (img) === 'function') {
+		cb = img;
+		img = undefined;
+	}
+
+	assert.arrayOfObject(servers, 'servers');
+	assert.arrayOfObject(pkgs, 'pkgs');
+	assert.optionalObject(img, 'img');
+	assert.func(cb, 'cb');
+
+	var self = this._pinConfig();
+	var opts = self._createCapacityOpts();
+
+	pkgs = pkgs.map(function (pkg) {
+		return (self._massagePkgData(jsprim.deepCopy(pkg)));
+	});
+
+	servers.forEach(function (s) {
+		s.score = 0;
+	});
+
+	self._dispatch(self.serverCapacityExpr, servers, opts,
+			function (err, filteredServers, visitedAlgorithms,
+			remainingServers, reasonsRemoved) {
+		if (err)
+			return (cb(err));
+
+		var result = {
+			servers: {},
+			total: pkgs.map(function () { return (0); })
+		};
+
+		filteredServers.forEach(function (server) {
+			result.servers[server.uuid] = pkgs.map(function () {
+				return (0);
+			});
+		});
+
+		var reasons = mergeReasons(reasonsRemoved);
+
+		function countPkg(i) {
+			if (i === pkgs.length)
+				return (cb(null, result, reasons));
+
+			var pkg = pkgs[i];
+			var pkgOpts = jsprim.mergeObjects({
+				vm: {},
+				img: img || {},
+				pkg: pkg
+			}, null, opts);
+
+			return (self._dispatch(self.packageCapacityExpr,
+					filteredServers, pkgOpts,
+					function (err2, pkgServers) {
+				if (err2)
+					return (cb(err2));
+
+				pkgServers.forEach(function (server) {
+					var slots = capacity.countSlots(server,
+					    pkg, self.defaults, img);
+
+					result.servers[server.uuid][i] = slots;
+					result.total[i] += slots;
+				});
+
+				return (countPkg(i + 1));
+			}));
+		}
+
+		return (countPkg(0));
+	});
+};
+
+
+/*
+ * Creates the opts object handed to every plugin when determining capacity.
+ * Plugins are given a VM and image without any attributes, so that those
+ * which check for e.g. traits treat the capacity as being for a plain VM.
+ */
+Allocator.prototype._createCapacityOpts = function (tickets)
+{
+	var self = this;
+
+	var opts = {
+		vm: {},
+		img: {},
+		tickets: tickets || [],
+		defaults: self.defaults
+	};
+
+	self._addPluginOpts(opts);
+
+	return (opts);
+};
+
+
+/*
+ * Copies the constructor's opts which plugins are given (PLUGIN_OPTS) to the
+ * plugin opts 'opts'.
+ */
+Allocator.prototype._addPluginOpts = function (opts)
+{
+	var self = this;
+
+	PLUGIN_OPTS.forEach(function (key) {
+		if (self.opts[key] !== undefined)
+			opts[key] = self.opts[key];
+	});
+};
+
+
+/*
+ * Returns a new operation, which identifies a call to allocate() or
+ * serverCapacity() in the events emitted for it, and emits its
+ * 'allocation-start' event. The operation is kept in opts.operation, for
+ * _dispatch() to find.
+ */
+Allocator.prototype._startOperation = function (type, servers, vmUuid)
+{
+	this.lastOperationId += 1;
+
+	var operation = {
+		id: this.lastOperationId,
+		type: type,
+		vm_uuid: vmUuid || null,
+		start: Date.now()
+	};
+
+	this._emitEvent('allocation-start', operation,
+	    { servers: servers.length });
+
+	return (operation);
+};
+
+
+/*
+ * Emits the event 'name' for 'operation' (see _startOperation()), if there is
+ * one. Every event has the operation's 'id', 'type' ("allocate" or
+ * "serverCapacity") and 'vm_uuid' (null for serverCapacity()), along with
+ * 'fields'. The events are:
+ *
+ * - allocation-start: 'servers', the number of servers given.
+ * - plugin-start: 'plugin', the plugin's name, and 'servers', the number of
+ *   servers given to it.
+ * - plugin-end: 'plugin', 'servers_in' and 'servers_out' (the number of
+ *   servers given to and returned by the plugin), 'reasons' (as returned by the
+ *   plugin), 'duration' (in milliseconds), 'failure' (see _runAlgorithm(), or
+ *   null) and 'error' (the message if the plugin failed the allocation, or
+ *   null).
+ * - allocation-end: 'duration' and 'error', as above. For allocate(),
+ *   'server_uuid', 'score' and 'score_breakdown' of the selected server (null
+ *   if none), and 'candidates' (as in allocate()'s details, or null). For
+ *   serverCapacity(), 'servers', the number of servers with capacity.
+ *
+ * Listeners which throw are logged, and don't affect the operation.
+ */
+Allocator.prototype._emitEvent = function (name, operation, fields)
+{
+	if (!operation)
+		return;
+
+	var event = {
+		id: operation.id,
+		type: operation.type,
+		vm_uuid: operation.vm_uuid
+	};
+
+	Object.keys(fields).forEach(function (key) {
+		event[key] = fields[key];
+	});
+
+	try {
+		this.emit(name, event);
+	} catch (e) {
+		this.log.warn({ err: e }, 'Listener for "%s" threw', name);
+	}
+};
+
+
+/*
+ * Takes an array of plugins with a command prefix, and dispatches the array
+ * of plugins to a function that can handle the command prefix. The recognized
+ * commands are 'pipe', 'or', 'try', 'union', 'intersect' and 'when'.
+ *
+ * When the command is 'pipe': forms a pipeline between all plugins. A list
+ * of servers is fed in to the first plugin, the servers the first plugin
+ * returns are fed to the second plugin, and so on; this continues until all
+ * plugins (or sub-expressions) are run, or until a plugin returns no servers.
+ *
+ * When the command is 'or': feeds the same list of servers to each plugin in
+ * turn until a plugin returns a non-empty list of servers.
+ *
+ * 'try', 'union', 'intersect' and 'when' are handled by _dispatchTry(),
+ * _dispatchMerge() and _dispatchWhen().
+ */
+Allocator.prototype._dispatch =
+function (algorithms, initialServers, opts, cb)
+{
+	assert.array(algorithms, 'algorithms');
+	assert.arrayOfObject(initialServers, 'initialServers');
+	assert.object(opts, 'opts');
+	assert.object(opts.log, 'opts.log');
+	assert.func(cb, 'cb');
+
+	var self = this;
+	var log = self.log;
+
+	var visitedAlgos = [];
+	var remainingServers = [];
+	var reasons = [];
+	var algorithm;
+	var startTime;
+	var startCount;
+	var prevScores;
+
+	/* we don't use shift(), to avoid modifying the referenced object */
+	var command = algorithms[0];
+	log.trace('Dispatching on "' + command + '"');
+	assert.ok(COMMANDS.hasOwnProperty(command), 'command valid');
+	algorithms = algorithms.slice(1, algorithms.length);
+
+	if (command === 'try') {
+		return (self._dispatchTry(algorithms, initialServers, opts,
+		    cb));
+	}
+
+	if (command === 'union' || command === 'intersect') {
+		return (self._dispatchMerge(command, algorithms,
+		    initialServers, opts, cb));
+	}
+
+	if (command === 'when') {
+		return (self._dispatchWhen(algorithms, initialServers, opts,
+		    cb));
+	}
+
+	function ranAlgorithms(err, servers, _visitedAlgos, _remainingServers,
+			_reasons) {
+		if (err) {
+			return (cb(err));
+		}
+
+		visitedAlgos = visitedAlgos.concat(_visitedAlgos);
+		remainingServers = remainingServers.concat(_remainingServers);
+		reasons = reasons.concat(_reasons);
+
+		return (step(servers));
+	}
+
+	function ranAlgorithm(err, servers, _reasons, failure) {
+		var timeDelta = Math.floor(new Date() - startTime);
+
+		if (err) {
+			self._emitEvent('plugin-end', opts.operation, {
+				plugin: algorithm.name,
+				servers_in: startCount,
+				servers_out: 0,
+				reasons: {},
+				duration: timeDelta,
+				failure: null,
+				error: err.message
+			});
+
+			return (cb(err));
+		}
+
+		reasons.push(_reasons);
+
+		if (failure) {
+			// the failed algorithm's score changes are discarded
+			servers.forEach(function (server) {
+				server.score = prevScores[server.uuid];
+			});
+
+			visitedAlgos.push({
+				name: algorithm.name,
+				failure: failure
+			});
+		} else {
+			visitedAlgos.push(algorithm);
+			recordScores(servers);
+		}
+
+		var serverUuids = servers.map(function (s) {
+			return (s.uuid);
+		});
+		remainingServers.push(serverUuids);
+
+		log.debug({ serverUuids: serverUuids },
+			'%s returned %d server(s) in %d ms',
+			algorithm.name, serverUuids.length, timeDelta);
+
+		self._emitEvent('plugin-end', opts.operation, {
+			plugin: algorithm.name,
+			servers_in: startCount,
+			servers_out: serverUuids.length,
+			reasons: _reasons,
+			duration: timeDelta,
+			failure: failure || null,
+			error: null
+		});
+
+		return (step(servers));
+	}
+
+	/*
+	 * Attribute any score changes on servers to the algorithm which just
+	 * ran, for servers which are having their score breakdown tracked.
+	 */
+	function recordScores(servers) {
+		servers.forEach(function (server) {
+			var breakdown = server.score_breakdown;
+			var delta = server.score - prevScores[server.uuid];
+
+			if (!breakdown || !delta)
+				return;
+
+			breakdown[algorithm.name] =
+			    (breakdown[algorithm.name] || 0) + delta;
+		});
+	}
+
+	var idx = 0;
+	function step(stepServers) {
+		if (idx === algorithms.length) {
+			return (cb(null, stepServers, visitedAlgos,
+				remainingServers, reasons));
+		}
+
+		if ((command === 'pipe' && stepServers.length === 0) ||
+		    (command === 'or' && stepServers.length > 0)) {
+			return (cb(null, stepServers, visitedAlgos,
+				remainingServers, reasons));
+		}
+
+		algorithm = algorithms[idx];
+		idx += 1;
+
+		var argServers;
+		if (command === 'pipe') {
+			argServers = stepServers;
+		} else { // command === 'or'
+			argServers = initialServers;
+		}
+
+		if (Array.isArray(algorithm)) {
+			self._dispatch(algorithm, argServers, opts,
+				ranAlgorithms);
+		} else {
+			prevScores = {};
+			argServers.forEach(function (s) {
+				prevScores[s.uuid] = s.score;
+			});
+
+			startTime = new Date();
+			startCount = argServers.length;
+
+			self._emitEvent('plugin-start', opts.operation, {
+				plugin: algorithm.name,
+				servers: startCount
+			});
+
+			self._runAlgorithm(algorithm, argServers, opts,
+			    ranAlgorithm);
+		}
+
+		return (null); // to silence linter
+	}
+
+	if (command === 'pipe') {
+		step(initialServers);
+	} else { // command === 'or'
+		step([]);
+	}
+
+	return (null);
+};
+
+
+/*
+ * Runs a single algorithm, guarding against it throwing, calling back more
+ * than once, or not calling back within the plugin_timeout default (in
+ * milliseconds; no limit if unset). If the algorithm fails in one of these
+ * ways, or returns an error, the plugin_failure_policy default decides what
+ * happens:
+ *
+ * - "fail" (the default): the allocation fails with the error.
+ * - "skip": the algorithm is skipped, passing on the servers it was given.
+ * - "drop": every server is removed.
+ *
+ * Both defaults can be set for a single algorithm by making it a plugin
+ * instance with those params. If the algorithm is skipped or drops servers,
+ * cb is called with a fourth argument describing the failure, of the form
+ * { error: <message>, policy: <policy> }.
+ */
+Allocator.prototype._runAlgorithm = function (algorithm, servers, opts, cb)
+{
+	var self = this;
+	var settings = opts.defaults || {};
+	var done = false;
+	var timer;
+
+	if (algorithm.params) {
+		settings = jsprim.mergeObjects(algorithm.params, null,
+		    settings);
+	}
+
+	var timeout = +settings.plugin_timeout || 0;
+	var policy = settings.plugin_failure_policy || 'fail';
+
+	function fail(err) {
+		var failure = { error: err.message, policy: policy };
+		var reasons = {};
+
+		self.log.error({ err: err, policy: policy },
+		    'Algorithm "%s" failed', algorithm.name);
+
+		if (policy === 'skip') {
+			reasons.skip = 'Skipped, as it failed: ' + err.message;
+			return (cb(null, servers, reasons, failure));
+		}
+
+		if (policy === 'drop') {
+			servers.forEach(function (server) {
+				reasons[server.uuid] = 'Removed, as the ' +
+				    'algorithm failed: ' + err.message;
+			});
+			return (cb(null, [], reasons, failure));
+		}
+
+		return (cb(err));
+	}
+
+	function finish(err, _servers, reasons) {
+		if (done) {
+			self.log.warn('Algorithm "%s" called back more than ' +
+			    'once, or after timing out', algorithm.name);
+			return (null);
+		}
+
+		done = true;
+		clearTimeout(timer);
+
+		if (err)
+			return (fail(err));
+
+		return (cb(null, _servers, reasons));
+	}
+
+	if (timeout > 0) {
+		timer = setTimeout(function () {
+			finish(new Error(algorithm.name + ' did not call ' +
+			    'back within ' + timeout + ' ms'));
+		}, timeout);
+	}
+
+	try {
+		algorithm.run(servers, opts, finish);
+	} catch (e) {
+		// once it has called back, exceptions come from later steps
+		if (done)
+			throw (e);
+
+		finish(e);
+	}
+};
+
+
+/*
+ * Runs 'algorithms' as a pipeline. If the pipeline returns no servers, the
+ * servers given to it are returned instead, so that a filter which would
+ * remove every server is ignored. Either way, a step is added to the summary
+ * recording what was kept.
+ */
+Allocator.prototype._dispatchTry =
+function (algorithms, initialServers, opts, cb)
+{
+	var self = this;
+
+	self._dispatch(['pipe'].concat(algorithms), initialServers, opts,
+			function (err, servers, visitedAlgos, remainingServers,
+			reasons) {
+		if (err)
+			return (cb(err));
+
+		var name;
+		if (servers.length > 0) {
+			name = 'Try succeeded, keeping its servers';
+		} else {
+			name = 'Try removed every server, reverting to the ' +
+			    'servers before it';
+			servers = initialServers;
+		}
+
+		visitedAlgos.push({ name: name });
+		remainingServers.push(servers.map(function (s) {
+			return (s.uuid);
+		}));
+		reasons.push({});
+
+		return (cb(null, servers, visitedAlgos, remainingServers,
+		    reasons));
+	});
+};
+
+
+/*
+ * Feeds 'initialServers' to each of 'algorithms' in turn, and returns the
+ * servers returned by any of them (for 'union') or by all of them (for
+ * 'intersect'), in their original order. A step is added to the summary after
+ * the steps of every branch, recording the combined result.
+ */
+Allocator.prototype._dispatchMerge =
+function (command, algorithms, initialServers, opts, cb)
+{
+	var self = this;
+
+	var visitedAlgos = [];
+	var remainingServers = [];
+	var reasons = [];
+	var counts = {};
+
+	function runBranch(i) {
+		if (i === algorithms.length)
+			return (merge());
+
+		var branch = algorithms[i];
+		if (!Array.isArray(branch))
+			branch = ['pipe', branch];
+
+		return (self._dispatch(branch, initialServers, opts,
+				function (err, servers, _visitedAlgos,
+				_remainingServers, _reasons) {
+			if (err)
+				return (cb(err));
+
+			visitedAlgos = visitedAlgos.concat(_visitedAlgos);
+			remainingServers =
+			    remainingServers.concat(_remainingServers);
+			reasons = reasons.concat(_reasons);
+
+			servers.forEach(function (s) {
+				counts[s.uuid] = (counts[s.uuid] || 0) + 1;
+			});
+
+			return (runBranch(i + 1));
+		}));
+	}
+
+	function merge() {
+		var needed = command === 'union' ? 1 : algorithms.length;
+		var name = command === 'union' ?
+		    'Servers returned by any branch' :
+		    'Servers returned by every branch';
+
+		var servers = initialServers.filter(function (s) {
+			return (counts[s.uuid] >= needed);
+		});
+
+		visitedAlgos.push({ name: name });
+		remainingServers.push(servers.map(function (s) {
+			return (s.uuid);
+		}));
+		reasons.push({});
+
+		return (cb(null, servers, visitedAlgos, remainingServers,
+		    reasons));
+	}
+
+	return (runBranch(0));
+};
+
+
+/*
+ * 'algorithms' holds pairs of a predicate and a branch, optionally followed by
+ * a default branch. Runs the branch of the first predicate which matches the
+ * request in 'opts', or the default branch if none match. If there is no
+ * default either, the servers are returned unchanged.
+ *
+ * A step is added to the summary before the branch's steps, recording which
+ * predicate matched and which branch was chosen.
+ */
+Allocator.prototype._dispatchWhen =
+function (algorithms, initialServers, opts, cb)
+{
+	var self = this;
+
+	var branch;
+	var name;
+
+	for (var i = 0; i < algorithms.length - 1; i += 2) {
+		if (predicate.matches(algorithms[i], opts)) {
+			branch = algorithms[i + 1];
+			name = 'When ' + predicate.describe(algorithms[i]) +
+			    ', use branch ' + (i / 2 + 1);
+			break;
+		}
+	}
+
+	if (!branch && algorithms.length % 2 === 1) {
+		branch = algorithms[algorithms.length - 1];
+		name = 'No condition matched, use the default branch';
+	}
+
+	var visitedAlgos = [ { name: name ||
+	    'No condition matched, keep all servers' } ];
+	var remainingServers = [ initialServers.map(function (s) {
+		return (s.uuid);
+	}) ];
+	var reasons = [ {} ];
+
+	if (!branch) {
+		return (cb(null, initialServers, visitedAlgos,
+		    remainingServers, reasons));
+	}
+
+	if (!Array.isArray(branch))
+		branch = ['pipe', branch];
+
+	return (self._dispatch(branch, initialServers, opts,
+			function (err, servers, _visitedAlgos,
+			_remainingServers, _reasons) {
+		if (err)
+			return (cb(err));
+
+		return (cb(null, servers, visitedAlgos.concat(_visitedAlgos),
+		    remainingServers.concat(_remainingServers),
+		    reasons.concat(_reasons)));
+	}));
+};
+
+
+/*
+ * Creates an array which lists the algorithm name that was run at each step,
+ * and the server UUIDs that were returned by that algorithm. This is useful as
+ * a summary of what DAPI did to reach the result.
+ */
+Allocator.prototype._createPluginSummary =
+function (servers, visitedAlgorithms, remainingServers, reasonsRemoved)
+{
+	assert.arrayOfObject(servers, 'servers');
+	assert.arrayOfObject(visitedAlgorithms, 'visitedAlgorithms');
+	assert.arrayOfArray(remainingServers, 'remainingServers');
+	assert.arrayOfObject(reasonsRemoved, 'reasonsRemoved');
+
+	var steps = [];
+	var initialServerUuids = servers.map(function (s) { return (s.uuid); });
+
+	steps.push({ step: 'Received by DAPI', remaining: initialServerUuids });
+
+	for (var i = 0; i < visitedAlgorithms.length; i++) {
+		var algoName = visitedAlgorithms[i].name;
+		var remaining = remainingServers[i];
+		var reasons = reasonsRemoved[i];
+		var step = { step: algoName, remaining: remaining };
+
+		/*
+		 * Reasons are given as strings for compatibility; plugins'
+		 * reason objects (see lib/reasons.js) go in reason_details.
+		 */
+		if (reasons && Object.keys(reasons).length !== 0) {
+			step.reasons = mod_reasons.toMessages(reasons);
+
+			var details = mod_reasons.pickDetails(reasons);
+			if (details)
+				step.reason_details = details;
+		}
+
+		if (visitedAlgorithms[i].failure)
+			step.failure = visitedAlgorithms[i].failure;
+
+		steps.push(step);
+	}
+
+	return (steps);
+};
+
+
+/*
+ * If a requested package has no overprovision attributes, we treat it as if it
+ * had an overprovision_ram of 1.0 (RAM won't overprovision, but other resources
+ * can). It's up to the caller to ensure the requested cpu_cap/ram/disk are
+ * properly balanced to prevent actual overprovisioning... unless that's their
+ * intent.
+ */
+Allocator.prototype._massagePkgData = function (pkg)
+{
+	assert.object(pkg, 'pkg');
+
+	if (pkg.overprovision_cpu)
+		pkg.overprovision_cpu = +pkg.overprovision_cpu;
+
+	if (pkg.overprovision_memory)
+		pkg.overprovision_ram = +pkg.overprovision_memory;
+
+	if (pkg.overprovision_storage)
+		pkg.overprovision_disk = +pkg.overprovision_storage;
+
+	if (pkg.overprovision_network)
+		pkg.overprovision_net = +pkg.overprovision_network;
+
+	if (pkg.overprovision_io)
+		pkg.overprovision_io = +pkg.overprovision_io;
+
+	delete pkg.overprovision_memory;
+	delete pkg.overprovision_storage;
+	delete pkg.overprovision_network;
+
+	if (!(pkg.overprovision_cpu || pkg.overprovision_ram ||
+	    pkg.overprovision_disk || pkg.overprovision_io ||
+	    pkg.overprovision_net))
+		pkg.overprovision_ram = 1.0;
+
+	return (pkg);
+};
+
+
+/*
+ * Loads all algorithms in directory 'dir', or the algorithms/ directory if not
+ * given. These can then be using when constructing an expression tree
+ * according to a provided description.
+ */
+Allocator.prototype._loadAvailableAlgorithms = function (dir)
+{
+	assert.optionalString(dir, 'dir');
+
+	var self = this;
+
+	var algoNames = [];
+	var loadedAlgorithms = {};
+
+	dir = dir || ALGORITHMS_PATH;
+
+	var files = mod_fs.readdirSync(dir);
+	var algorithmFiles = files.filter(function (file) {
+		return (file.match(/\.js$/));
+	});
+
+	algorithmFiles.forEach(function (fileName) {
+		var algorithm = self._loadAlgorithm(fileName, dir);
+
+		if (algorithm) {
+			var lookupName = fileName.split('.js')[0];
+			loadedAlgorithms[lookupName] = algorithm;
+			algoNames.push(algorithm.name);
+		}
+	});
+
+	self.log.info('Loaded the following algorithms from %s: ', dir,
+	    algoNames);
+
+	return (loadedAlgorithms);
+};
+
+
+/*
+ * Load an algorithm from a file in directory 'dir' (by default, the
+ * algorithms/ directory). Return the algorithm if valid.
+ */
+Allocator.prototype._loadAlgorithm = function (shortName, dir)
+{
+	assert.string(shortName, 'shortName');
+	assert.optionalString(dir, 'dir');
+
+	var self = this;
+	var algoPath = mod_path.resolve(dir || ALGORITHMS_PATH, shortName);
+
+	var algorithm = require(algoPath);
+
+	return (self._checkAlgorithm(algorithm, shortName));
+};
+
+
+/*
+ * Returns 'algorithm' if it has the name and run function every algorithm
+ * needs. Otherwise logs what is missing, and returns null.
+ */
+Allocator.prototype._checkAlgorithm = function (algorithm, shortName)
+{
+	var log = this.log;
+
+	if (!algorithm.run || typeof (algorithm.run) !== 'function') {
+		log.error('Algorithm "%s" does not have a run function',
+		    shortName);
+		return (null);
+	} else if (!algorithm.name || typeof (algorithm.name) != 'string') {
+		log.error('Algorithm "%s" does not have a name',
+		    shortName);
+		return (null);
+	} else if (!validFields(algorithm.requires) ||
+	    !validFields(algorithm.provides)) {
+		log.error('Algorithm "%s" has invalid requires or provides',
+		    shortName);
+		return (null);
+	} else {
+		log.debug('Algorithm "%s" has been loaded', shortName);
+		return (algorithm);
+	}
+};
+
+
+/*
+ * Returns whether 'fields' is a valid requires or provides attribute of an
+ * algorithm: either absent, or an array of field names.
+ */
+function
+validFields(fields)
+{
+	return (fields === undefined || (Array.isArray(fields) &&
+	    fields.every(function (f) {
+		return (typeof (f) === 'string');
+	})));
+}
+
+
+/*
+ * Returns a lookup of the algorithms in 'builtins', plus those loaded from the
+ * directories in 'paths' and the algorithm objects in 'plugins'. Where each
+ * custom algorithm came from is logged. Throws an error if a name is used by
+ * more than one algorithm, or if one of 'plugins' is not a valid algorithm.
+ */
+Allocator.prototype._addCustomAlgorithms =
+function (builtins, paths, plugins)
+{
+	assert.object(builtins, 'builtins');
+	assert.arrayOfString(paths, 'paths');
+	assert.object(plugins, 'plugins');
+
+	var self = this;
+	var lookup = {};
+	var origins = {};
+
+	function errExit(errStr) {
+		var errMsg = 'Bad algorithm given: ' + errStr;
+		self.log.error(errMsg);
+		throw new Error(errMsg);
+	}
+
+	function add(name, algorithm, origin) {
+		if (lookup[name]) {
+			errExit('"' + name + '" from ' + origin +
+			    ' has the same name as the one from ' +
+			    origins[name]);
+		}
+
+		lookup[name] = algorithm;
+		origins[name] = origin;
+	}
+
+	Object.keys(builtins).forEach(function (name) {
+		add(name, builtins[name], ALGORITHMS_PATH);
+	});
+
+	paths.forEach(function (dir) {
+		var loaded = self._loadAvailableAlgorithms(dir);
+
+		Object.keys(loaded).forEach(function (name) {
+			add(name, loaded[name], mod_path.resolve(dir,
+			    name + '.js'));
+			self.log.info('Loaded custom algorithm "%s" from %s',
+			    name, origins[name]);
+		});
+	});
+
+	Object.keys(plugins).forEach(function (name) {
+		if (!self._checkAlgorithm(plugins[name], name))
+			errExit('"' + name + '" in opts.algorithms is invalid');
+
+		add(name, plugins[name], 'opts.algorithms');
+		self.log.info('Loaded custom algorithm "%s" from ' +
+		    'opts.algorithms', name);
+	});
+
+	return (lookup);
+};
+
+
+/*
+ * Returns whether 'algorithm' appears anywhere in 'expression'.
+ */
+Allocator.prototype._includesAlgorithm = function (expression, algorithm)
+{
+	var self = this;
+
+	return (expression.some(function (element) {
+		if (Array.isArray(element))
+			return (self._includesAlgorithm(element, algorithm));
+
+		return (element === algorithm ||
+		    element.algorithm === algorithm);
+	}));
+};
+
+
+/*
+ * Returns the problems found in 'description', which can also be the name of a
+ * preset. Unlike the constructor, this never throws, so a new description can
+ * be checked before reconfigure() is called with it. Algorithms are looked up
+ * among those this allocator has, including custom algorithms. To check a
+ * description without an Allocator, use Allocator.validateDescription().
+ *
+ * Each problem is an object of the form:
+ *
+ *     {
+ *         "severity": "error",
+ *         "code": "UnknownAlgorithm",
+ *         "path": [3, 1],
+ *         "message": "Unrecognized algorithm: hard-filter-foo"
+ *     }
+ *
+ * 'path' holds the indexes leading to the offending element, e.g. [3, 1] is
+ * the second element of the list at index 3 of the description. Descriptions
+ * with problems of severity 'error' can't be used:
+ *
+ * - UnknownPreset: the description names a preset which doesn't exist
+ * - InvalidCommand: a list doesn't start with a known command
+ * - TooShort: a list has too few elements for its command
+ * - InvalidElement: an element isn't a string, list or plugin instance
+ * - UnknownAlgorithm: an algorithm name isn't known
+ * - InvalidInstance: a plugin instance is malformed, or has invalid params
+ * - InvalidPredicate: a predicate of 'when' is malformed
+ * - MissingDependency: an algorithm requires a field which no earlier
+ *   algorithm (nor opts.provides) provides
+ *
+ * Those with severity 'warning' can be used, but may not do what was
+ * intended:
+ *
+ * - UnreachableBranch: a branch of 'or' follows one which never removes every
+ *   server (e.g. identity), so is never run
+ * - DuplicateScorer: a scorer (or an instance of it with the same params) can
+ *   run more than once on the same servers
+ */
+Allocator.prototype.validateDescription = function (description)
+{
+	if (typeof (description) === 'string') {
+		if (!presets.PRESETS.hasOwnProperty(description)) {
+			return ([ createProblem('error', 'UnknownPreset', [],
+			    'Unknown preset: ' + description) ]);
+		}
+
+		description = presets.PRESETS[description];
+	}
+
+	if (!Array.isArray(description)) {
+		return ([ createProblem('error', 'InvalidElement', [],
+		    'Description must be a list or the name of a preset') ]);
+	}
+
+	return (this._findProblems(description, this.algorithms,
+	    this.opts.provides || []));
+};
+
+
+/*
+ * As validateDescription() above, but without creating an Allocator. 'opts'
+ * are those the constructor would be given: opts.log is required, and custom
+ * algorithms (opts.algorithmPaths and opts.algorithms) and opts.provides are
+ * taken into account. Throws if the custom algorithms can't be loaded, as the
+ * constructor would, but never because of the description.
+ */
+Allocator.validateDescription = function (description, opts)
+{
+	assert.object(opts, 'opts');
+	assert.object(opts.log, 'opts.log');
+	assert.optionalArrayOfString(opts.algorithmPaths,
+	    'opts.algorithmPaths');
+	assert.optionalObject(opts.algorithms, 'opts.algorithms');
+	assert.optionalArrayOfString(opts.provides, 'opts.provides');
+
+	// enough of an Allocator to load algorithms, without any expressions
+	var checker = Object.create(Allocator.prototype);
+	checker.log = opts.log;
+	checker.opts = opts;
+
+	if (!availableAlgorithms)
+		availableAlgorithms = checker._loadAvailableAlgorithms();
+
+	checker.algorithms = checker._addCustomAlgorithms(availableAlgorithms,
+	    opts.algorithmPaths || [], opts.algorithms || {});
+
+	return (checker.validateDescription(description));
+};
+
+
+/*
+ * Returns the problems found in 'description' (see validateDescription()).
+ * Fields which are available before the description runs are in 'provided'.
+ */
+Allocator.prototype._findProblems =
+function (description, algorithmLookup, provided)
+{
+	var problems = [];
+
+	this._checkStructure(description, algorithmLookup, [], problems);
+
+	// the remaining checks assume every element is valid
+	if (problems.some(isError))
+		return (problems);
+
+	this._checkRequirements(description, algorithmLookup, provided.slice(),
+	    [], problems);
+	checkScorers(description, [], [], problems);
+
+	return (problems);
+};
+
+
+/*
+ * Logs the problems found in a description, and returns an Error if any of
+ * them are errors, or null. The Error's 'problems' attribute holds all of them.
+ */
+Allocator.prototype._reportProblems = function (problems)
+{
+	var self = this;
+	var errors = problems.filter(isError);
+
+	problems.forEach(function (problem) {
+		if (!isError(problem)) {
+			self.log.warn({ problem: problem },
+			    'Allocation description: ' + problem.message);
+		}
+	});
+
+	if (errors.length === 0)
+		return (null);
+
+	var errMsg = 'Bad expression given: ' + errors.map(function (problem) {
+		return (problem.message);
+	}).join('; ');
+
+	self.log.error({ problems: problems }, errMsg);
+
+	var err = new Error(errMsg);
+	err.problems = problems;
+	return (err);
+};
+
+
+/*
+ * Checks that each list in 'description' has a known command and enough
+ * elements, and that each element is a known algorithm, a valid plugin
+ * instance or (in 'when') a valid predicate. Also warns about branches of 'or'
+ * which can never be reached. Problems are added to 'problems'.
+ */
+Allocator.prototype._checkStructure =
+function (description, algorithmLookup, path, problems)
+{
+	var self = this;
+	var command = description[0];
+
+	function add(code, elemPath, message) {
+		problems.push(createProblem('error', code, elemPath, message));
+	}
+
+	if (!COMMANDS.hasOwnProperty(command)) {
+		add('InvalidCommand', path, 'Invalid command: ' + command);
+		return;
+	}
+
+	if (description.length < COMMANDS[command]) {
+		add('TooShort', path, 'sexp too short for given command: ' +
+		    command);
+	}
+
+	var branches = branchIndexes(description);
+
+	for (var i = 1; i < description.length; i++) {
+		var element = description[i];
+		var elemPath = path.concat(i);
+
+		if (branches.indexOf(i) === -1) {
+			var predErr = predicate.validate(element);
+			if (predErr)
+				add('InvalidPredicate', elemPath, predErr);
+		} else if (Array.isArray(element)) {
+			self._checkStructure(element, algorithmLookup,
+			    elemPath, problems);
+		} else if (typeof (element) === 'object' && element !== null) {
+			self._validateInstance(element, algorithmLookup,
+			    elemPath, problems);
+		} else if (typeof (element) !== 'string') {
+			add('InvalidElement', elemPath,
+			    'Invalid element: ' + element);
+		} else if (!algorithmLookup[element]) {
+			add('UnknownAlgorithm', elemPath,
+			    'Unrecognized algorithm: ' + element);
+		}
+	}
+
+	if (command !== 'or')
+		return;
+
+	// 'or' stops at the first branch which returns servers
+	for (i = 1; i < description.length - 1; i++) {
+		if (!alwaysKeepsServers(description[i]))
+			continue;
+
+		for (var j = i + 1; j < description.length; j++) {
+			problems.push(createProblem('warning',
+			    'UnreachableBranch', path.concat(j),
+			    'Branch ' + j + ' of or is never reached, as ' +
+			    'branch ' + i + ' never removes every server'));
+		}
+		return;
+	}
+};
+
+
+/*
+ * Checks a plugin instance element of a description, of the form
+ * { "plugin": <name>, "params": <object> }. Problems are added to 'problems'.
+ */
+Allocator.prototype._validateInstance =
+function (element, algorithmLookup, path, problems)
+{
+	function add(code, message) {
+		problems.push(createProblem('error', code, path, message));
+	}
+
+	var invalidKeys = Object.keys(element).filter(function (key) {
+		return (key !== 'plugin' && key !== 'params');
+	});
+
+	if (invalidKeys.length > 0) {
+		add('InvalidInstance', 'Invalid plugin instance attribute: ' +
+		    invalidKeys[0]);
+		return;
+	}
+
+	var name = element.plugin;
+	if (typeof (name) !== 'string') {
+		add('InvalidInstance', 'Plugin instance has no plugin name');
+		return;
+	}
+
+	if (!algorithmLookup[name]) {
+		add('UnknownAlgorithm', 'Unrecognized algorithm: ' + name);
+		return;
+	}
+
+	var params = element.params;
+	if (params === undefined)
+		return;
+
+	if (typeof (params) !== 'object' || params === null ||
+	    Array.isArray(params)) {
+		add('InvalidInstance', 'Params of ' + name +
+		    ' are not an object');
+		return;
+	}
+
+	var msg = validations.validateDefaults(params);
+	if (msg) {
+		add('InvalidInstance', 'Params of ' + name + ' are invalid: ' +
+		    msg);
+	}
+};
+
+
+/*
+ * Given an expression description, and available algorithms, construct an
+ * expression which can be interpreted for allocation. Throws an Error if the
+ * description has problems of severity 'error' (see validateDescription()),
+ * and logs any warnings.
+ *
+ * Besides the names of algorithms, a description can contain plugin instances
+ * of the form { "plugin": <name>, "params": <object> }. The params are merged
+ * over the defaults whenever that instance runs, so that the same plugin can be
+ * used with different settings in different parts of the expression.
+ *
+ * Algorithms can declare the server and opts fields they require from earlier
+ * algorithms, and the fields they provide (see _checkRequirements()). Fields
+ * which are available before the expression runs can be given in 'provided'.
+ */
+Allocator.prototype._createExpression =
+function (description, algorithmLookup, provided)
+{
+	assert.array(description, 'description');
+	assert.object(algorithmLookup, 'algorithmLookup');
+	assert.optionalArrayOfString(provided, 'provided');
+
+	var err = this._reportProblems(this._findProblems(description,
+	    algorithmLookup, provided || []));
+	if (err)
+		throw (err);
+
+	return (buildExpression(description, algorithmLookup));
+};
+
+
+/*
+ * Checks that every algorithm in 'description' only requires fields which are
+ * in 'provided', or are provided by an algorithm that always runs before it.
+ * Problems are added to 'problems'. On return, 'provided' holds the fields
+ * available after 'description' has run.
+ *
+ * Algorithms declare these fields in optional 'requires' and 'provides'
+ * arrays, e.g. 'server.unreserved_ram' or 'opts.vm.locality'. How fields flow
+ * depends on the command:
+ *
+ * - 'pipe': each algorithm sees what the algorithms before it provided.
+ * - 'try': as 'pipe', but what it provides isn't relied on afterwards, since
+ *   its servers may be the ones it was given.
+ * - 'or', 'union' and 'when': each branch only sees what was provided before
+ *   the command, and afterwards only what every branch provides is available.
+ * - 'intersect': as above, but afterwards what any branch provides is
+ *   available, since returned servers went through every branch.
+ */
+Allocator.prototype._checkRequirements =
+function (description, algorithmLookup, provided, path, problems)
+{
+	var self = this;
+	var command = description[0];
+
+	function check(i, fields) {
+		var element = description[i];
+		var elemPath = path.concat(i);
+
+		if (Array.isArray(element)) {
+			self._checkRequirements(element, algorithmLookup,
+			    fields, elemPath, problems);
+			return;
+		}
+
+		var name = element.plugin || element;
+		var algorithm = algorithmLookup[name];
+		var missing = (algorithm.requires || []).filter(function (f) {
+			return (fields.indexOf(f) === -1);
+		});
+
+		if (missing.length > 0) {
+			problems.push(createProblem('error',
+			    'MissingDependency', elemPath, name +
+			    ' requires ' + missing.join(', ') +
+			    ', which no earlier algorithm provides'));
+		}
+
+		(algorithm.provides || []).forEach(function (f) {
+			if (fields.indexOf(f) === -1)
+				fields.push(f);
+		});
+	}
+
+	var branches = branchIndexes(description);
+
+	if (command === 'pipe' || command === 'try') {
+		var fields = (command === 'pipe' ? provided : provided.slice());
+
+		branches.forEach(function (i) {
+			check(i, fields);
+		});
+
+		return;
+	}
+
+	var outputs = branches.map(function (i) {
+		var branchFields = provided.slice();
+		check(i, branchFields);
+		return (branchFields);
+	});
+
+	// without a default branch, 'when' may pass servers on unchanged
+	if (command === 'when' && description.length % 2 === 1)
+		outputs.push(provided.slice());
+
+	var result = outputs[0].filter(function (f) {
+		return (outputs.every(function (output) {
+			return (output.indexOf(f) !== -1);
+		}));
+	});
+
+	if (command === 'intersect') {
+		var all = [].concat.apply([], outputs);
+		result = all.filter(function (f, j) {
+			return (all.indexOf(f) === j);
+		});
+	}
+
+	provided.length = 0;
+	Array.prototype.push.apply(provided, result);
+};
+
+
+/*
+ * Warns about scorers which run more than once on the same servers, adding
+ * their scores twice. Instances of the same scorer with different params (e.g.
+ * weights) are different scorers. 'seen' holds the keys (see scorerKey()) of
+ * scorers which may have run before 'description', and on return also those
+ * which may have run in it.
+ */
+function
+checkScorers(description, seen, path, problems)
+{
+	var command = description[0];
+	var before = seen.slice();
+
+	function check(i, scorers) {
+		var element = description[i];
+		var elemPath = path.concat(i);
+
+		if (Array.isArray(element)) {
+			checkScorers(element, scorers, elemPath, problems);
+			return;
+		}
+
+		var name = element.plugin || element;
+		if (name.indexOf('score-') !== 0)
+			return;
+
+		var key = scorerKey(element);
+		if (scorers.indexOf(key) !== -1) {
+			problems.push(createProblem('warning',
+			    'DuplicateScorer', elemPath, name + ' scores ' +
+			    'servers which it has already scored'));
+			return;
+		}
+
+		scorers.push(key);
+	}
+
+	branchIndexes(description).forEach(function (i) {
+		if (command === 'pipe' || command === 'try') {
+			check(i, seen);
+			return;
+		}
+
+		// branches only see the scorers which ran before them
+		var scorers = before.slice();
+		check(i, scorers);
+		scorers.forEach(function (key) {
+			if (seen.indexOf(key) === -1)
+				seen.push(key);
+		});
+	});
+}
+
+
+/*
+ * Returns a key identifying the scorer in 'element' of a description: its
+ * plugin name plus any params, so that a name and an instance without params
+ * are the same scorer, but instances with different params are not.
+ */
+function
+scorerKey(element)
+{
+	var params = element.params || {};
+
+	return (JSON.stringify([ element.plugin || element,
+	    Object.keys(params).sort().map(function (param) {
+		return ([ param, params[param] ]);
+	}) ]));
+}
+
+
+/*
+ * Returns whether 'element' of a description always returns servers when given
+ * some, i.e. whether an 'or' never goes past it.
+ */
+function
+alwaysKeepsServers(element)
+{
+	if (!Array.isArray(element))
+		return ((element.plugin || element) === 'identity');
+
+	var command = element[0];
+	var branches = branchIndexes(element).map(function (i) {
+		return (element[i]);
+	});
+
+	switch (command) {
+	case 'try':
+		return (true);
+	case 'pipe':
+	case 'intersect':
+		return (branches.every(alwaysKeepsServers));
+	case 'or':
+	case 'union':
+		return (branches.some(alwaysKeepsServers));
+	case 'when':
+		// without a default, servers are passed on unchanged
+		return (branches.every(alwaysKeepsServers));
+	default:
+		return (false);
+	}
+}
+
+
+/*
+ * Returns the indexes of the elements of 'description' which are algorithms or
+ * sub-lists, skipping the command and the predicates of 'when'.
+ */
+function
+branchIndexes(description)
+{
+	var indexes = [];
+
+	for (var i = 1; i < description.length; i++) {
+		// predicates are at odd positions, unless last (the default)
+		if (description[0] === 'when' && i % 2 === 1 &&
+		    i !== description.length - 1) {
+			continue;
+		}
+
+		indexes.push(i);
+	}
+
+	return (indexes);
+}
+
+
+/*
+ * Turns a valid description into an expression, replacing algorithm names and
+ * plugin instances with the algorithms they refer to.
+ */
+function
+buildExpression(description, algorithmLookup)
+{
+	return (description.map(function (element, i) {
+		if (i === 0 || branchIndexes(description).indexOf(i) === -1)
+			return (element);
+
+		if (Array.isArray(element))
+			return (buildExpression(element, algorithmLookup));
+
+		if (typeof (element) === 'object') {
+			return (createInstance(algorithmLookup[element.plugin],
+			    element.params));
+		}
+
+		return (algorithmLookup[element]);
+	}));
+}
+
+
+function
+createProblem(severity, code, path, message)
+{
+	return ({
+		severity: severity,
+		code: code,
+		path: path,
+		message: message
+	});
+}
+
+
+function
+isError(problem)
+{
+	return (problem.severity === 'error');
+}
+
+
+/*
+ * Given the steps of an allocation, returns the name of the step which removed
+ * each server that didn't make it to the end, keyed by server UUID. Servers
+ * can come back in later steps (e.g. in a later branch of 'or', or when 'try'
+ * reverts), so this is the last step that removed them.
+ */
+function
+findRemovingSteps(steps)
+{
+	var indexes = findRemovingIndexes(steps);
+	var removedBy = {};
+
+	Object.keys(indexes).forEach(function (uuid) {
+		removedBy[uuid] = steps[indexes[uuid]].step;
+	});
+
+	return (removedBy);
+}
+
+
+/*
+ * Like findRemovingSteps(), but returns the index in 'steps' of each step.
+ */
+function
+findRemovingIndexes(steps)
+{
+	var removedBy = {};
+	var previous = steps[0].remaining;
+
+	steps.forEach(function (step, i) {
+		if (i === 0)
+			return;
+
+		previous.forEach(function (uuid) {
+			if (step.remaining.indexOf(uuid) === -1)
+				removedBy[uuid] = i;
+		});
+
+		step.remaining.forEach(function (uuid) {
+			delete removedBy[uuid];
+		});
+
+		previous = step.remaining;
+	});
+
+	return (removedBy);
+}
+
+
+/*
+ * Works out why an allocation found no server, from its steps. Returns an
+ * object with these attributes:
+ *
+ * - emptied_by: the name of the step which removed the last servers, or null
+ *   if no servers were given.
+ * - removed_by: for each step which removed servers, by name, the UUIDs of
+ *   those 'servers' and how many of them were removed for each reason code
+ *   (see lib/reasons.js) in 'codes'. Servers without a reason object are
+ *   counted as "Unspecified". As in findRemovingSteps(), a server is counted
+ *   under the last step which removed it.
+ * - nearest_misses: the servers removed latest in the chain, with the step
+ *   that removed them and that step's reason: its 'code', 'resource',
+ *   'requested' and 'available', and the 'gap' between requested and
+ *   available where both are numbers (e.g. 1192 if 8192 MiB was needed and
+ *   the server had 7000 MiB).
+ */
+function
+analyzeFailure(steps)
+{
+	var indexes = findRemovingIndexes(steps);
+	var analysis = { emptied_by: null, removed_by: {}, nearest_misses: [] };
+	var latest = 0;
+
+	// keep the order the servers were given in
+	var removed = steps[0].remaining.filter(function (uuid) {
+		return (indexes[uuid] !== undefined);
+	});
+
+	steps.forEach(function (step, i) {
+		if (i > 0 && step.remaining.length === 0 &&
+		    steps[i - 1].remaining.length > 0) {
+			analysis.emptied_by = step.step;
+		}
+	});
+
+	removed.forEach(function (uuid) {
+		var step = steps[indexes[uuid]];
+		var reason = findReason(step, uuid);
+		var code = reason ? reason.code : 'Unspecified';
+		var group = analysis.removed_by[step.step];
+
+		if (!group) {
+			group = analysis.removed_by[step.step] =
+			    { servers: [], codes: {} };
+		}
+
+		group.servers.push(uuid);
+		group.codes[code] = (group.codes[code] || 0) + 1;
+
+		latest = Math.max(latest, indexes[uuid]);
+	});
+
+	removed.forEach(function (uuid) {
+		if (indexes[uuid] !== latest)
+			return;
+
+		var step = steps[latest];
+		var reason = findReason(step, uuid) || {};
+		var miss = {
+			server_uuid: uuid,
+			step: step.step,
+			code: reason.code || 'Unspecified',
+			resource: valueOrNull(reason.resource),
+			requested: valueOrNull(reason.requested),
+			available: valueOrNull(reason.available),
+			gap: null
+		};
+
+		if (typeof (miss.requested) === 'number' &&
+		    typeof (miss.available) === 'number') {
+			miss.gap = miss.requested - miss.available;
+		}
+
+		analysis.nearest_misses.push(miss);
+	});
+
+	return (analysis);
+}
+
+
+/*
+ * Returns the reason object which 'step' gives for removing server 'uuid', or
+ * null if it has none.
+ */
+function
+findReason(step, uuid)
+{
+	var details = step.reason_details || {};
+
+	return (details[uuid] || details['*'] || null);
+}
+
+
+function
+valueOrNull(value)
+{
+	return (value === undefined ? null : value);
+}
+
+
+/*
+ * Merges the reasons of each step into one hash, for serverCapacity() and
+ * packageCapacity(). Reasons are given in their legacy string form.
+ */
+function
+mergeReasons(reasonsRemoved)
+{
+	var reasons = {};
+
+	reasonsRemoved.forEach(function (serverReasons) {
+		var messages = mod_reasons.toMessages(serverReasons);
+
+		for (var key in messages) {
+			reasons[key] = messages[key];
+		}
+	});
+
+	return (reasons);
+}
+
+
+/*
+ * Wraps 'algorithm' so that it runs with 'params' merged over opts.defaults.
+ * The instance's name includes the params, so that steps (and score
+ * breakdowns) from different instances of the same plugin can be told apart.
+ */
+function
+createInstance(algorithm, params)
+{
+	if (!params || Object.keys(params).length === 0)
+		return (algorithm);
+
+	var desc = Object.keys(params).map(function (key) {
+		return (key + '=' + JSON.stringify(params[key]));
+	}).join(', ');
+
+	return ({
+		name: algorithm.name + ' (' + desc + ')',
+		algorithm: algorithm,
+		params: params,
+		run: function runInstance(servers, opts, cb) {
+			var instOpts = {};
+
+			Object.keys(opts).forEach(function (key) {
+				instOpts[key] = opts[key];
+			});
+
+			instOpts.defaults = jsprim.mergeObjects(params, null,
+			    opts.defaults);
+
+			return (algorithm.run(servers, instOpts, cb));
+		}
+	});
+}
+
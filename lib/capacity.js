@@ -0,0 +1,106 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Functions for working out how many VMs of a given package still fit on a
+ * server -- its "slots" for that package.
+ *
+ * These work on servers which have been through calculate-server-unreserved,
+ * and follow the same rules as hard-filter-min-ram, hard-filter-min-cpu,
+ * hard-filter-min-disk and hard-filter-vm-count when converting a package's
+ * dimensions into the resources it reserves. Each VM is also charged the
+ * memory overhead of its brand, as reservations.addVm() would. Traits are not
+ * considered here; callers filter servers with hard-filter-traits first.
+ */
+
+var assert = require('assert-plus');
+var disk = require('./algorithms/shared/disk');
+var reservations = require('./reservations');
+
+
+// an image which takes no disk, for when none is given
+var NO_IMG = { files: [], image_size: 0 };
+// value should match DEFAULT_VM_LIMIT in algorithms/hard-filter-vm-count.js
+var DEFAULT_VM_LIMIT = 224;
+
+
+/*
+ * Returns how many more VMs of package 'pkg' fit into the unreserved CPU, RAM
+ * and disk of 'server'. 'pkg' must already have been massaged by the
+ * allocator (i.e. use overprovision_ram, not overprovision_memory). If
+ * pkg.brand is set, it is used as the brand of the VMs.
+ *
+ * 'defaults' are the allocator's defaults, from which filter_vm_limit is used.
+ * 'img' is the image the VMs are created from, if known; disk is charged for
+ * it as hard-filter-min-disk does (e.g. image_size for HVM VMs).
+ */
+function
+countSlots(server, pkg, defaults, img)
+{
+	assert.object(server, 'server');
+	assert.object(pkg, 'pkg');
+	assert.number(pkg.max_physical_memory, 'pkg.max_physical_memory');
+	assert.optionalObject(defaults, 'defaults');
+	assert.optionalObject(img, 'img');
+
+	defaults = defaults || {};
+	img = img || NO_IMG;
+
+	var hvm = ['bhyve', 'kvm'].indexOf(pkg.brand) !== -1;
+	var ram = pkg.max_physical_memory;
+
+	if (hvm) {
+		ram += reservations.memOverhead(pkg.brand);
+	} else {
+		ram /= pkg.overprovision_ram || 1;
+	}
+
+	var slots = Math.floor(server.unreserved_ram / ram);
+
+	if (pkg.cpu_cap) {
+		slots = Math.min(slots, Math.floor(server.unreserved_cpu /
+		    (pkg.cpu_cap / (pkg.overprovision_cpu || 1))));
+	}
+
+	if (pkg.quota) {
+		var vmDisk = disk.requestedDisk({ brand: pkg.brand }, img, pkg);
+
+		// the last VM still needs FUDGE_MB spare
+		slots = Math.min(slots, Math.floor(
+		    (server.unreserved_disk - disk.FUDGE_MB) / vmDisk));
+	}
+
+	var vmLimit = +defaults.filter_vm_limit || DEFAULT_VM_LIMIT;
+	var numVms = Object.keys(server.vms || {}).length;
+	slots = Math.min(slots, vmLimit - numVms);
+
+	return (Math.max(slots, 0));
+}
+
+
+/*
+ * Returns the sum of countSlots() for each package in 'pkgs' on 'server'.
+ */
+function
+countAllSlots(server, pkgs, defaults, img)
+{
+	assert.object(server, 'server');
+	assert.arrayOfObject(pkgs, 'pkgs');
+
+	return (pkgs.reduce(function (acc, pkg) {
+		return (acc + countSlots(server, pkg, defaults, img));
+	}, 0));
+}
+
+
+module.exports = {
+	countSlots: countSlots,
+	countAllSlots: countAllSlots
+};
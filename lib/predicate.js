@@ -0,0 +1,183 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Predicates used by the 'when' command in allocation descriptions.
+ *
+ * A predicate is an object mapping a field of the allocation request to the
+ * value that field must have. Fields are dotted paths starting at 'vm', 'img'
+ * or 'pkg', e.g. 'vm.brand' or 'img.requirements.min_platform'. A value can
+ * be:
+ *
+ * - a string or number, which the field must equal
+ * - a boolean, which the truthiness of the field must equal (so that
+ *   { "vm.docker": false } matches VMs without a docker attribute)
+ * - an array of strings and numbers, one of which the field must equal
+ * - { "present": true } or { "present": false }, for whether the field is
+ *   set. Empty objects and arrays count as not set.
+ *
+ * A predicate matches if all of its fields match. For example:
+ *
+ *     { "vm.brand": ["bhyve", "kvm"], "vm.traits": { "present": false } }
+ */
+
+var assert = require('assert-plus');
+
+
+var ROOTS = ['vm', 'img', 'pkg'];
+
+
+/*
+ * Returns a string describing what is wrong with 'predicate', or null if it is
+ * valid.
+ */
+function
+validate(predicate)
+{
+	if (typeof (predicate) !== 'object' || predicate === null ||
+	    Array.isArray(predicate)) {
+		return ('predicate must be an object');
+	}
+
+	var fields = Object.keys(predicate);
+	if (fields.length === 0)
+		return ('predicate must have at least one field');
+
+	for (var i = 0; i !== fields.length; i++) {
+		var field = fields[i];
+		var value = predicate[field];
+
+		if (ROOTS.indexOf(field.split('.')[0]) === -1) {
+			return ('predicate field ' + field + ' must start ' +
+			    'with vm., img. or pkg.');
+		}
+
+		if (!validValue(value)) {
+			return ('predicate field ' + field + ' has an ' +
+			    'invalid value');
+		}
+	}
+
+	return (null);
+}
+
+
+/*
+ * Returns whether 'predicate' matches the request in 'opts' (which has vm, img
+ * and pkg attributes).
+ */
+function
+matches(predicate, opts)
+{
+	assert.object(predicate, 'predicate');
+	assert.object(opts, 'opts');
+
+	return (Object.keys(predicate).every(function (field) {
+		return (matchesValue(lookup(opts, field), predicate[field]));
+	}));
+}
+
+
+/*
+ * Returns a human-readable form of 'predicate', for step summaries.
+ */
+function
+describe(predicate)
+{
+	assert.object(predicate, 'predicate');
+
+	return (Object.keys(predicate).map(function (field) {
+		var value = predicate[field];
+
+		if (Array.isArray(value)) {
+			return (field + ' is one of ' +
+			    value.map(JSON.stringify).join(', '));
+		}
+
+		if (typeof (value) === 'object') {
+			return (field + ' is ' +
+			    (value.present ? 'present' : 'absent'));
+		}
+
+		return (field + ' is ' + JSON.stringify(value));
+	}).join(' and '));
+}
+
+
+function
+validValue(value)
+{
+	if (isScalar(value) || typeof (value) === 'boolean')
+		return (true);
+
+	if (Array.isArray(value))
+		return (value.length > 0 && value.every(isScalar));
+
+	return (typeof (value) === 'object' && value !== null &&
+	    Object.keys(value).length === 1 &&
+	    typeof (value.present) === 'boolean');
+}
+
+
+function
+isScalar(value)
+{
+	return (typeof (value) === 'string' || typeof (value) === 'number');
+}
+
+
+function
+matchesValue(actual, expected)
+{
+	if (typeof (expected) === 'boolean')
+		return (!!actual === expected);
+
+	if (Array.isArray(expected))
+		return (expected.indexOf(actual) !== -1);
+
+	if (typeof (expected) === 'object')
+		return (isPresent(actual) === expected.present);
+
+	return (actual === expected);
+}
+
+
+function
+isPresent(value)
+{
+	if (value === undefined || value === null)
+		return (false);
+
+	if (typeof (value) === 'object')
+		return (Object.keys(value).length > 0);
+
+	return (true);
+}
+
+
+/*
+ * Follows a dotted path such as 'vm.brand' through 'obj'.
+ */
+function
+lookup(obj, path)
+{
+	return (path.split('.').reduce(function (acc, key) {
+		if (acc === undefined || acc === null)
+			return (undefined);
+		return (acc[key]);
+	}, obj));
+}
+
+
+module.exports = {
+	validate: validate,
+	matches: matches,
+	describe: describe
+};
@@ -0,0 +1,119 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Named allocation descriptions which ship with DAPI, so that consumers don't
+ * need to maintain their own. The Allocator constructor accepts the name of one
+ * of these in place of a description, and uses DEFAULT_PRESET when given no
+ * description at all.
+ *
+ * All presets share the same filters, which remove servers that can't take
+ * the VM. They differ in how the remaining servers are ordered:
+ *
+ * - "pack" prefers servers with the least unreserved RAM and disk, filling
+ *   servers up before using empty ones. Locality hints are only followed if
+ *   they are strict.
+ *
+ * - "spread" prefers servers with the most unreserved RAM and disk, and by
+ *   default keeps an owner's VMs on separate servers (soft-filter-locality-
+ *   hints). This is the default.
+ *
+ * - "ha" is "spread", but weighs keeping an owner's VMs on separate servers
+ *   and racks above free resources.
+ *
+ * Scoring weights which define a preset are set with plugin instance params,
+ * so override those of the defaults. Other weights (e.g.
+ * weight_current_platform) still come from the defaults. Note that a positive
+ * weight_unreserved_ram or weight_unreserved_disk gives higher scores to
+ * servers with *less* unreserved RAM or disk.
+ */
+
+
+var FILTERS = [
+	'hard-filter-setup',
+	'hard-filter-running',
+	// servers above invalid-servers could contain gibberish
+	'hard-filter-invalid-servers',
+	// keep volumes-from early; if present, it cuts down number
+	// of servers to just one:
+	'hard-filter-volumes-from',
+	'hard-filter-reserved',
+	'hard-filter-vlans',
+	'hard-filter-platform-versions',
+	'hard-filter-feature-min-platform',
+	'hard-filter-virtual-servers',
+	'hard-filter-traits',
+	'hard-filter-headnode',
+	'override-overprovisioning',
+	'hard-filter-overprovision-ratios',
+	// above plugins do not need vm info
+	// we defer vm loading as late as possible:
+	'load-server-vms',
+	'calculate-recent-vms',
+	'calculate-ticketed-vms',
+	'hard-filter-hvm',
+	'hard-filter-capness',
+	'hard-filter-vm-count',
+	'calculate-server-unreserved',
+	'hard-filter-min-ram',
+	'hard-filter-min-cpu',
+	'hard-filter-min-disk',
+	'hard-filter-min-free-disk',
+	'calculate-affinity',
+	'hard-filter-locality-hints',
+	'hard-filter-owners-servers',
+	['try', 'hard-filter-reservoir'],
+	['try', 'hard-filter-large-servers']
+];
+
+var COMMON_SCORERS = [
+	'score-current-platform',
+	'score-next-reboot',
+	'score-uniform-random'
+];
+
+
+function
+score(plugin, weights)
+{
+	return ({ plugin: plugin, params: weights });
+}
+
+
+var PRESETS = {
+	pack: ['pipe'].concat(FILTERS, [
+		score('score-unreserved-ram', { weight_unreserved_ram: 2 }),
+		score('score-unreserved-disk', { weight_unreserved_disk: 1 })
+	], COMMON_SCORERS),
+
+	spread: ['pipe'].concat(FILTERS, [
+		'soft-filter-locality-hints',
+		score('score-unreserved-ram', { weight_unreserved_ram: -2 }),
+		score('score-unreserved-disk', { weight_unreserved_disk: -1 }),
+		score('score-num-owner-zones', { weight_num_owner_zones: 1 })
+	], COMMON_SCORERS),
+
+	ha: ['pipe'].concat(FILTERS, [
+		// racks are counted before soft-filter-locality-hints removes
+		// the servers with the owner's VMs
+		score('score-num-owner-rack-zones',
+		    { weight_num_owner_rack_zones: 8 }),
+		'soft-filter-locality-hints',
+		score('score-num-owner-zones', { weight_num_owner_zones: 4 }),
+		score('score-unreserved-ram', { weight_unreserved_ram: -1 }),
+		score('score-unreserved-disk', { weight_unreserved_disk: -0.5 })
+	], COMMON_SCORERS)
+};
+
+
+module.exports = {
+	DEFAULT_PRESET: 'spread',
+	PRESETS: PRESETS
+};
@@ -0,0 +1,79 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * A seedable pseudo-random number generator.
+ *
+ * Plugins which make random choices use opts.random instead of Math.random(),
+ * so that an allocation can be replayed: given the same inputs and the same
+ * seed, the same server will be selected. This is not suitable for anything
+ * where unpredictability matters.
+ */
+
+var assert = require('assert-plus');
+
+
+/*
+ * Returns a function which behaves like Math.random() -- returning numbers in
+ * the range [0, 1) -- but which always returns the same sequence of numbers for
+ * a given seed. The seed can be a number or a string (e.g. a VM UUID).
+ */
+function
+createPrng(seed)
+{
+	assert.ok(typeof (seed) === 'number' || typeof (seed) === 'string',
+	    'seed is a number or string');
+
+	var state = hashSeed(String(seed));
+
+	/* mulberry32 */
+	return function random() {
+		state = (state + 0x6D2B79F5) | 0;
+
+		var t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+		return (((t ^ (t >>> 14)) >>> 0) / 4294967296);
+	};
+}
+
+
+/*
+ * Returns a new seed, for when an allocation provides none.
+ */
+function
+generateSeed()
+{
+	return (Math.floor(Math.random() * 4294967296));
+}
+
+
+/*
+ * Reduce a string to a 32-bit integer, using FNV-1a.
+ */
+function
+hashSeed(str)
+{
+	var hash = 0x811C9DC5;
+
+	for (var i = 0; i !== str.length; i++) {
+		hash ^= str.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+
+	return (hash >>> 0);
+}
+
+
+module.exports = {
+	createPrng: createPrng,
+	generateSeed: generateSeed
+};
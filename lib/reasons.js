@@ -0,0 +1,154 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Machine-readable reasons for why plugins removed servers.
+ *
+ * Plugins describe why they removed a server in reasons[server.uuid], or in
+ * reasons['*'] when the reason applies to all servers. These used to be
+ * free-text messages only, which consumers had to parse. The hard-filter-* and
+ * soft-filter-* plugins now give an object instead, e.g.:
+ *
+ *     {
+ *       "code": "InsufficientRam",
+ *       "plugin": "hard-filter-min-ram",
+ *       "resource": "ram",
+ *       "requested": 2048,
+ *       "available": 1024,
+ *       "message": "VM's calculated 2048 RAM is less than server's spare 1024"
+ *     }
+ *
+ * 'code' is stable, and identifies why the server was removed. 'resource' is
+ * what the reason concerns (e.g. "ram" or "platform"), 'requested' is what the
+ * VM needs of it, and 'available' is what the server has. Those three are null
+ * when they don't apply. 'message' is the same text plugins gave before.
+ *
+ * reasons.skip, which plugins set when they have nothing to do, is still a
+ * string. Step summaries also keep giving strings in 'reasons' (see
+ * toMessages()), and give the objects in 'reason_details'.
+ */
+
+var assert = require('assert-plus');
+
+
+/*
+ * Returns a reason object. 'details' can have 'resource', 'requested' and
+ * 'available' attributes.
+ */
+function
+create(plugin, code, message, details)
+{
+	assert.string(plugin, 'plugin');
+	assert.string(code, 'code');
+	assert.string(message, 'message');
+	assert.optionalObject(details, 'details');
+
+	details = details || {};
+
+	return ({
+		code: code,
+		plugin: plugin,
+		resource: valueOrNull(details.resource),
+		requested: valueOrNull(details.requested),
+		available: valueOrNull(details.available),
+		message: message
+	});
+}
+
+
+/*
+ * Returns a function like create(), with 'plugin' already filled in.
+ */
+function
+factory(plugin)
+{
+	assert.string(plugin, 'plugin');
+
+	return (function createReason(code, message, details) {
+		return (create(plugin, code, message, details));
+	});
+}
+
+
+function
+isReason(reason)
+{
+	return (typeof (reason) === 'object' && reason !== null &&
+	    typeof (reason.code) === 'string' &&
+	    typeof (reason.message) === 'string');
+}
+
+
+/*
+ * Returns the legacy string form of a reason.
+ */
+function
+toMessage(reason)
+{
+	return (isReason(reason) ? reason.message : reason);
+}
+
+
+/*
+ * Returns a copy of a plugin's 'reasons' with each reason in its legacy string
+ * form.
+ */
+function
+toMessages(reasons)
+{
+	assert.object(reasons, 'reasons');
+
+	var messages = {};
+
+	Object.keys(reasons).forEach(function (key) {
+		messages[key] = toMessage(reasons[key]);
+	});
+
+	return (messages);
+}
+
+
+/*
+ * Returns the reason objects in a plugin's 'reasons', or null if it has none.
+ */
+function
+pickDetails(reasons)
+{
+	assert.object(reasons, 'reasons');
+
+	var details = null;
+
+	Object.keys(reasons).forEach(function (key) {
+		if (!isReason(reasons[key]))
+			return;
+
+		details = details || {};
+		details[key] = reasons[key];
+	});
+
+	return (details);
+}
+
+
+function
+valueOrNull(value)
+{
+	return (value === undefined ? null : value);
+}
+
+
+module.exports = {
+	create: create,
+	factory: factory,
+	isReason: isReason,
+	toMessage: toMessage,
+	toMessages: toMessages,
+	pickDetails: pickDetails
+};
@@ -0,0 +1,127 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * A record of the VMs an allocator has recently placed.
+ *
+ * After a server is selected for a VM, some time passes before CNAPI reports
+ * that VM on the server. Allocations made during that window don't see the
+ * VM, and can all pick the same server. Each allocator keeps one of these
+ * records, which the calculate-recent-vms plugin uses to add the recently
+ * placed VMs to their servers until CNAPI catches up.
+ *
+ * The record is only kept in memory, so it only covers allocations made by
+ * this process. Entries older than the TTL given to add() or list() are
+ * forgotten, so that the record doesn't keep growing.
+ */
+
+var assert = require('assert-plus');
+
+
+var RecentVms = module.exports = function ()
+{
+	this.entries = {};	/* by VM UUID */
+};
+
+/* how long entries are kept if no TTL is configured, in seconds */
+RecentVms.DEFAULT_TTL = 300;
+
+
+/*
+ * Record that 'vm' (in the format created by reservations.createVm()) was
+ * placed on server 'serverUuid'. Entries older than 'ttl' seconds (the default
+ * TTL if not given) are forgotten.
+ */
+RecentVms.prototype.add = function (serverUuid, vm, ttl)
+{
+	assert.uuid(serverUuid, 'serverUuid');
+	assert.object(vm, 'vm');
+	assert.string(vm.uuid, 'vm.uuid');
+	assert.optionalNumber(ttl, 'ttl');
+
+	this._expire(ttl || RecentVms.DEFAULT_TTL);
+
+	this.entries[vm.uuid] = {
+		server_uuid: serverUuid,
+		vm: vm,
+		time: Date.now()
+	};
+};
+
+
+/*
+ * Forget about a VM, e.g. once CNAPI reports it.
+ */
+RecentVms.prototype.remove = function (vmUuid)
+{
+	assert.string(vmUuid, 'vmUuid');
+
+	delete this.entries[vmUuid];
+};
+
+
+/*
+ * Returns the { server_uuid, vm } entries recorded in the last 'ttl' seconds.
+ * Older entries are forgotten.
+ */
+RecentVms.prototype.list = function (ttl)
+{
+	assert.number(ttl, 'ttl');
+
+	var self = this;
+	var entries = [];
+
+	self._expire(ttl);
+
+	Object.keys(self.entries).forEach(function (vmUuid) {
+		var entry = self.entries[vmUuid];
+		entries.push({ server_uuid: entry.server_uuid, vm: entry.vm });
+	});
+
+	return (entries);
+};
+
+
+/*
+ * Forget the entries recorded more than 'ttl' seconds ago.
+ */
+RecentVms.prototype._expire = function (ttl)
+{
+	var self = this;
+	var cutoff = Date.now() - ttl * 1000;
+
+	Object.keys(self.entries).forEach(function (vmUuid) {
+		if (self.entries[vmUuid].time < cutoff)
+			delete self.entries[vmUuid];
+	});
+};
+
+
+/*
+ * Returns a copy of this record. Changes to either afterwards don't affect the
+ * other.
+ */
+RecentVms.prototype.clone = function ()
+{
+	var self = this;
+	var copy = new RecentVms();
+
+	Object.keys(self.entries).forEach(function (vmUuid) {
+		var entry = self.entries[vmUuid];
+
+		copy.entries[vmUuid] = {
+			server_uuid: entry.server_uuid,
+			vm: entry.vm,
+			time: entry.time
+		};
+	});
+
+	return (copy);
+};
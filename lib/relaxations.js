@@ -0,0 +1,207 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Relaxations of an allocation request. When an allocation fails, the
+ * allocator applies those in the auto_relaxation_ladder default until it
+ * succeeds, and tries those in the relaxation_ladder default to find out what
+ * it would take to succeed.
+ *
+ * A relaxation has a name, and changes the request in one or both of these
+ * ways:
+ *
+ * - 'defaults', an object of defaults which override the allocator's for the
+ *   relaxed allocation, e.g. { "filter_large_servers": false }.
+ * - 'set', an object mapping fields of the request to new values. Fields are
+ *   dotted paths starting at 'vm', 'img' or 'pkg', as in predicates (see
+ *   predicate.js). A null value removes the field.
+ *
+ * A relaxation can also have a 'when' predicate, in which case it only applies
+ * to requests which match it.
+ *
+ * For example:
+ *
+ *     [
+ *       { "name": "ram-1.5", "defaults": { "overprovision_ratio_ram": 1.5 } },
+ *       { "name": "non-strict", "set": { "vm.locality.strict": false } },
+ *       { "name": "no-traits", "set": { "vm.traits": null } }
+ *     ]
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var predicate = require('./predicate');
+
+
+var ROOTS = ['vm', 'img', 'pkg'];
+
+
+/*
+ * Returns a string describing what is wrong with the list of relaxations in
+ * 'ladder', or null if it is valid. The defaults of each relaxation are not
+ * checked here; see validations.validateDefaults().
+ */
+function
+validate(ladder)
+{
+	if (!Array.isArray(ladder))
+		return ('is not an array');
+
+	var names = [];
+
+	for (var i = 0; i !== ladder.length; i++) {
+		var relaxation = ladder[i];
+
+		if (!isHash(relaxation))
+			return ('entry ' + i + ' is not an object');
+
+		var name = relaxation.name;
+		if (typeof (name) !== 'string' || name === '')
+			return ('entry ' + i + ' does not have a name');
+
+		if (names.indexOf(name) !== -1)
+			return ('entry ' + name + ' is listed more than once');
+		names.push(name);
+
+		if (relaxation.defaults === undefined &&
+		    relaxation.set === undefined) {
+			return ('entry ' + name + ' has neither defaults ' +
+			    'nor set');
+		}
+
+		if (relaxation.defaults !== undefined &&
+		    !isHash(relaxation.defaults)) {
+			return ('entry ' + name + ' defaults is not an object');
+		}
+
+		if (relaxation.when !== undefined) {
+			var msg = predicate.validate(relaxation.when);
+			if (msg)
+				return ('entry ' + name + ' when: ' + msg);
+		}
+
+		if (relaxation.set === undefined)
+			continue;
+
+		if (!isHash(relaxation.set))
+			return ('entry ' + name + ' set is not an object');
+
+		var fields = Object.keys(relaxation.set);
+		for (var j = 0; j !== fields.length; j++) {
+			var path = fields[j].split('.');
+
+			if (path.length < 2 || ROOTS.indexOf(path[0]) === -1) {
+				return ('entry ' + name + ' field ' +
+				    fields[j] + ' must start with vm., ' +
+				    'img. or pkg.');
+			}
+		}
+	}
+
+	return (null);
+}
+
+
+/*
+ * Returns whether 'ladder' (e.g. a default) has any relaxations in it.
+ */
+function
+isSet(ladder)
+{
+	return (Array.isArray(ladder) && ladder.length > 0);
+}
+
+
+/*
+ * Returns the relaxations in 'ladder' which apply to the request in 'opts'
+ * (which has vm, img and pkg attributes), i.e. those without a 'when'
+ * predicate or whose predicate matches. 'ladder' can be undefined.
+ */
+function
+applicable(ladder, opts)
+{
+	assert.optionalArrayOfObject(ladder, 'ladder');
+	assert.object(opts, 'opts');
+
+	return ((ladder || []).filter(function (relaxation) {
+		return (!relaxation.when ||
+		    predicate.matches(relaxation.when, opts));
+	}));
+}
+
+
+/*
+ * Applies 'relaxation' to the allocation options in 'opts' (which has vm, img,
+ * pkg and defaults attributes). The objects in 'opts' are modified, so the
+ * caller should pass copies. opts.defaults is replaced rather than modified,
+ * as it is usually shared with the allocator.
+ */
+function
+apply(relaxation, opts)
+{
+	assert.object(relaxation, 'relaxation');
+	assert.object(opts, 'opts');
+
+	if (relaxation.defaults) {
+		opts.defaults = jsprim.mergeObjects(relaxation.defaults, null,
+		    opts.defaults);
+	}
+
+	var set = relaxation.set || {};
+
+	Object.keys(set).forEach(function (field) {
+		setField(opts, field, set[field]);
+	});
+}
+
+
+/*
+ * Sets the dotted path 'path' in 'obj' to 'value', creating objects along the
+ * way as needed. A null value deletes the field instead.
+ */
+function
+setField(obj, path, value)
+{
+	var keys = path.split('.');
+	var last = keys.pop();
+
+	for (var i = 0; i !== keys.length; i++) {
+		var key = keys[i];
+
+		if (!isHash(obj[key])) {
+			if (value === null)
+				return;
+			obj[key] = {};
+		}
+
+		obj = obj[key];
+	}
+
+	if (value === null)
+		delete obj[last];
+	else
+		obj[last] = value;
+}
+
+
+function
+isHash(obj)
+{
+	return (typeof (obj) === 'object' && obj !== null &&
+	    !Array.isArray(obj));
+}
+
+
+module.exports = {
+	validate: validate,
+	isSet: isSet,
+	applicable: applicable,
+	apply: apply
+};
@@ -0,0 +1,236 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * Functions for charging VMs to, and releasing VMs from, server objects.
+ *
+ * CNAPI only tells us about VMs which already exist on a server. There are
+ * several cases where DAPI needs to pretend a VM is present before CNAPI knows
+ * about it -- VMs with open provisioning tickets, or VMs placed earlier in the
+ * same batch of allocations -- or pretend that an existing VM is absent (e.g.
+ * when that VM is being moved elsewhere). The functions here keep server.vms
+ * and the disk counters on a server object consistent when doing so, so that
+ * calculate-server-unreserved and later plugins see the right numbers.
+ */
+
+var assert = require('assert-plus');
+var calculateUnreserved =
+    require('./algorithms/shared/unreserved').calculateUnreserved;
+
+
+var GiB = 1024 * 1024 * 1024;
+var HVM_BRANDS = ['bhyve', 'kvm'];
+var KVM_MEM_OVERHEAD = 1024;
+// value should match BHYVE_MEM_OVERHEAD in
+// smartos-live/src/vm/node_modules/proptable.js
+var BHYVE_MEM_OVERHEAD = 1024 + 256;
+
+
+/*
+ * Create a VM object, in the same format as the VMs found in server.vms, from
+ * a VM's dimensions. 'meta' uses the format found in provisioning tickets'
+ * 'extra' attribute: max_physical_memory and disks[].size in MiB, quota in
+ * GiB.
+ *
+ * HVM VMs get an additional zvol_quota attribute (in GiB), which addVm()
+ * consumes.
+ */
+function
+createVm(uuid, meta)
+{
+	assert.string(uuid, 'uuid');
+	assert.object(meta, 'meta');
+
+	var vm = {
+		uuid: uuid,
+		owner_uuid: meta.owner_uuid,
+		max_physical_memory: meta.max_physical_memory,
+		cpu_cap: meta.cpu_cap,
+		quota: meta.quota,
+		brand: meta.brand,
+		zone_state: 'running',
+		state: 'running'
+	};
+
+	if (HVM_BRANDS.indexOf(vm.brand) !== -1) {
+		vm.max_physical_memory += memOverhead(vm.brand);
+		vm.zvol_quota = 0;
+
+		if (meta.disks) {
+			var zvolQuota = 0;
+
+			meta.disks.forEach(function (disk) {
+				zvolQuota += disk.size || 0;
+			});
+
+			// convert from MiB to GiB
+			vm.zvol_quota = Math.ceil(zvolQuota / 1024);
+		}
+	}
+
+	return (vm);
+}
+
+
+/*
+ * Returns how much RAM (in MiB) a VM of 'brand' uses on top of its
+ * max_physical_memory.
+ */
+function
+memOverhead(brand)
+{
+	if (brand === 'kvm')
+		return (KVM_MEM_OVERHEAD);
+
+	if (brand === 'bhyve')
+		return (BHYVE_MEM_OVERHEAD);
+
+	return (0);
+}
+
+
+/*
+ * Create a VM object from the arguments given to an allocation: the VM
+ * payload, the image and the (optional) package.
+ */
+function
+createRequestVm(vm, img, pkg)
+{
+	assert.object(vm, 'vm');
+	assert.string(vm.vm_uuid, 'vm.vm_uuid');
+	assert.object(img, 'img');
+	assert.optionalObject(pkg, 'pkg');
+
+	pkg = pkg || {};
+
+	var quota = vm.quota;	/* GiB */
+	if (!quota && pkg.quota)
+		quota = Math.ceil(pkg.quota / 1024);	/* MiB to GiB */
+
+	return (createVm(vm.vm_uuid, {
+		owner_uuid: vm.owner_uuid,
+		max_physical_memory: vm.ram || pkg.max_physical_memory,
+		cpu_cap: vm.cpu_cap || pkg.cpu_cap,
+		quota: quota || 0,
+		brand: vm.brand,
+		disks: vm.disks
+	}));
+}
+
+
+/*
+ * Add a VM to a server, charging its disk to the server's disk counters. If
+ * calculate-server-unreserved has already been run on this server, its
+ * unreserved_* numbers are worked out again as well.
+ */
+function
+addVm(server, vm)
+{
+	assert.object(server, 'server');
+	assert.object(vm, 'vm');
+
+	if (!server.vms)
+		server.vms = {};
+
+	server.vms[vm.uuid] = vm;
+
+	var quota = vm.quota || 0;
+
+	server.disk_zone_quota_bytes += quota * GiB;
+
+	if (vm.brand === 'kvm') {
+		server.disk_kvm_zvol_volsize_bytes += kvmZvolQuota(vm) * GiB;
+		delete vm.zvol_quota;
+	} else if (vm.brand === 'bhyve' && vm.zvol_quota !== undefined) {
+		// When a bhyve VM is provisioned, vmadm will add the zvol
+		// size to the quota. Since here we're dealing with VMs that
+		// have not yet been provisioned, we have to add that
+		// ourselves. Existing VMs' quotas already include it.
+		server.disk_zone_quota_bytes += vm.zvol_quota * GiB;
+		vm.quota = quota + vm.zvol_quota;
+		delete vm.zvol_quota;
+	}
+
+	recalculateUnreserved(server);
+}
+
+
+/*
+ * Remove a VM from a server, releasing its disk from the server's disk
+ * counters, and its unreserved_* numbers as addVm() does. Returns the removed
+ * VM, or null if the server did not have it.
+ */
+function
+removeVm(server, vmUuid)
+{
+	assert.object(server, 'server');
+	assert.string(vmUuid, 'vmUuid');
+
+	var vm = server.vms && server.vms[vmUuid];
+	if (!vm)
+		return (null);
+
+	delete server.vms[vmUuid];
+
+	if (vm.quota)
+		server.disk_zone_quota_bytes -= vm.quota * GiB;
+
+	if (vm.brand === 'kvm')
+		server.disk_kvm_zvol_volsize_bytes -= kvmZvolQuota(vm) * GiB;
+
+	recalculateUnreserved(server);
+
+	return (vm);
+}
+
+
+/*
+ * Returns the size (in GiB) of a KVM VM's zvols, which are counted in
+ * server.disk_kvm_zvol_volsize_bytes rather than in its quota: the zvol_quota
+ * of VMs from createVm(), or else the sizes of the VM's disks (in MiB, as
+ * VMAPI gives them). Existing VMs from CNAPI don't list their disks, so count
+ * as having none.
+ */
+function
+kvmZvolQuota(vm)
+{
+	if (vm.zvol_quota !== undefined)
+		return (vm.zvol_quota);
+
+	var zvolQuota = 0;
+
+	(vm.disks || []).forEach(function (disk) {
+		zvolQuota += disk.size || 0;
+	});
+
+	// convert from MiB to GiB
+	return (Math.ceil(zvolQuota / 1024));
+}
+
+
+/*
+ * If calculate-server-unreserved has already been run on 'server', works out
+ * its unreserved_* numbers again, the same way, now that its VMs have changed.
+ */
+function
+recalculateUnreserved(server)
+{
+	if (server.unreserved_ram !== undefined)
+		calculateUnreserved(server);
+}
+
+
+module.exports = {
+	createVm: createVm,
+	createRequestVm: createRequestVm,
+	addVm: addVm,
+	removeVm: removeVm,
+	memOverhead: memOverhead
+};
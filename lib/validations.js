@@ -18,6 +18,7 @@
  */
 
 var jsprim = require('jsprim');
+var relaxations = require('./relaxations');
 var s_dapi = require('joyent-schemas').dapi;
 
 var PLATFORM_RE = /^20\d\d[01]\d[0123]\dT[012]\d[012345]\d\d\dZ$/;
@@ -27,21 +28,34 @@ var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
 var VALID_SPREADS = ['min-ram', 'max-ram', 'random', 'min-owner'];
 var AFFINITY_STR_ATTR = ['key', 'operator', 'value', 'valueType'];
 var AFFINITY_VALUE_TYPES = ['exact', 'glob', 're'];
+var PLUGIN_FAILURE_POLICIES = ['fail', 'skip', 'drop'];
 
 var DEFAULTS_BOOLEAN_ATTR = [
 	'filter_headnode',
 	'filter_min_resources',
 	'filter_large_servers',
-	'disable_override_overprovisioning'
+	'disable_override_overprovisioning',
+	'batch_best_effort',
+	'filter_owner_spread',
+	'filter_soft_locality'
+];
+
+var DEFAULTS_LADDER_ATTR = [
+	'auto_relaxation_ladder',
+	'relaxation_ladder'
 ];
 
 var DEFAULTS_NUM_ATTR = [
+	'candidate_count',
 	'filter_vm_limit',
 	'overprovision_ratio_cpu',
 	'overprovision_ratio_ram',
 	'overprovision_ratio_disk',
+	'plugin_timeout',
+	'recent_vm_ttl',
 	'weight_current_platform',
 	'weight_next_reboot',
+	'weight_num_owner_rack_zones',
 	'weight_num_owner_zones',
 	'weight_uniform_random',
 	'weight_unreserved_disk',
@@ -146,6 +160,19 @@ validateDefaults(defaults)
 			'an ISO UTC timestamp');
 	}
 
+	val = defaults.plugin_failure_policy;
+	if (typeof (val) !== 'undefined' &&
+	    PLUGIN_FAILURE_POLICIES.indexOf(val) === -1) {
+		return ('Defaults plugin_failure_policy is not one of ' +
+			PLUGIN_FAILURE_POLICIES.join(', '));
+	}
+
+	val = defaults.random_seed;
+	if (typeof (val) !== 'undefined' && typeof (val) !== 'number' &&
+	    typeof (val) !== 'string') {
+		return ('Defaults random_seed is not a number or string');
+	}
+
 	val = defaults.filter_owner_server;
 	if (val) {
 		if (!isHash(val)) {
@@ -161,6 +188,40 @@ validateDefaults(defaults)
 		}
 	}
 
+	for (i = 0; i !== DEFAULTS_LADDER_ATTR.length; i++) {
+		attr = DEFAULTS_LADDER_ATTR[i];
+		val  = defaults[attr];
+
+		if (typeof (val) !== 'undefined') {
+			var msg = validateLadder(val);
+			if (msg)
+				return ('Defaults ' + attr + ' ' + msg);
+		}
+	}
+
+	return (null);
+}
+
+/*
+ * Checks a list of relaxations (see lib/relaxations.js), including the defaults
+ * of each. Returns an error message if not valid.
+ */
+function
+validateLadder(ladder)
+{
+	var msg = relaxations.validate(ladder);
+	if (msg)
+		return (msg);
+
+	for (var i = 0; i !== ladder.length; i++) {
+		if (!ladder[i].defaults)
+			continue;
+
+		msg = validateDefaults(ladder[i].defaults);
+		if (msg)
+			return ('entry ' + ladder[i].name + ': ' + msg);
+	}
+
 	return (null);
 }
 
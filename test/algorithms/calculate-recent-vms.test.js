@@ -0,0 +1,143 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var plugin = require('../../lib/algorithms/calculate-recent-vms.js');
+var RecentVms = require('../../lib/recent-vms.js');
+var common = require('./common.js');
+
+
+var GiB = 1024 * 1024 * 1024;
+
+var SERVER_UUID = '7f9b1a24-dd28-430e-92ed-604fed51772b';
+var OTHER_SERVER_UUID = '38a07663-4ca2-4f95-bdcb-5d84f078626d';
+var VM_UUID = 'b3d04682-536f-4f09-8170-1954e45e9e1c';
+
+
+function getServers()
+{
+	return ([ {
+		uuid: SERVER_UUID,
+		disk_kvm_zvol_volsize_bytes: 0,
+		disk_zone_quota_bytes: 5 * GiB,
+		vms: {}
+	}, {
+		uuid: OTHER_SERVER_UUID,
+		disk_kvm_zvol_volsize_bytes: 0,
+		disk_zone_quota_bytes: 0,
+		vms: {}
+	} ]);
+}
+
+
+function getRecentVms()
+{
+	var recentVms = new RecentVms();
+
+	recentVms.add(SERVER_UUID, {
+		uuid: VM_UUID,
+		owner_uuid: 'a2617217-fb90-4b45-ad62-7ca163258173',
+		brand: 'joyent',
+		max_physical_memory: 128,
+		cpu_cap: 100,
+		quota: 10,
+		zone_state: 'running',
+		state: 'running'
+	});
+
+	return (recentVms);
+}
+
+
+test('calculate recent VMs', function (t) {
+	var recentVms = getRecentVms();
+	var opts = common.addCommonOpts({
+		defaults: {},
+		recentVms: recentVms
+	});
+
+	plugin.run(getServers(), opts, function (err, servers, reasons) {
+		t.ifError(err);
+
+		t.deepEqual(Object.keys(servers[0].vms), [VM_UUID]);
+		t.equal(servers[0].disk_zone_quota_bytes, 15 * GiB);
+		t.deepEqual(servers[1].vms, {});
+
+		t.deepEqual(reasons, {
+			'7f9b1a24-dd28-430e-92ed-604fed51772b':
+			    '1 recently allocated VMs added'
+		});
+
+		// the record is not consumed by being used
+		t.equal(recentVms.list(300).length, 1);
+
+		t.end();
+	});
+});
+
+
+test('calculate recent VMs once they appear in CNAPI', function (t) {
+	var recentVms = getRecentVms();
+	var opts = common.addCommonOpts({
+		defaults: {},
+		recentVms: recentVms
+	});
+
+	var servers = getServers();
+	servers[0].vms[VM_UUID] = { uuid: VM_UUID, quota: 10 };
+
+	plugin.run(servers, opts, function (err, _servers, reasons) {
+		t.ifError(err);
+
+		t.equal(_servers[0].disk_zone_quota_bytes, 5 * GiB);
+		t.deepEqual(reasons, {});
+		t.deepEqual(recentVms.list(300), []);
+
+		t.end();
+	});
+});
+
+
+test('calculate recent VMs after TTL', function (t) {
+	var recentVms = getRecentVms();
+	recentVms.entries[VM_UUID].time -= 61 * 1000;
+
+	var opts = common.addCommonOpts({
+		defaults: { recent_vm_ttl: 60 },
+		recentVms: recentVms
+	});
+
+	plugin.run(getServers(), opts, function (err, servers, reasons) {
+		t.ifError(err);
+
+		t.deepEqual(servers[0].vms, {});
+		t.deepEqual(reasons, {});
+
+		t.end();
+	});
+});
+
+
+test('calculate recent VMs without record', function (t) {
+	var opts = common.addCommonOpts({ defaults: {} });
+
+	plugin.run(getServers(), opts, function (err, servers, reasons) {
+		t.ifError(err);
+		t.equal(servers.length, 2);
+		t.deepEqual(reasons, { skip: 'No record of recent VMs' });
+		t.end();
+	});
+});
+
+
+test('name', function (t) {
+	t.equal(typeof (plugin.name), 'string');
+	t.end();
+});
@@ -9,6 +9,7 @@
  */
 
 var assert = require('assert-plus');
+var mod_reasons = require('../../lib/reasons');
 
 
 var OPTS = {
@@ -42,11 +43,17 @@ function createPluginChecker(plugin) {
 	assert.object(plugin, 'plugin');
 	assert.object(plugin, 'plugin');
 
+	/*
+	 * expectReasons gives reasons in their legacy string form. If
+	 * expectDetails is given, the reason objects (see lib/reasons.js) are
+	 * also checked against it.
+	 */
 	return function checkPlugin(t, givenServers, opts, expectServers,
-			expectReasons) {
+			expectReasons, expectDetails) {
 		assert.object(t, 't');
 		assert.object(opts, 'opts');
 		assert.object(expectReasons, 'expectReasons');
+		assert.optionalObject(expectDetails, 'expectDetails');
 		assert.arrayOfObject(givenServers, 'givenServers');
 		assert.arrayOfObject(expectServers, 'expectServers');
 
@@ -62,10 +69,18 @@ function createPluginChecker(plugin) {
 			t.deepEqual(servers, expectServers,
 				'valid servers should be equal to expected ' +
 					'valid servers');
-			t.deepEqual(reasons, expectReasons,
+			t.deepEqual(mod_reasons.toMessages(reasons),
+				expectReasons,
 				'rejection reasons should be equal to ' +
 					'expected reasons');
 
+			if (expectDetails) {
+				t.deepEqual(mod_reasons.pickDetails(reasons),
+					expectDetails,
+					'reason objects should be equal to ' +
+						'expected objects');
+			}
+
 			t.end();
 		});
 	};
@@ -13,11 +13,18 @@ var filter = require('../../lib/algorithms/hard-filter-headnode.js');
 var common = require('./common.js');
 
 
-var SERVERS = [
-	{ memory_available_bytes: 256 },
-	{ memory_available_bytes: 512, headnode: true },
-	{ memory_available_bytes: 768, headnode: false }
-];
+var SERVERS = [ {
+	uuid: 'f9a1d5c4-2a86-4f39-9d5f-6b1c8e0b3a71',
+	memory_available_bytes: 256
+}, {
+	uuid: '3c2e7b90-5d4f-4e1a-8b6c-0a9d7f2e1c53',
+	memory_available_bytes: 512,
+	headnode: true
+}, {
+	uuid: '8e4b1f2a-7c3d-4a6e-9f05-2d1c3b4a5e67',
+	memory_available_bytes: 768,
+	headnode: false
+} ];
 
 
 var checkFilter = common.createPluginChecker(filter);
@@ -25,10 +32,23 @@ var checkFilter = common.createPluginChecker(filter);
 
 test('filterHeadnode() 1', function (t) {
 	var expectServers = [ SERVERS[0], SERVERS[2] ];
-	var expectReasons = {};
+	var expectReasons = {
+		'3c2e7b90-5d4f-4e1a-8b6c-0a9d7f2e1c53': 'Server is a headnode'
+	};
+	var expectDetails = {
+		'3c2e7b90-5d4f-4e1a-8b6c-0a9d7f2e1c53': {
+			code: 'Headnode',
+			plugin: 'hard-filter-headnode',
+			resource: null,
+			requested: null,
+			available: null,
+			message: 'Server is a headnode'
+		}
+	};
 	var opts = { defaults: {} };
 
-	checkFilter(t, SERVERS, opts, expectServers, expectReasons);
+	checkFilter(t, SERVERS, opts, expectServers, expectReasons,
+	    expectDetails);
 });
 
 
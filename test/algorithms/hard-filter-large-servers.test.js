@@ -14,8 +14,12 @@ var common = require('./common.js');
 
 
 var SERVERS = [];
-for (var ii = 0; ii < 20; ii++)
-	SERVERS.push({ unreserved_ram: ii * 8 * 1024 });
+for (var ii = 0; ii < 20; ii++) {
+	SERVERS.push({
+		uuid: '00000000-0000-0000-0000-0000000000' + (10 + ii),
+		unreserved_ram: ii * 8 * 1024
+	});
+}
 
 
 var checkFilter = common.createPluginChecker(filter);
@@ -24,9 +28,26 @@ var checkFilter = common.createPluginChecker(filter);
 test('filterLargeServers()', function (t) {
 	var expectServers = SERVERS.slice(0, SERVERS.length - 3).reverse();
 	var expectReasons = {};
+	var expectDetails = {};
 	var opts = { defaults: {} };
 
-	checkFilter(t, SERVERS, opts, expectServers, expectReasons);
+	SERVERS.slice(SERVERS.length - 3).forEach(function (server) {
+		var msg = 'Server is among the 15% with the most unreserved ' +
+		    'RAM, kept for large VMs';
+
+		expectReasons[server.uuid] = msg;
+		expectDetails[server.uuid] = {
+			code: 'KeptForLargeVms',
+			plugin: 'hard-filter-large-servers',
+			resource: 'ram',
+			requested: null,
+			available: server.unreserved_ram,
+			message: msg
+		};
+	});
+
+	checkFilter(t, SERVERS, opts, expectServers, expectReasons,
+	    expectDetails);
 });
 
 
@@ -81,6 +81,27 @@ test('filterMinRam() with KVM', function (t) {
 			'spare 511'
 	};
 
+	var expectDetails = {
+		'f667e0fa-33db-48da-a5d0-9fe837ce93fc': {
+			code: 'InsufficientRam',
+			plugin: 'hard-filter-min-ram',
+			resource: 'ram',
+			requested: 512,
+			available: 256,
+			message: expectReasons[
+			    'f667e0fa-33db-48da-a5d0-9fe837ce93fc']
+		},
+		'4fe12d99-f013-4983-9e39-6e2f35b37aec': {
+			code: 'InsufficientRam',
+			plugin: 'hard-filter-min-ram',
+			resource: 'ram',
+			requested: 512,
+			available: 511,
+			message: expectReasons[
+			    '4fe12d99-f013-4983-9e39-6e2f35b37aec']
+		}
+	};
+
 	var expectServers = servers.slice(2, 4);
 	var opts = {
 		vm:  { ram: 512, brand: 'kvm' },
@@ -88,7 +109,8 @@ test('filterMinRam() with KVM', function (t) {
 		defaults: {}
 	};
 
-	checkFilter(t, servers, opts, expectServers, expectReasons);
+	checkFilter(t, servers, opts, expectServers, expectReasons,
+		expectDetails);
 });
 
 
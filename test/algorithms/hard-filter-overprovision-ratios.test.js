@@ -102,6 +102,33 @@ test('filterOverprovisionRatios() without pkg', function (t) {
 });
 
 
+test('filterOverprovisionRatios() reason objects', function (t) {
+	var servers = SERVERS.slice(0, 2);
+	var expectServers = SERVERS.slice(0, 1);
+	var expectReasons = {
+		'f8d517d8-80a3-47e3-a108-b9e4b6f8556a':
+			'Package over-provision ratio of 1.00 does not match ' +
+			'server\'s 1.01'
+	};
+	var expectDetails = {
+		'f8d517d8-80a3-47e3-a108-b9e4b6f8556a': {
+			code: 'OverprovisionRatioMismatch',
+			plugin: 'hard-filter-overprovision-ratios',
+			resource: 'ram',
+			requested: 1,
+			available: 1.01,
+			message: expectReasons[
+			    'f8d517d8-80a3-47e3-a108-b9e4b6f8556a']
+		}
+	};
+
+	var opts = { pkg: { overprovision_ram: 1.0 } };
+
+	checkFilter(t, servers, opts, expectServers, expectReasons,
+		expectDetails);
+});
+
+
 test('filterOverprovisionRatios() with no servers', function (t) {
 	var expectServers = [];
 	var expectReasons = {};
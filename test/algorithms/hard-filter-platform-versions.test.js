@@ -311,6 +311,40 @@ test('filterPlatformVersions() ignore non-versions', function (t) {
 });
 
 
+test('filterPlatformVersions() reason objects', function (t) {
+	var servers = SERVERS.slice(3, 6);
+	var expectServers = [ SERVERS[3], SERVERS[5] ];
+
+	var expectReasons = {
+		/* BEGIN JSSTYLED */
+		'9728b8c3-ecbd-4af9-94b0-a1b26e6e5cc0': 'Package requires min platforms {"7.0":"20121211T203034Z"}, but server has {"7.0":"20121210T203034Z"}'
+		/* END JSSTYLED */
+	};
+
+	var expectDetails = {
+		'9728b8c3-ecbd-4af9-94b0-a1b26e6e5cc0': {
+			code: 'PlatformTooOld',
+			plugin: 'hard-filter-platform-versions',
+			resource: 'platform',
+			requested: { '7.0': '20121211T203034Z' },
+			available: { '7.0': '20121210T203034Z' },
+			message: expectReasons[
+			    '9728b8c3-ecbd-4af9-94b0-a1b26e6e5cc0']
+		}
+	};
+
+	var opts = {
+		vm:  {},
+		img: {},
+		pkg: { min_platform: {'7.0': '20121211T203034Z'} },
+		defaults: {}
+	};
+
+	checkFilter(t, servers, opts, expectServers, expectReasons,
+		expectDetails);
+});
+
+
 test('filterPlatformVersions() no pkg', function (t) {
 	var expectServers = SERVERS;
 	var expectReasons = {};
@@ -17,17 +17,37 @@ var checkFilter = common.createPluginChecker(filter);
 
 
 test('filterReserved()', function (t) {
-	var servers = [
-		{ memory_available_bytes: 128, reserved: false },
-		{ memory_available_bytes: 384 },
-		{ memory_available_bytes: 768, reserved: true }
-	];
+	var servers = [ {
+		uuid: 'f9a1d5c4-2a86-4f39-9d5f-6b1c8e0b3a71',
+		memory_available_bytes: 128,
+		reserved: false
+	}, {
+		uuid: '3c2e7b90-5d4f-4e1a-8b6c-0a9d7f2e1c53',
+		memory_available_bytes: 384
+	}, {
+		uuid: '8e4b1f2a-7c3d-4a6e-9f05-2d1c3b4a5e67',
+		memory_available_bytes: 768,
+		reserved: true
+	} ];
 
 	var expectServers = servers.slice(0, 2);
-	var expectReasons = {};
+	var expectReasons = {
+		'8e4b1f2a-7c3d-4a6e-9f05-2d1c3b4a5e67': 'Server is reserved'
+	};
+	var expectDetails = {
+		'8e4b1f2a-7c3d-4a6e-9f05-2d1c3b4a5e67': {
+			code: 'ServerReserved',
+			plugin: 'hard-filter-reserved',
+			resource: null,
+			requested: null,
+			available: null,
+			message: 'Server is reserved'
+		}
+	};
 	var opts = {};
 
-	checkFilter(t, servers, opts, expectServers, expectReasons);
+	checkFilter(t, servers, opts, expectServers, expectReasons,
+	    expectDetails);
 });
 
 
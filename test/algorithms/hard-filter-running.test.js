@@ -37,10 +37,29 @@ test('filterRunning()', function (t) {
 		'ac211712-34e6-45ac-b9e9-9165f6af3cfc':
 		    'Server has status: offline'
 	};
+	var expectDetails = {
+		'2c86607e-7cdd-4d6b-a7db-16d91efe770c': {
+			code: 'ServerNotRunning',
+			plugin: 'hard-filter-running',
+			resource: 'status',
+			requested: 'running',
+			available: null,
+			message: 'Server has status: undefined'
+		},
+		'ac211712-34e6-45ac-b9e9-9165f6af3cfc': {
+			code: 'ServerNotRunning',
+			plugin: 'hard-filter-running',
+			resource: 'status',
+			requested: 'running',
+			available: 'offline',
+			message: 'Server has status: offline'
+		}
+	};
 
 	var opts = {};
 
-	checkFilter(t, servers, opts, expectServers, expectReasons);
+	checkFilter(t, servers, opts, expectServers, expectReasons,
+		expectDetails);
 });
 
 
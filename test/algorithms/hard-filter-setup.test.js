@@ -10,6 +10,7 @@
 
 var test = require('tape');
 var filter = require('../../lib/algorithms/hard-filter-setup.js');
+var mod_reasons = require('../../lib/reasons.js');
 var common = require('./common.js');
 
 
@@ -17,18 +18,52 @@ var checkFilter = common.createPluginChecker(filter);
 
 
 test('filterSetup()', function (t) {
-	var servers = [
-		{ memory_available_bytes: 128 },
-		{ memory_available_bytes: 256, setup: true },
-		{ memory_available_bytes: 512, setup: false },
-		{ memory_available_bytes: 768, setup: true }
-	];
+	var servers = [ {
+		uuid: 'f9a1d5c4-2a86-4f39-9d5f-6b1c8e0b3a71',
+		memory_available_bytes: 128
+	}, {
+		uuid: '3c2e7b90-5d4f-4e1a-8b6c-0a9d7f2e1c53',
+		memory_available_bytes: 256,
+		setup: true
+	}, {
+		uuid: '8e4b1f2a-7c3d-4a6e-9f05-2d1c3b4a5e67',
+		memory_available_bytes: 512,
+		setup: false
+	}, {
+		uuid: '5a7c9e1b-3d5f-4b8a-a2c4-6e8f0a1b3c5d',
+		memory_available_bytes: 768,
+		setup: true
+	} ];
 
 	var expectServers = [ servers[1], servers[3] ];
-	var expectReasons = {};
+	var expectReasons = {
+		'f9a1d5c4-2a86-4f39-9d5f-6b1c8e0b3a71':
+		    'Server has not been setup',
+		'8e4b1f2a-7c3d-4a6e-9f05-2d1c3b4a5e67':
+		    'Server has not been setup'
+	};
+	var expectDetails = {
+		'f9a1d5c4-2a86-4f39-9d5f-6b1c8e0b3a71': {
+			code: 'ServerNotSetup',
+			plugin: 'hard-filter-setup',
+			resource: null,
+			requested: null,
+			available: null,
+			message: 'Server has not been setup'
+		},
+		'8e4b1f2a-7c3d-4a6e-9f05-2d1c3b4a5e67': {
+			code: 'ServerNotSetup',
+			plugin: 'hard-filter-setup',
+			resource: null,
+			requested: null,
+			available: null,
+			message: 'Server has not been setup'
+		}
+	};
 	var opts = {};
 
-	checkFilter(t, servers, opts, expectServers, expectReasons);
+	checkFilter(t, servers, opts, expectServers, expectReasons,
+	    expectDetails);
 });
 
 
@@ -42,17 +77,23 @@ test('filterSetup() with no servers', function (t) {
 
 
 test('filterSetup() with malformed servers', function (t) {
-	var givenServers = [ { setup: true }, { setup: false } ];
+	var givenServers = [ { setup: true }, {
+		uuid: '3c2e7b90-5d4f-4e1a-8b6c-0a9d7f2e1c53',
+		setup: false
+	} ];
 
 	var expectServers = [ givenServers[0] ];
-	var expectReasons = {};
+	var expectReasons = {
+		'3c2e7b90-5d4f-4e1a-8b6c-0a9d7f2e1c53':
+		    'Server has not been setup'
+	};
 	var opts = {};
 
 	filter.run(givenServers, opts, function (err, servers, reasons) {
 		t.ifError(err);
 
 		t.deepEqual(servers, expectServers);
-		t.deepEqual(reasons, expectReasons);
+		t.deepEqual(mod_reasons.toMessages(reasons), expectReasons);
 
 		t.end();
 	});
@@ -12,6 +12,7 @@ var assert = require('assert-plus');
 var test = require('tape');
 var filter = require('../../lib/algorithms/hard-filter-vlans.js');
 var common = require('./common.js');
+var mod_reasons = require('../../lib/reasons');
 
 
 var SERVERS = [
@@ -138,7 +139,7 @@ function runTestHelper(t, opts, expectedUuids, expectedReasons) {
 		var serverUuids = servers.map(function (s) { return s.uuid; });
 
 		t.deepEqual(serverUuids.sort(), expectedUuids);
-		t.deepEqual(reasons, expectedReasons);
+		t.deepEqual(mod_reasons.toMessages(reasons), expectedReasons);
 
 		t.end();
 	});
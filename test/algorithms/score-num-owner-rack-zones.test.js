@@ -0,0 +1,160 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var scorer = require('../../lib/algorithms/score-num-owner-rack-zones.js');
+var common = require('./common');
+var clone  = common.clone;
+
+
+var OWNER_UUID = 'e6667010-7831-462f-ba1f-e345f8288106';
+var OTHER_UUID = 'cfd6858c-9819-4599-bc11-35faf27ffc4c';
+
+var SERVERS = [ {
+	uuid: 'b38dc3a0-eb00-11e5-943f-8bc57e287d0d',
+	rack_identifier: 'rack1',
+	vms: {
+		'ba155c91-1136-4632-a8bf-539d7152f534': {
+			owner_uuid: OWNER_UUID
+		},
+		'e3d52038-64c3-42b0-99f1-b24ba57143eb': {
+			owner_uuid: OTHER_UUID
+		}
+	},
+	score: 1
+}, {
+	uuid: 'c141a106-eb00-11e5-ae33-b7201124575a',
+	rack_identifier: 'rack1',
+	vms: {},
+	score: 1
+}, {
+	uuid: 'd037fff2-eb00-11e5-9322-0b32f8d3f898',
+	rack_identifier: 'rack2',
+	vms: {
+		'a21c9ea6-778c-49f6-9ffb-d0fd4eda9880': {
+			owner_uuid: OTHER_UUID
+		}
+	},
+	score: 1
+}, {
+	uuid: 'e5aa0e3c-eb00-11e5-8c06-5b4a6a3b8b7d',
+	rack_identifier: '',
+	vms: {
+		'39170a58-f56a-48e6-af47-030706c21454': {
+			owner_uuid: OWNER_UUID
+		},
+		'87703e32-eb01-11e5-823a-cb2e64675eed': {
+			owner_uuid: OWNER_UUID
+		}
+	},
+	score: 1
+} ];
+
+
+var checkScorer = common.createPluginChecker(scorer);
+
+
+test('scoreNumOwnerRackZones()', function (t) {
+	var expectServers = clone(SERVERS);
+	expectServers[0].score = 3;
+	expectServers[1].score = 3;
+	expectServers[2].score = 5;
+	expectServers[3].score = 1;
+
+	var expectReasons = {
+		'b38dc3a0-eb00-11e5-943f-8bc57e287d0d':
+			'increased score by 2.00 to 3.00; ' +
+			'1 owner zones found in rack',
+		'c141a106-eb00-11e5-ae33-b7201124575a':
+			'increased score by 2.00 to 3.00; ' +
+			'1 owner zones found in rack',
+		'd037fff2-eb00-11e5-9322-0b32f8d3f898':
+			'increased score by 4.00 to 5.00; ' +
+			'0 owner zones found in rack',
+		'e5aa0e3c-eb00-11e5-8c06-5b4a6a3b8b7d':
+			'increased score by 0.00 to 1.00; ' +
+			'2 owner zones found in rack'
+	};
+
+	var opts = {
+		vm:  { owner_uuid: OWNER_UUID },
+		defaults: {
+			weight_num_owner_rack_zones: 4
+		}
+	};
+
+	checkScorer(t, SERVERS, opts, expectServers, expectReasons);
+});
+
+
+test('scoreNumOwnerRackZones() with negative default weight', function (t) {
+	var expectServers = clone(SERVERS);
+	expectServers[0].score = 3;
+	expectServers[1].score = 3;
+	expectServers[2].score = 1;
+	expectServers[3].score = 5;
+
+	var expectReasons = {
+		'b38dc3a0-eb00-11e5-943f-8bc57e287d0d':
+			'increased score by 2.00 to 3.00; ' +
+			'1 owner zones found in rack',
+		'c141a106-eb00-11e5-ae33-b7201124575a':
+			'increased score by 2.00 to 3.00; ' +
+			'1 owner zones found in rack',
+		'd037fff2-eb00-11e5-9322-0b32f8d3f898':
+			'increased score by 0.00 to 1.00; ' +
+			'0 owner zones found in rack',
+		'e5aa0e3c-eb00-11e5-8c06-5b4a6a3b8b7d':
+			'increased score by 4.00 to 5.00; ' +
+			'2 owner zones found in rack'
+	};
+
+	var opts = {
+		vm:  { owner_uuid: OWNER_UUID },
+		defaults: {
+			weight_num_owner_rack_zones: -4
+		}
+	};
+
+	checkScorer(t, SERVERS, opts, expectServers, expectReasons);
+});
+
+
+test('scoreNumOwnerRackZones() with zero default weight', function (t) {
+	var expectServers = clone(SERVERS);
+	var expectReasons = {
+		skip: 'Resolved score weight to 0.00; no changes'
+	};
+
+	var opts = {
+		vm:  { owner_uuid: OWNER_UUID },
+		defaults: {}
+	};
+
+	checkScorer(t, SERVERS, opts, expectServers, expectReasons);
+});
+
+
+test('scoreNumOwnerRackZones() with no servers', function (t) {
+	var opts = {
+		vm:  { owner_uuid: OWNER_UUID },
+		defaults: {
+			weight_num_owner_rack_zones: 4
+		}
+	};
+
+	checkScorer(t, [], opts, [], {});
+});
+
+
+test('scoreNumOwnerRackZones() name', function (t) {
+	t.equal(typeof (scorer.name), 'string');
+	t.end();
+});
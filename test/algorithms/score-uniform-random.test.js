@@ -10,6 +10,7 @@
 
 var assert = require('assert-plus');
 var test = require('tape');
+var prng = require('../../lib/prng.js');
 var scorer = require('../../lib/algorithms/score-uniform-random.js');
 var common = require('./common');
 var clone  = common.clone;
@@ -72,6 +73,33 @@ test('scoreUniformRandom() with defaults and package attr', function (t) {
 });
 
 
+test('scoreUniformRandom() with seeded random', function (t) {
+	var seed = '6c5ac296-ff76-4581-8d39-4b3c35484082';
+
+	function run(cb) {
+		var opts = {
+			defaults: { weight_uniform_random: 4 },
+			random: prng.createPrng(seed)
+		};
+
+		scorer.run(clone(SERVERS), common.addCommonOpts(opts),
+				function (err, servers) {
+			t.ifError(err);
+			cb(servers.map(function (server) {
+				return (server.score);
+			}));
+		});
+	}
+
+	run(function (scores1) {
+		run(function (scores2) {
+			t.deepEqual(scores1, scores2);
+			t.end();
+		});
+	});
+});
+
+
 test('scoreUniformRandom() skip wrong spread', function (t) {
 	var expectServers = SERVERS;
 	var expectReasons = {
@@ -89,6 +117,33 @@ test('scoreUniformRandom() skip wrong spread', function (t) {
 });
 
 
+test('scoreUniformRandom() with seeded random', function (t) {
+	var seed = '6c5ac296-ff76-4581-8d39-4b3c35484082';
+
+	function run(cb) {
+		var opts = {
+			defaults: { weight_uniform_random: 4 },
+			random: prng.createPrng(seed)
+		};
+
+		scorer.run(clone(SERVERS), common.addCommonOpts(opts),
+				function (err, servers) {
+			t.ifError(err);
+			cb(servers.map(function (server) {
+				return (server.score);
+			}));
+		});
+	}
+
+	run(function (scores1) {
+		run(function (scores2) {
+			t.deepEqual(scores1, scores2);
+			t.end();
+		});
+	});
+});
+
+
 test('scoreUniformRandom() skip wrong spread', function (t) {
 	var expectServers = SERVERS;
 	var expectReasons = {
@@ -156,6 +156,29 @@ test('locality scenario A', function (tt) {
 			expReasons);
 	});
 
+	tt.test('  no locality -> owner spread (off)', function (t) {
+		var opts = {
+			vm: { owner_uuid: OWNER_UUID },
+			defaults: { filter_owner_spread: false }
+		};
+
+		checkFilter(t, servers, opts, servers,
+			{ skip: 'Do not spread by owner' });
+	});
+
+	tt.test('  non-strict far (off)', function (t) {
+		var opts = {
+			vm: {
+				owner_uuid: OWNER_UUID,
+				locality: { far: ownerVmOnServer0 }
+			},
+			defaults: { filter_soft_locality: false }
+		};
+
+		checkFilter(t, servers, opts, servers,
+			{ skip: 'Do not follow non-strict locality hints' });
+	});
+
 	tt.test('  non-strict far (string)', function (t) {
 		var expServers = servers.slice(1, 5);
 		var expReasons = {};
@@ -279,7 +302,22 @@ test('locality scenario A', function (tt) {
 		expReasons[servers[4].uuid] = 'exclude: inst!='
 			+ ownerVmOnServer4 + ' (ignored b/c non-strict)';
 
-		checkFilter(t, subsetServers, opts, expServers, expReasons);
+		var expDetails = {};
+		[ [3, ownerVmOnServer3], [4, ownerVmOnServer4] ].forEach(
+		    function (e) {
+			var uuid = servers[e[0]].uuid;
+			expDetails[uuid] = {
+				code: 'FarVmPresent',
+				plugin: 'soft-filter-locality-hints',
+				resource: 'locality.far',
+				requested: e[1],
+				available: null,
+				message: expReasons[uuid]
+			};
+		});
+
+		checkFilter(t, subsetServers, opts, expServers, expReasons,
+			expDetails);
 	});
 });
 
@@ -9,12 +9,19 @@
  */
 
 var assert = require('assert-plus');
+var jsprim = require('jsprim');
 var test = require('tape');
 var common = require('./common');
 var Allocator = require('../lib/allocator.js');
+var reasons = require('../lib/reasons.js');
+var calculateRecentVms =
+    require('../lib/algorithms/calculate-recent-vms.js');
+var filterMinRam = require('../lib/algorithms/hard-filter-min-ram.js');
+var filterRunning = require('../lib/algorithms/hard-filter-running.js');
 var addCommonOpts = require('./algorithms/common.js').addCommonOpts;
 
 var OPTS = addCommonOpts({});
+var VM_UUID = '0b0a4f88-2b7f-4b4c-9e5a-54b0e0a5c8f2';
 
 
 test('algorithms pipeline', function (t) {
@@ -86,6 +93,8 @@ test('algorithms shortcuts with no servers', function (t) {
 
 	var expected = [ {
 		step: 'Received by DAPI',
+		seed: VM_UUID,
+		version: 1,
 		remaining: [ '66e94ea4-6b6b-4b62-a886-799c227e6ae6' ]
 	}, {
 		step: 'foo',
@@ -143,7 +152,7 @@ test('algorithms shortcuts with no servers', function (t) {
 	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
 	allocator.allocServerExpr = plugins;
 
-	allocator.allocate([serverStub], {}, {}, {}, [],
+	allocator.allocate([serverStub], { vm_uuid: VM_UUID }, {}, {}, [],
 			function (err, stub, reasons) {
 		t.ifError(err);
 		t.deepEqual(executed, [1, 2, 3]);
@@ -166,6 +175,8 @@ test('dispatch 1', function (t) {
 
 	var expected = [ {
 		step: 'Received by DAPI',
+		seed: VM_UUID,
+		version: 1,
 		remaining: [ '66e94ea4-6b6b-4b62-a886-799c227e6ae6',
 			'94d987a9-968e-47ce-a959-4f14324bef7f',
 			'1727e98c-50b0-46de-96dd-3b360f522ce7',
@@ -239,7 +250,7 @@ test('dispatch 1', function (t) {
 	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
 	allocator.allocServerExpr = plugins;
 
-	allocator.allocate(serverStubs, {}, {}, {}, [],
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
 			function (err, stub, reasons) {
 		t.ifError(err);
 
@@ -262,6 +273,8 @@ test('dispatch 2', function (t) {
 
 	var expected = [ {
 		step: 'Received by DAPI',
+		seed: VM_UUID,
+		version: 1,
 		remaining: [ '66e94ea4-6b6b-4b62-a886-799c227e6ae6',
 			'94d987a9-968e-47ce-a959-4f14324bef7f',
 			'1727e98c-50b0-46de-96dd-3b360f522ce7',
@@ -324,7 +337,7 @@ test('dispatch 2', function (t) {
 	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
 	allocator.allocServerExpr = plugins;
 
-	allocator.allocate(serverStubs, {}, {}, {}, [],
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
 			function (err, stub, reasons) {
 		t.ifError(err);
 
@@ -348,6 +361,8 @@ test('dispatch 3', function (t) {
 	var expected = [
 		{
 			step: 'Received by DAPI',
+			seed: VM_UUID,
+			version: 1,
 			remaining: [ '66e94ea4-6b6b-4b62-a886-799c227e6ae6',
 			    '94d987a9-968e-47ce-a959-4f14324bef7f',
 			    '1727e98c-50b0-46de-96dd-3b360f522ce7',
@@ -395,7 +410,7 @@ test('dispatch 3', function (t) {
 	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
 	allocator.allocServerExpr = plugins;
 
-	allocator.allocate(serverStubs, {}, {}, {}, [],
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
 			function (err, stub, reasons) {
 		t.ifError(err);
 
@@ -707,6 +722,379 @@ test('or 2', function (t) {
 });
 
 
+/*
+ * Returns a plugin named 'name' which returns the given subset of the
+ * 'serverStubs' it is fed.
+ */
+function
+stubPlugin(name, uuids)
+{
+	return ({
+		name: name,
+		run: function (servers, opts, cb) {
+			cb(null, servers.filter(function (s) {
+				return (uuids.indexOf(s.uuid) !== -1);
+			}), {});
+		}
+	});
+}
+
+
+var STUB_UUIDS = [
+	'66e94ea4-6b6b-4b62-a886-799c227e6ae6',
+	'94d987a9-968e-47ce-a959-4f14324bef7f',
+	'1727e98c-50b0-46de-96dd-3b360f522ce7'
+];
+
+
+test('plugin failures', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var throws = {
+		name: 'throws',
+		run: function () {
+			throw new Error('intDate is null');
+		}
+	};
+
+	var errors = {
+		name: 'errors',
+		run: function (servers, opts, cb) {
+			cb(new Error('getVm failed'));
+		}
+	};
+
+	var hangs = {
+		name: 'hangs',
+		run: function () {}
+	};
+
+	var last = stubPlugin('last', STUB_UUIDS.slice(2));
+
+	function allocate(expr, defaults, cb) {
+		var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+		allocator.allocServerExpr = expr;
+		allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {},
+		    [], cb);
+	}
+
+	allocate(['pipe', throws, last], {}, function (err) {
+		t.equal(err.message, 'intDate is null');
+
+		allocate(['pipe', throws, last],
+		    { plugin_failure_policy: 'skip' }, checkSkip);
+	});
+
+	function checkSkip(err, server, steps) {
+		t.ifError(err);
+		t.equal(server.uuid, STUB_UUIDS[2]);
+		t.deepEqual(steps[1], {
+			step: 'throws',
+			remaining: STUB_UUIDS,
+			reasons: {
+				skip: 'Skipped, as it failed: intDate is null'
+			},
+			failure: { error: 'intDate is null', policy: 'skip' }
+		});
+
+		allocate(['pipe', errors, last],
+		    { plugin_failure_policy: 'drop' }, checkDrop);
+	}
+
+	function checkDrop(err, server, steps) {
+		t.ifError(err);
+		t.equal(server, undefined);
+		t.deepEqual(stepNames(steps), ['Received by DAPI', 'errors']);
+		t.deepEqual(steps[1].remaining, []);
+		t.equal(steps[1].reasons[STUB_UUIDS[0]],
+		    'Removed, as the algorithm failed: getVm failed');
+		t.deepEqual(steps[1].failure,
+		    { error: 'getVm failed', policy: 'drop' });
+
+		allocate(['pipe', hangs, last],
+		    { plugin_timeout: 10, plugin_failure_policy: 'skip' },
+		    checkTimeout);
+	}
+
+	function checkTimeout(err, server, steps) {
+		t.ifError(err);
+		t.equal(server.uuid, STUB_UUIDS[2]);
+		t.deepEqual(steps[1].failure, {
+			error: 'hangs did not call back within 10 ms',
+			policy: 'skip'
+		});
+
+		t.end();
+	}
+});
+
+
+test('plugin failure policy of plugin instance', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var opts = addCommonOpts({
+		algorithms: {
+			'site-throws': {
+				name: 'throws',
+				run: function () {
+					throw new Error('intDate is null');
+				}
+			}
+		}
+	});
+
+	var allocator = new Allocator(opts, ['pipe',
+		{
+			plugin: 'site-throws',
+			params: { plugin_failure_policy: 'skip' }
+		},
+		'site-throws'
+	], {});
+
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
+			function (err) {
+		t.equal(err.message, 'intDate is null');
+
+		allocator.reconfigure(['pipe',
+			{
+				plugin: 'site-throws',
+				params: { plugin_failure_policy: 'skip' }
+			},
+			'identity'
+		], null, function (err2) {
+			t.ifError(err2);
+		});
+
+		allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {},
+				[], function (err3, server, steps) {
+			t.ifError(err3);
+			t.ok(server);
+			t.equal(steps[1].step,
+			    'throws (plugin_failure_policy="skip")');
+			t.equal(steps[1].failure.policy, 'skip');
+			t.end();
+		});
+	});
+});
+
+
+test('try 1', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var plugins = [
+		'try',
+		stubPlugin('foo', STUB_UUIDS.slice(0, 2)),
+		stubPlugin('bar', STUB_UUIDS.slice(1, 2))
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var opts2 = { log: OPTS.log, vm: {} };
+
+	allocator._dispatch(plugins, serverStubs, opts2,
+			function (err, servers, visitedAlgorithms,
+			remainingServers, reasons) {
+		t.ifError(err);
+
+		t.deepEqual(servers, serverStubs.slice(1, 2));
+		t.deepEqual(visitedAlgorithms, [
+			plugins[1],
+			plugins[2],
+			{ name: 'Try succeeded, keeping its servers' }
+		]);
+		t.deepEqual(remainingServers, [
+			STUB_UUIDS.slice(0, 2),
+			STUB_UUIDS.slice(1, 2),
+			STUB_UUIDS.slice(1, 2)
+		]);
+		t.equal(reasons.length, 3);
+
+		t.end();
+	});
+});
+
+
+test('try 2', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var plugins = [
+		'pipe',
+		stubPlugin('foo', STUB_UUIDS.slice(0, 2)),
+		['try', stubPlugin('bar', [])],
+		stubPlugin('baz', STUB_UUIDS)
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var opts2 = { log: OPTS.log, vm: {} };
+
+	allocator._dispatch(plugins, serverStubs, opts2,
+			function (err, servers, visitedAlgorithms,
+			remainingServers) {
+		t.ifError(err);
+
+		t.deepEqual(servers, serverStubs.slice(0, 2));
+		t.deepEqual(visitedAlgorithms.map(function (a) {
+			return (a.name);
+		}), [
+			'foo',
+			'bar',
+			'Try removed every server, reverting to the servers ' +
+			    'before it',
+			'baz'
+		]);
+		t.deepEqual(remainingServers, [
+			STUB_UUIDS.slice(0, 2),
+			[],
+			STUB_UUIDS.slice(0, 2),
+			STUB_UUIDS.slice(0, 2)
+		]);
+
+		t.end();
+	});
+});
+
+
+test('union', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var plugins = [
+		'union',
+		stubPlugin('foo', [STUB_UUIDS[2]]),
+		['pipe', stubPlugin('bar', STUB_UUIDS.slice(0, 2)),
+			stubPlugin('baz', [STUB_UUIDS[0]])]
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var opts2 = { log: OPTS.log, vm: {} };
+
+	allocator._dispatch(plugins, serverStubs, opts2,
+			function (err, servers, visitedAlgorithms,
+			remainingServers) {
+		t.ifError(err);
+
+		// original order is kept
+		t.deepEqual(servers, [serverStubs[0], serverStubs[2]]);
+		t.deepEqual(visitedAlgorithms.map(function (a) {
+			return (a.name);
+		}), ['foo', 'bar', 'baz', 'Servers returned by any branch']);
+		t.deepEqual(remainingServers, [
+			[STUB_UUIDS[2]],
+			STUB_UUIDS.slice(0, 2),
+			[STUB_UUIDS[0]],
+			[STUB_UUIDS[0], STUB_UUIDS[2]]
+		]);
+
+		t.end();
+	});
+});
+
+
+test('intersect', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var plugins = [
+		'intersect',
+		stubPlugin('foo', STUB_UUIDS.slice(0, 2)),
+		stubPlugin('bar', STUB_UUIDS.slice(1, 3))
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var opts2 = { log: OPTS.log, vm: {} };
+
+	allocator._dispatch(plugins, serverStubs, opts2,
+			function (err, servers, visitedAlgorithms,
+			remainingServers) {
+		t.ifError(err);
+
+		t.deepEqual(servers, [serverStubs[1]]);
+		t.deepEqual(visitedAlgorithms.map(function (a) {
+			return (a.name);
+		}), ['foo', 'bar', 'Servers returned by every branch']);
+		t.deepEqual(remainingServers[2], [STUB_UUIDS[1]]);
+
+		t.end();
+	});
+});
+
+
+test('when', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var plugins = [
+		'when',
+		{ 'vm.brand': ['bhyve', 'kvm'] },
+		stubPlugin('hvm', [STUB_UUIDS[0]]),
+		{ 'vm.docker': true },
+		['pipe', stubPlugin('docker', [STUB_UUIDS[1]])],
+		stubPlugin('other', [STUB_UUIDS[2]])
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+
+	function names(visitedAlgorithms) {
+		return (visitedAlgorithms.map(function (a) {
+			return (a.name);
+		}));
+	}
+
+	var opts2 = { log: OPTS.log, vm: { brand: 'joyent', docker: true } };
+
+	allocator._dispatch(plugins, serverStubs, opts2,
+			function (err, servers, visitedAlgorithms,
+			remainingServers, reasons) {
+		t.ifError(err);
+
+		t.deepEqual(servers, [serverStubs[1]]);
+		t.deepEqual(names(visitedAlgorithms), [
+			'When vm.docker is true, use branch 2',
+			'docker'
+		]);
+		t.deepEqual(remainingServers, [STUB_UUIDS, [STUB_UUIDS[1]]]);
+		t.equal(reasons.length, 2);
+
+		opts2.vm = { brand: 'joyent' };
+
+		allocator._dispatch(plugins, serverStubs, opts2,
+				function (err2, servers2, visitedAlgorithms2) {
+			t.ifError(err2);
+
+			t.deepEqual(servers2, [serverStubs[2]]);
+			t.deepEqual(names(visitedAlgorithms2), [
+				'No condition matched, use the default branch',
+				'other'
+			]);
+
+			// without a default branch, servers pass through
+			allocator._dispatch(plugins.slice(0, 5), serverStubs,
+					opts2, function (err3, servers3,
+					visitedAlgorithms3) {
+				t.ifError(err3);
+
+				t.deepEqual(servers3, serverStubs);
+				t.deepEqual(names(visitedAlgorithms3), [
+					'No condition matched, keep all servers'
+				]);
+
+				t.end();
+			});
+		});
+	});
+});
+
+
 test('create plugin summary', function (t) {
 	var serverStubs = [
 		{ uuid: '66e94ea4-6b6b-4b62-a886-799c227e6ae6' },
@@ -791,6 +1179,7 @@ test('load available algorithms', function (t) {
 
 	var expectedNames = [
 		'calculate-affinity',
+		'calculate-recent-vms',
 		'calculate-server-unreserved',
 		'calculate-ticketed-vms',
 		'hard-filter-capness',
@@ -822,6 +1211,7 @@ test('load available algorithms', function (t) {
 		'override-overprovisioning',
 		'score-current-platform',
 		'score-next-reboot',
+		'score-num-owner-rack-zones',
 		'score-num-owner-zones',
 		'score-uniform-random',
 		'score-unreserved-disk',
@@ -845,12 +1235,96 @@ test('load algorithms', function (t) {
 });
 
 
+test('load algorithms from custom paths', function (t) {
+	var opts = addCommonOpts({
+		algorithmPaths: [__dirname + '/custom-algorithms']
+	});
+
+	var allocator = new Allocator(opts, ['pipe',
+	    'hard-filter-setup', 'site-filter-odd-hostnames'],
+	    common.DEFAULTS);
+
+	t.equal(allocator.allocServerExpr[2].name,
+	    'Servers with odd hostnames');
+
+	var servers = [
+		{ uuid: STUB_UUIDS[0], hostname: 'cn1', setup: true },
+		{ uuid: STUB_UUIDS[1], hostname: 'cn2', setup: true }
+	];
+
+	allocator._dispatch(allocator.allocServerExpr, servers, opts,
+			function (err, remaining) {
+		t.ifError(err);
+		t.deepEqual(remaining, servers.slice(0, 1));
+
+		t.throws(function () {
+			return (new Allocator(OPTS, ['pipe',
+			    'site-filter-odd-hostnames'], common.DEFAULTS));
+		}, /Unrecognized algorithm: site-filter-odd-hostnames/);
+
+		t.end();
+	});
+});
+
+
+test('load algorithms from objects', function (t) {
+	var plugin = {
+		name: 'Servers which are cn1',
+		run: function (servers, opts, cb) {
+			return (cb(null, servers.filter(function (server) {
+				return (server.hostname === 'cn1');
+			}), {}));
+		}
+	};
+
+	var opts = addCommonOpts({ algorithms: { 'site-filter-cn1': plugin } });
+	var allocator = new Allocator(opts, ['pipe', 'site-filter-cn1'],
+	    common.DEFAULTS);
+
+	t.deepEqual(allocator.allocServerExpr, ['pipe', plugin]);
+
+	t.throws(function () {
+		return (new Allocator(addCommonOpts({
+			algorithms: { 'site-filter-cn1': { name: 'foo' } }
+		}), ['pipe', 'hard-filter-setup'], common.DEFAULTS));
+	}, /Bad algorithm given: "site-filter-cn1" in opts.algorithms/);
+
+	t.end();
+});
+
+
+test('load algorithms with colliding names', function (t) {
+	var dir = __dirname + '/custom-algorithms';
+
+	t.throws(function () {
+		return (new Allocator(addCommonOpts({
+			algorithms: { 'hard-filter-setup': {
+				name: 'Servers which are set up',
+				run: function () {}
+			} }
+		}), ['pipe', 'hard-filter-setup'], common.DEFAULTS));
+	}, /"hard-filter-setup" from opts.algorithms has the same name/);
+
+	t.throws(function () {
+		return (new Allocator(addCommonOpts({
+			algorithmPaths: [dir],
+			algorithms: { 'site-filter-odd-hostnames': {
+				name: 'Servers with odd hostnames',
+				run: function () {}
+			} }
+		}), ['pipe', 'hard-filter-setup'], common.DEFAULTS));
+	}, /same name as the one from .*\/site-filter-odd-hostnames.js/);
+
+	t.end();
+});
+
+
 test('create expression', function (t) {
 	var description = [
 		'or',
 		[ 'pipe',
 			'hard-filter-headnode',
-			'hard-filter-min-disk'
+			'hard-filter-reserved'
 		],
 		[ 'pipe',
 			'hard-filter-running',
@@ -868,7 +1342,7 @@ test('create expression', function (t) {
 		'or',
 		[ 'pipe',
 			availableAlgorithms['hard-filter-headnode'],
-			availableAlgorithms['hard-filter-min-disk']
+			availableAlgorithms['hard-filter-reserved']
 		],
 		['pipe',
 			availableAlgorithms['hard-filter-running'],
@@ -883,73 +1357,2577 @@ test('create expression', function (t) {
 });
 
 
-test('server capacity with default overprovisioning', function (t) {
-	var expectedServers = {
-		'00000000-0000-0000-0000-00259094373c': {
-			cpu: 6100,
-			ram: 100627,
-			disk: 3015003
-		},
-		'00000000-0000-0000-0000-0025909437d4': {
-			cpu: 5525,
-			ram: 105619,
-			disk: -27904
-		}
-	};
+test('create expression with new commands', function (t) {
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var availableAlgorithms = allocator._loadAvailableAlgorithms();
+
+	var expression = allocator._createExpression([
+		'union',
+		['try', 'hard-filter-reservoir'],
+		['intersect', 'hard-filter-headnode', 'hard-filter-setup']
+	], availableAlgorithms);
+
+	t.deepEqual(expression, [
+		'union',
+		['try', availableAlgorithms['hard-filter-reservoir']],
+		['intersect',
+			availableAlgorithms['hard-filter-headnode'],
+			availableAlgorithms['hard-filter-setup']
+		]
+	]);
+
+	t.throws(function () {
+		allocator._createExpression(['union', 'hard-filter-setup'],
+		    availableAlgorithms);
+	}, /sexp too short for given command: union/);
+
+	t.throws(function () {
+		allocator._createExpression(['xor', 'hard-filter-setup',
+		    'hard-filter-running'], availableAlgorithms);
+	}, /Invalid command: xor/);
+
+	t.end();
+});
 
-	var expectedReasons = {
-		asdsa: 'Server has status: undefined',
-		skip: 'getServerVms not set; assuming server.vms is ' +
-			'already populated'
-	};
 
+test('create expression with when', function (t) {
 	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
-	allocator.serverCapacity(common.getExampleServers(),
-			function (err, servers, reasons) {
-		t.ifError(err);
-		t.deepEqual(servers, expectedServers);
-		t.deepEqual(reasons, expectedReasons);
-		t.end();
-	});
+	var availableAlgorithms = allocator._loadAvailableAlgorithms();
+
+	var expression = allocator._createExpression([
+		'when',
+		{ 'vm.brand': 'bhyve' }, ['pipe', 'hard-filter-hvm'],
+		'hard-filter-setup'
+	], availableAlgorithms);
+
+	t.deepEqual(expression, [
+		'when',
+		{ 'vm.brand': 'bhyve' },
+		['pipe', availableAlgorithms['hard-filter-hvm']],
+		availableAlgorithms['hard-filter-setup']
+	]);
+
+	t.throws(function () {
+		allocator._createExpression(['when', 'hard-filter-setup',
+		    'hard-filter-running'], availableAlgorithms);
+	}, /Bad expression given: predicate must be an object/);
+
+	t.throws(function () {
+		allocator._createExpression(['when',
+		    { 'server.traits': { present: true } },
+		    'hard-filter-running'], availableAlgorithms);
+	}, /predicate field server.traits must start with vm., img. or pkg./);
+
+	t.end();
 });
 
 
-test('server capacity with altered overprovisioning', function (t) {
-	var expectedServers = {
-		'00000000-0000-0000-0000-00259094373c': {
-			cpu: 6199,
-			ram: 106941,
-			disk: 3047003
+test('create expression with plugin instances', function (t) {
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var availableAlgorithms = allocator._loadAvailableAlgorithms();
+	var vmCount = availableAlgorithms['hard-filter-vm-count'];
+
+	var expression = allocator._createExpression([
+		'pipe',
+		{
+			plugin: 'hard-filter-vm-count',
+			params: { filter_vm_limit: 2 }
 		},
-		'00000000-0000-0000-0000-0025909437d4': {
-			cpu: 5816,
-			ram: 109459,
-			disk: 777728
-		}
-	};
+		{ plugin: 'hard-filter-vm-count' }
+	], availableAlgorithms);
+
+	t.equal(expression[1].name,
+	    'Servers with more VMs than limit (filter_vm_limit=2)');
+	t.equal(expression[1].algorithm, vmCount);
+	t.deepEqual(expression[1].params, { filter_vm_limit: 2 });
+	t.equal(expression[2], vmCount);
+	t.ok(allocator._includesAlgorithm(expression, vmCount));
+
+	function check(element, re) {
+		t.throws(function () {
+			allocator._createExpression(['pipe', element],
+			    availableAlgorithms);
+		}, re);
+	}
+
+	check({ plugin: 'hard-filter-foo' },
+	    /Unrecognized algorithm: hard-filter-foo/);
+	check({ params: {} }, /Plugin instance has no plugin name/);
+	check({ plugin: 'hard-filter-vm-count', weight: 2 },
+	    /Invalid plugin instance attribute: weight/);
+	check({ plugin: 'hard-filter-vm-count', params: [] },
+	    /Params of hard-filter-vm-count are not an object/);
+	check({ plugin: 'hard-filter-vm-count',
+	    params: { filter_vm_limit: 'many' } },
+	    /Params of hard-filter-vm-count are invalid: Defaults /);
 
-	var expectedReasons = {
-		asdsa: 'Server has status: undefined',
-		skip: 'getServerVms not set; assuming server.vms is ' +
-			'already populated'
-	};
+	t.end();
+});
 
-	var defaults = {
-		overprovision_ratio_cpu: 6,
-		overprovision_ratio_ram: 3,
-		overprovision_ratio_disk: 2
-	};
 
-	Object.keys(common.DEFAULTS).forEach(function (key) {
-		defaults[key] = defaults[key] || common.DEFAULTS[key];
-	});
+test('create expression checks requirements', function (t) {
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var availableAlgorithms = allocator._loadAvailableAlgorithms();
 
-	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
-	allocator.serverCapacity(common.getExampleServers(),
-			function (err, servers, reasons) {
-		t.ifError(err);
-		t.deepEqual(servers, expectedServers);
-		t.deepEqual(reasons, expectedReasons);
-		t.end();
+	function create(description, provided) {
+		return (allocator._createExpression(description,
+		    availableAlgorithms, provided));
+	}
+
+	function check(description, re) {
+		t.throws(function () {
+			create(description);
+		}, re);
+	}
+
+	t.ok(create(['pipe', 'load-server-vms', 'calculate-server-unreserved',
+	    { plugin: 'hard-filter-min-ram' }, 'score-unreserved-disk']));
+	t.ok(create(['pipe', 'calculate-server-unreserved'], ['server.vms']));
+	t.ok(create(['pipe',
+		['intersect', 'load-server-vms', 'calculate-affinity'],
+		'calculate-recent-vms',
+		'hard-filter-locality-hints'
+	]));
+	t.ok(create(['pipe',
+		['when', { 'vm.brand': 'bhyve' }, 'load-server-vms',
+		    'load-server-vms'],
+		'calculate-ticketed-vms'
+	]));
+
+	check(['pipe', 'hard-filter-min-ram', 'calculate-server-unreserved'],
+	    /hard-filter-min-ram requires server.unreserved_ram, which no /);
+	check(['pipe', 'calculate-server-unreserved'],
+	    /calculate-server-unreserved requires server.vms, which no /);
+	check(['pipe', 'hard-filter-locality-hints', 'calculate-affinity'],
+	    /hard-filter-locality-hints requires opts.vm.locality/);
+	check(['pipe', ['try', 'load-server-vms'], 'calculate-ticketed-vms'],
+	    /calculate-ticketed-vms requires server.vms/);
+	check(['pipe',
+		['or', 'load-server-vms', 'hard-filter-setup'],
+		'calculate-recent-vms'
+	], /calculate-recent-vms requires server.vms/);
+	check(['pipe',
+		['when', { 'vm.brand': 'bhyve' }, 'load-server-vms'],
+		'calculate-recent-vms'
+	], /calculate-recent-vms requires server.vms/);
+	check(['union', 'load-server-vms', 'calculate-server-unreserved'],
+	    /calculate-server-unreserved requires server.vms/);
+
+	t.end();
+});
+
+
+test('validate description', function (t) {
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+
+	function codes(description) {
+		return (allocator.validateDescription(description).map(
+		    function (problem) {
+			return ([ problem.severity, problem.code,
+			    problem.path.join('.') ]);
+		}));
+	}
+
+	t.deepEqual(allocator.validateDescription(common.ALGO_DESC), []);
+	t.deepEqual(allocator.validateDescription('ha'), []);
+	t.deepEqual(codes('hurricane'), [ ['error', 'UnknownPreset', ''] ]);
+	t.deepEqual(codes(42), [ ['error', 'InvalidElement', ''] ]);
+
+	t.deepEqual(allocator.validateDescription([
+		'pipe', 'hard-filter-setup',
+			['or', 'hard-filter-foo'],
+			{ plugin: 'hard-filter-vm-count', params: [] },
+			['when', { 'server.ram': 1 }, 'identity'],
+			7
+	]), [ {
+		severity: 'error',
+		code: 'TooShort',
+		path: [2],
+		message: 'sexp too short for given command: or'
+	}, {
+		severity: 'error',
+		code: 'UnknownAlgorithm',
+		path: [2, 1],
+		message: 'Unrecognized algorithm: hard-filter-foo'
+	}, {
+		severity: 'error',
+		code: 'InvalidInstance',
+		path: [3],
+		message: 'Params of hard-filter-vm-count are not an object'
+	}, {
+		severity: 'error',
+		code: 'InvalidPredicate',
+		path: [4, 1],
+		message: 'predicate field server.ram must start with vm., ' +
+		    'img. or pkg.'
+	}, {
+		severity: 'error',
+		code: 'InvalidElement',
+		path: [5],
+		message: 'Invalid element: 7'
+	} ]);
+
+	t.deepEqual(codes(['xor', 'hard-filter-setup']),
+	    [ ['error', 'InvalidCommand', ''] ]);
+
+	t.deepEqual(codes(['pipe',
+		'hard-filter-min-ram',
+		'calculate-server-unreserved',
+		'hard-filter-min-disk'
+	]), [
+		['error', 'MissingDependency', '1'],
+		['error', 'MissingDependency', '2']
+	]);
+
+	t.deepEqual(codes(['pipe',
+		['or', 'hard-filter-reservoir',
+		       ['try', 'hard-filter-large-servers'],
+		       'hard-filter-headnode',
+		       'identity']
+	]), [
+		['warning', 'UnreachableBranch', '1.3'],
+		['warning', 'UnreachableBranch', '1.4']
+	]);
+
+	t.deepEqual(codes(['pipe',
+		['when', { 'vm.brand': 'bhyve' }, 'score-num-owner-zones',
+		    'score-num-owner-zones'],
+		{ plugin: 'score-num-owner-zones' },
+		'score-current-platform'
+	]), [ ['warning', 'DuplicateScorer', '2'] ]);
+
+	// instances with different params are different scorers
+	t.deepEqual(codes(['pipe',
+		{ plugin: 'score-num-owner-zones',
+		    params: { weight_num_owner_zones: 2 } },
+		{ plugin: 'score-num-owner-zones',
+		    params: { weight_num_owner_zones: -1 } },
+		'score-num-owner-zones',
+		{ plugin: 'score-num-owner-zones', params: {} },
+		{ plugin: 'score-num-owner-zones',
+		    params: { weight_num_owner_zones: 2 } }
+	]), [
+		['warning', 'DuplicateScorer', '4'],
+		['warning', 'DuplicateScorer', '5']
+	]);
+
+	t.end();
+});
+
+
+test('validate description without an allocator', function (t) {
+	var plugin = {
+		name: 'Servers which are cn1',
+		run: function (servers, opts, cb) {
+			return (cb(null, servers, {}));
+		}
+	};
+
+	var opts = addCommonOpts({ algorithms: { 'site-filter-cn1': plugin } });
+
+	function codes(description, validateOpts) {
+		return (Allocator.validateDescription(description,
+		    validateOpts).map(function (problem) {
+			return ([ problem.severity, problem.code,
+			    problem.path.join('.') ]);
+		}));
+	}
+
+	t.deepEqual(codes(common.ALGO_DESC, OPTS), []);
+	t.deepEqual(codes('pack', OPTS), []);
+	t.deepEqual(codes(['pipe', 'site-filter-cn1'], opts), []);
+	t.deepEqual(codes(['pipe', 'site-filter-cn1'], OPTS),
+	    [ ['error', 'UnknownAlgorithm', '1'] ]);
+	t.deepEqual(codes('hurricane', OPTS),
+	    [ ['error', 'UnknownPreset', ''] ]);
+
+	var description = ['pipe', 'calculate-server-unreserved'];
+	t.deepEqual(codes(description, OPTS),
+	    [ ['error', 'MissingDependency', '1'] ]);
+	t.deepEqual(codes(description,
+	    addCommonOpts({ provides: ['server.vms'] })), []);
+
+	var badOpts = addCommonOpts({
+		algorithms: { 'hard-filter-setup': plugin }
+	});
+	t.throws(function () {
+		Allocator.validateDescription(['pipe', 'hard-filter-setup'],
+		    badOpts);
+	}, /"hard-filter-setup" from opts.algorithms has the same name/);
+
+	t.end();
+});
+
+
+test('constructor reports problems', function (t) {
+	var err;
+
+	try {
+		new Allocator(OPTS, ['pipe', 'hard-filter-foo',
+		    ['or', 'identity', 'hard-filter-setup']], common.DEFAULTS);
+	} catch (e) {
+		err = e;
+	}
+
+	t.ok(err);
+	t.equal(err.message,
+	    'Bad expression given: Unrecognized algorithm: hard-filter-foo');
+	t.deepEqual(err.problems.map(function (problem) {
+		return (problem.code);
+	}), ['UnknownAlgorithm', 'UnreachableBranch']);
+
+	// only the first description with errors is reported
+	err = null;
+	try {
+		new Allocator(addCommonOpts({
+			capacityDescription: ['pipe', 'hard-filter-bar']
+		}), ['pipe', 'hard-filter-foo'], common.DEFAULTS);
+	} catch (e) {
+		err = e;
+	}
+
+	t.ok(err);
+	t.deepEqual(err.problems.map(function (problem) {
+		return (problem.message);
+	}), ['Unrecognized algorithm: hard-filter-foo']);
+
+	var allocator = new Allocator(OPTS,
+	    ['or', 'identity', 'hard-filter-setup'], common.DEFAULTS);
+	t.ok(allocator.allocServerExpr);
+
+	t.end();
+});
+
+
+test('constructor allows fields the caller provides', function (t) {
+	var description = ['pipe', 'calculate-server-unreserved',
+	    'hard-filter-min-ram', 'hard-filter-locality-hints'];
+
+	t.throws(function () {
+		new Allocator(OPTS, description, common.DEFAULTS);
+	}, /MissingDependency|requires server.vms/);
+
+	// servers may be given with their VMs, and vm with its locality
+	var opts = addCommonOpts({
+		provides: ['server.vms', 'opts.vm.locality']
+	});
+	var allocator = new Allocator(opts, description, common.DEFAULTS);
+	t.deepEqual(allocator.validateDescription(description), []);
+
+	t.throws(function () {
+		new Allocator(addCommonOpts({ provides: 'server.vms' }),
+		    description, common.DEFAULTS);
+	}, /opts.provides/);
+
+	t.end();
+});
+
+
+test('plugins are only given the opts meant for them', function (t) {
+	var seen = [];
+
+	function getServerVms(serverUuid, cb) {
+		return (cb(null, []));
+	}
+
+	var spy = {
+		name: 'Record opts',
+		run: function (servers, opts, cb) {
+			seen.push(opts);
+			return (cb(null, servers, {}));
+		}
+	};
+
+	var opts = addCommonOpts({
+		getServerVms: getServerVms,
+		algorithms: { spy: spy },
+		capacityDescription: ['pipe', 'spy', 'load-server-vms',
+		    'calculate-server-unreserved'],
+		provides: ['server.vms']
+	});
+
+	var allocator = new Allocator(opts, ['pipe', 'spy'], common.DEFAULTS);
+	allocator.allocate([ { uuid: STUB_UUIDS[0] } ], { vm_uuid: VM_UUID },
+			{}, {}, [], function (err) {
+		t.ifError(err);
+
+		allocator.serverCapacity([ { uuid: STUB_UUIDS[0] } ],
+				function (err2) {
+			t.ifError(err2);
+			t.equal(seen.length, 2);
+
+			seen.forEach(function (pluginOpts) {
+				t.equal(pluginOpts.log, opts.log);
+				t.equal(pluginOpts.getServerVms, getServerVms);
+
+				['algorithms', 'capacityDescription',
+				    'provides'].forEach(function (key) {
+					t.equal(pluginOpts[key], undefined,
+					    key);
+				});
+			});
+
+			t.end();
+		});
+	});
+});
+
+
+test('plugin instance params are merged over defaults', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid, i) {
+		var vms = {};
+		for (var j = 0; j !== i; j++)
+			vms['vm' + j] = {};
+
+		return ({ uuid: uuid, vms: vms });
+	});
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var availableAlgorithms = allocator._loadAvailableAlgorithms();
+
+	var expression = allocator._createExpression([
+		'pipe',
+		{
+			plugin: 'hard-filter-vm-count',
+			params: { filter_vm_limit: 2 }
+		},
+		'hard-filter-vm-count'
+	], availableAlgorithms);
+
+	var defaults = { filter_vm_limit: 1, weight_unreserved_ram: 2 };
+	var opts2 = { log: OPTS.log, vm: {}, defaults: defaults };
+
+	allocator._dispatch(expression.slice(0, 2), serverStubs, opts2,
+			function (err, servers, visitedAlgorithms,
+			remainingServers, reasons) {
+		t.ifError(err);
+
+		t.deepEqual(remainingServers, [STUB_UUIDS.slice(0, 2)]);
+		t.deepEqual(reasons[0], {
+			'1727e98c-50b0-46de-96dd-3b360f522ce7': {
+				code: 'TooManyVms',
+				plugin: 'hard-filter-vm-count',
+				resource: 'vms',
+				requested: 1,
+				available: 0,
+				message: 'Server has 2 VMs (limit is 2)'
+			}
+		});
+
+		// the shared defaults are untouched
+		t.deepEqual(defaults,
+		    { filter_vm_limit: 1, weight_unreserved_ram: 2 });
+
+		allocator._dispatch(expression, serverStubs, opts2,
+				function (err2, servers2) {
+			t.ifError(err2);
+			t.deepEqual(servers2, serverStubs.slice(0, 1));
+			t.end();
+		});
+	});
+});
+
+
+test('server capacity with default overprovisioning', function (t) {
+	var expectedServers = {
+		'00000000-0000-0000-0000-00259094373c': {
+			cpu: 6100,
+			ram: 100627,
+			disk: 3015003
+		},
+		'00000000-0000-0000-0000-0025909437d4': {
+			cpu: 5525,
+			ram: 105619,
+			disk: -27904
+		}
+	};
+
+	var expectedReasons = {
+		asdsa: 'Server has status: undefined',
+		skip: 'getServerVms not set; assuming server.vms is ' +
+			'already populated'
+	};
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.serverCapacity(common.getExampleServers(),
+			function (err, servers, reasons) {
+		t.ifError(err);
+		t.deepEqual(servers, expectedServers);
+		t.deepEqual(reasons, expectedReasons);
+		t.end();
+	});
+});
+
+
+test('server capacity with altered overprovisioning', function (t) {
+	var expectedServers = {
+		'00000000-0000-0000-0000-00259094373c': {
+			cpu: 6199,
+			ram: 106941,
+			disk: 3047003
+		},
+		'00000000-0000-0000-0000-0025909437d4': {
+			cpu: 5816,
+			ram: 109459,
+			disk: 777728
+		}
+	};
+
+	var expectedReasons = {
+		asdsa: 'Server has status: undefined',
+		skip: 'getServerVms not set; assuming server.vms is ' +
+			'already populated'
+	};
+
+	var defaults = {
+		overprovision_ratio_cpu: 6,
+		overprovision_ratio_ram: 3,
+		overprovision_ratio_disk: 2
+	};
+
+	Object.keys(common.DEFAULTS).forEach(function (key) {
+		defaults[key] = defaults[key] || common.DEFAULTS[key];
+	});
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.serverCapacity(common.getExampleServers(),
+			function (err, servers, reasons) {
+		t.ifError(err);
+		t.deepEqual(servers, expectedServers);
+		t.deepEqual(reasons, expectedReasons);
+		t.end();
+	});
+});
+
+
+test('server capacity with tickets', function (t) {
+	var tickets = [ {
+		scope: 'vm',
+		action: 'provision',
+		status: 'active',
+		server_uuid: '00000000-0000-0000-0000-00259094373c',
+		id: 'a9d4d1f8-8a3c-4e6b-9f55-07b1f6b1c2aa',
+		extra: {
+			owner_uuid: '9b81f9e7-55e1-4e00-a8f7-917bd054b320',
+			max_physical_memory: 1024,
+			cpu_cap: 100,
+			quota: 10,
+			brand: 'joyent'
+		}
+	} ];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.serverCapacity(common.getExampleServers(), tickets,
+			function (err, servers) {
+		t.ifError(err);
+		t.deepEqual(servers['00000000-0000-0000-0000-00259094373c'], {
+			cpu: 6075,
+			ram: 99603,
+			disk: 3004763
+		});
+		t.end();
+	});
+});
+
+
+test('server capacity with custom description', function (t) {
+	var opts = addCommonOpts({
+		capacityDescription: [
+			'pipe', 'hard-filter-setup',
+				'hard-filter-running',
+				'hard-filter-traits',
+				'load-server-vms',
+				'calculate-server-unreserved'
+		]
+	});
+
+	var servers = common.getExampleServers();
+	servers[1].traits = { ssd: true };
+
+	var allocator = new Allocator(opts, common.ALGO_DESC, common.DEFAULTS);
+	allocator.serverCapacity(servers, function (err, capacity, reasons) {
+		t.ifError(err);
+		t.deepEqual(Object.keys(capacity), [
+			'00000000-0000-0000-0000-00259094373c'
+		]);
+		t.ok(reasons['00000000-0000-0000-0000-0025909437d4']);
+		t.end();
+	});
+});
+
+
+test('server capacity with bad description', function (t) {
+	t.throws(function () {
+		var opts = addCommonOpts({
+			capacityDescription: ['pipe', 'hard-filter-setup']
+		});
+		return (new Allocator(opts, common.ALGO_DESC,
+		    common.DEFAULTS));
+	}, /must include calculate-server-unreserved/);
+
+	t.throws(function () {
+		var opts = addCommonOpts({
+			capacityDescription: [
+				'pipe', 'hard-filter-nonexistent',
+				'calculate-server-unreserved'
+			]
+		});
+		return (new Allocator(opts, common.ALGO_DESC,
+		    common.DEFAULTS));
+	}, /Unrecognized algorithm/);
+
+	t.end();
+});
+
+
+test('package capacity', function (t) {
+	var servers = common.getExampleServers();
+	servers[1].traits = { ssd: true };
+
+	var pkgs = [ {
+		max_physical_memory: 8192,
+		cpu_cap: 400,
+		quota: 102400,
+		overprovision_memory: 1,
+		overprovision_cpu: 4,
+		overprovision_storage: 1
+	}, {
+		max_physical_memory: 8192,
+		brand: 'kvm',
+		overprovision_memory: 1
+	}, {
+		max_physical_memory: 1024,
+		traits: { ssd: true }
+	} ];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.packageCapacity(servers, pkgs,
+			function (err, capacity, reasons) {
+		t.ifError(err);
+
+		t.deepEqual(capacity, {
+			servers: {
+				// limited by RAM, and RAM plus KVM overhead
+				'00000000-0000-0000-0000-00259094373c':
+				    [12, 10, 0],
+				// only the package with matching traits fits
+				'00000000-0000-0000-0000-0025909437d4':
+				    [0, 0, 103]
+			},
+			total: [12, 10, 103]
+		});
+		t.equal(reasons.asdsa, 'Server has status: undefined');
+
+		t.end();
+	});
+});
+
+
+test('package capacity with an image', function (t) {
+	var servers = common.getExampleServers();
+	var pkgs = [ {
+		max_physical_memory: 1024,
+		brand: 'kvm',
+		quota: 102400,
+		overprovision_memory: 1
+	} ];
+	var img = { files: [], image_size: 102400 };
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.packageCapacity(jsprim.deepCopy(servers), pkgs,
+			function (err, capacity) {
+		t.ifError(err);
+
+		allocator.packageCapacity(servers, pkgs, img,
+				function (err2, imgCapacity) {
+			t.ifError(err2);
+
+			// disk for image_size halves the slots of HVM packages
+			t.deepEqual(capacity.total, [29]);
+			t.deepEqual(imgCapacity.total, [14]);
+
+			t.end();
+		});
+	});
+});
+
+
+/*
+ * A plugin that keeps only the first server with the fewest VMs, so that
+ * charging of VMs placed earlier in a batch is visible in later placements.
+ */
+var PICK_EMPTIEST = {
+	name: 'Pick emptiest server',
+	run: function (servers, opts, cb) {
+		var emptiest = servers.filter(function (server) {
+			return (Object.keys(server.vms).length < 2);
+		}).reduce(function (best, server) {
+			var numVms = Object.keys(server.vms).length;
+
+			if (best && Object.keys(best.vms).length <= numVms)
+				return (best);
+
+			return (server);
+		}, null);
+
+		cb(null, emptiest ? [emptiest] : [], {});
+	}
+};
+
+
+function batchServers()
+{
+	return ([ {
+		uuid: '66e94ea4-6b6b-4b62-a886-799c227e6ae6',
+		disk_zone_quota_bytes: 0,
+		vms: {}
+	}, {
+		uuid: '94d987a9-968e-47ce-a959-4f14324bef7f',
+		disk_zone_quota_bytes: 0,
+		vms: {}
+	} ]);
+}
+
+
+function batchRequests(numRequests)
+{
+	var vmUuids = [
+		'1727e98c-50b0-46de-96dd-3b360f522ce7',
+		'32f7e58c-3be8-4530-851a-2606bb8bc53f',
+		'62559b33-4f3a-4505-a942-87cc557fdf4e',
+		'335498f7-a1ed-420c-8367-7f2769ca1e84',
+		'b3d04682-536f-4f09-8170-1954e45e9e1c'
+	];
+
+	return (vmUuids.slice(0, numRequests).map(function (vmUuid) {
+		return ({
+			vm: {
+				vm_uuid: vmUuid,
+				owner_uuid:
+				    '9b81f9e7-55e1-4e00-a8f7-917bd054b320',
+				ram: 1024,
+				quota: 10
+			},
+			img: {},
+			pkg: null
+		});
+	}));
+}
+
+
+test('allocate many', function (t) {
+	var servers = batchServers();
+	var requests = batchRequests(3);
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe', PICK_EMPTIEST];
+
+	allocator.allocateMany(servers, requests, function (err, results) {
+		t.ifError(err);
+
+		var serverUuids = results.map(function (result) {
+			return (result.server.uuid);
+		});
+
+		t.deepEqual(serverUuids, [
+			'66e94ea4-6b6b-4b62-a886-799c227e6ae6',
+			'94d987a9-968e-47ce-a959-4f14324bef7f',
+			'66e94ea4-6b6b-4b62-a886-799c227e6ae6'
+		]);
+
+		// third request sees the VM placed by the first
+		var lastServer = results[2].server;
+		t.deepEqual(Object.keys(lastServer.vms), [
+			'1727e98c-50b0-46de-96dd-3b360f522ce7'
+		]);
+		t.equal(lastServer.disk_zone_quota_bytes,
+			10 * 1024 * 1024 * 1024);
+
+		t.equal(results[1].steps[1].step, 'Pick emptiest server');
+
+		// caller's servers are not charged
+		t.deepEqual(servers[0].vms, {});
+		t.deepEqual(servers[1].vms, {});
+		t.equal(servers[0].disk_zone_quota_bytes, 0);
+
+		t.end();
+	});
+});
+
+
+test('allocate many with cached VMs', function (t) {
+	var servers = batchServers();
+	var cachedVms = {};
+	servers.forEach(function (server) {
+		cachedVms[server.uuid] = [];
+	});
+
+	var opts = addCommonOpts({
+		getServerVms: function (serverUuid, cb) {
+			cb(null, cachedVms[serverUuid]);
+		}
+	});
+
+	var allocator = new Allocator(opts, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe',
+	    require('../lib/algorithms/load-server-vms.js'), PICK_EMPTIEST];
+
+	allocator.allocateMany(servers, batchRequests(3),
+			function (err, results) {
+		t.ifError(err);
+
+		// third request sees the VM placed by the first
+		t.deepEqual(Object.keys(results[2].server.vms), [
+			'1727e98c-50b0-46de-96dd-3b360f522ce7'
+		]);
+
+		// caller's cached arrays are untouched
+		t.deepEqual(cachedVms[servers[0].uuid], []);
+		t.deepEqual(cachedVms[servers[1].uuid], []);
+
+		t.end();
+	});
+});
+
+
+test('allocate many charges unreserved resources', function (t) {
+	var servers = common.getExampleServers().slice(0, 1);
+	var requests = batchRequests(2);
+
+	requests.forEach(function (request) {
+		request.vm.cpu_cap = 200;
+		request.img = { files: [], image_size: 0 };
+	});
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocateMany(servers, requests, function (err, results) {
+		t.ifError(err);
+
+		var first = results[0].server;
+		var second = results[1].server;
+		t.equal(first.uuid, servers[0].uuid);
+		t.equal(second.uuid, servers[0].uuid);
+
+		// as calculate-server-unreserved works them out with the
+		// first VM on the server
+		t.equal(second.unreserved_cpu, first.unreserved_cpu - 200 / 4);
+		t.equal(second.unreserved_ram, first.unreserved_ram - 1024);
+
+		var poolFree = (first.disk_pool_size_bytes * 0.94 -
+		    first.disk_pool_alloc_bytes) / 1024 / 1024;
+		t.equal(second.unreserved_disk, Math.floor(Math.min(poolFree,
+		    first.unreserved_disk - 10 * 1024)));
+
+		t.end();
+	});
+});
+
+
+test('allocate many, all-or-nothing', function (t) {
+	var requests = batchRequests(5);
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe', PICK_EMPTIEST];
+
+	allocator.allocateMany(batchServers(), requests,
+			function (err, results) {
+		t.ifError(err);
+
+		t.equal(results.length, 5);
+		results.forEach(function (result) {
+			t.equal(result.server, undefined);
+		});
+
+		t.deepEqual(results[4].steps[1], {
+			step: 'Pick emptiest server',
+			remaining: []
+		});
+
+		t.equal(results[3].failure, undefined);
+		t.equal(results[4].failure.emptied_by, 'Pick emptiest server');
+
+		t.end();
+	});
+});
+
+
+test('allocate many, best-effort', function (t) {
+	var requests = batchRequests(5);
+	var defaults = { batch_best_effort: true };
+
+	Object.keys(common.DEFAULTS).forEach(function (key) {
+		defaults[key] = common.DEFAULTS[key];
+	});
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = ['pipe', PICK_EMPTIEST];
+
+	allocator.allocateMany(batchServers(), requests,
+			function (err, results) {
+		t.ifError(err);
+
+		var serverUuids = results.map(function (result) {
+			return (result.server && result.server.uuid);
+		});
+
+		t.deepEqual(serverUuids, [
+			'66e94ea4-6b6b-4b62-a886-799c227e6ae6',
+			'94d987a9-968e-47ce-a959-4f14324bef7f',
+			'66e94ea4-6b6b-4b62-a886-799c227e6ae6',
+			'94d987a9-968e-47ce-a959-4f14324bef7f',
+			undefined
+		]);
+
+		t.end();
+	});
+});
+
+
+test('allocate many, best-effort per batch', function (t) {
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe', PICK_EMPTIEST];
+
+	function serverUuids(results) {
+		return (results.map(function (result) {
+			return (result.server && result.server.uuid);
+		}));
+	}
+
+	allocator.allocateMany(batchServers(), batchRequests(5),
+			{ bestEffort: true }, function (err, results) {
+		t.ifError(err);
+		t.deepEqual(serverUuids(results), [
+			'66e94ea4-6b6b-4b62-a886-799c227e6ae6',
+			'94d987a9-968e-47ce-a959-4f14324bef7f',
+			'66e94ea4-6b6b-4b62-a886-799c227e6ae6',
+			'94d987a9-968e-47ce-a959-4f14324bef7f',
+			undefined
+		]);
+
+		allocator.allocateMany(batchServers(), batchRequests(5),
+				{ bestEffort: false },
+				function (err2, results2) {
+			t.ifError(err2);
+			t.deepEqual(serverUuids(results2), [
+				undefined, undefined, undefined, undefined,
+				undefined
+			]);
+
+			t.throws(function () {
+				allocator.allocateMany(batchServers(),
+				    batchRequests(1), { bestEffort: 'yes' },
+				    function () {});
+			}, /batchOpts.bestEffort/);
+
+			t.end();
+		});
+	});
+});
+
+
+test('allocate with candidates', function (t) {
+	var serverStubs = [
+		{ uuid: '66e94ea4-6b6b-4b62-a886-799c227e6ae6' },
+		{ uuid: '94d987a9-968e-47ce-a959-4f14324bef7f' },
+		{ uuid: '1727e98c-50b0-46de-96dd-3b360f522ce7' },
+		{ uuid: '32f7e58c-3be8-4530-851a-2606bb8bc53f' }
+	];
+
+	var plugins = [
+		'pipe',
+		{
+			name: 'foo',
+			run: function (servers, opts, cb) {
+				cb(null, servers.slice(0, 3), {});
+			}
+		}, {
+			name: 'bar',
+			run: function (servers, opts, cb) {
+				servers[0].score += 1;
+				servers[1].score += 2;
+				servers[2].score += 0.5;
+				cb(null, servers, {});
+			}
+		}, {
+			name: 'baz',
+			run: function (servers, opts, cb) {
+				servers[0].score += 3;
+				cb(null, servers, {});
+			}
+		}
+	];
+
+	var defaults = { candidate_count: 2 };
+	Object.keys(common.DEFAULTS).forEach(function (key) {
+		defaults[key] = common.DEFAULTS[key];
+	});
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = plugins;
+
+	allocator.allocate(serverStubs, {}, {}, {}, [],
+			function (err, server, steps, details) {
+		t.ifError(err);
+
+		t.equal(server.uuid, '66e94ea4-6b6b-4b62-a886-799c227e6ae6');
+		t.deepEqual(details.candidates, [ {
+			uuid: '66e94ea4-6b6b-4b62-a886-799c227e6ae6',
+			score: 4,
+			breakdown: { bar: 1, baz: 3 }
+		}, {
+			uuid: '94d987a9-968e-47ce-a959-4f14324bef7f',
+			score: 2,
+			breakdown: { bar: 2 }
+		} ]);
+
+		t.end();
+	});
+});
+
+
+test('allocate without candidates', function (t) {
+	var serverStubs = [
+		{ uuid: '66e94ea4-6b6b-4b62-a886-799c227e6ae6' }
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe', {
+		name: 'foo',
+		run: function (servers, opts, cb) {
+			cb(null, servers, {});
+		}
+	} ];
+
+	allocator.allocate(serverStubs, {}, {}, {}, [],
+			function (err, server, steps, details) {
+		t.ifError(err);
+		t.deepEqual(details, {});
+		t.end();
+	});
+});
+
+
+test('allocate failure analysis', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({
+			uuid: uuid,
+			status: 'running',
+			unreserved_ram: 7000,
+			overprovision_ratios: { ram: 1 }
+		});
+	});
+	serverStubs[1].status = 'offline';
+	serverStubs[2].unreserved_ram = 4096;
+	serverStubs.push({ uuid: '32f7e58c-3be8-4530-851a-2606bb8bc53f' });
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe',
+	    stubPlugin('foo', STUB_UUIDS), filterRunning, filterMinRam];
+
+	var vm = { vm_uuid: VM_UUID, ram: 8192 };
+	var pkg = { overprovision_ram: 1 };
+
+	allocator.allocate(serverStubs, vm, {}, pkg, [],
+			function (err, server, steps, details) {
+		t.ifError(err);
+		t.equal(server, undefined);
+
+		t.deepEqual(details.failure, {
+			emptied_by: 'Servers with enough unreserved RAM',
+			removed_by: {
+				foo: {
+					servers: [ serverStubs[3].uuid ],
+					codes: { Unspecified: 1 }
+				},
+				'Servers which are currently running': {
+					servers: [ STUB_UUIDS[1] ],
+					codes: { ServerNotRunning: 1 }
+				},
+				'Servers with enough unreserved RAM': {
+					servers: [
+					    STUB_UUIDS[0],
+					    STUB_UUIDS[2]
+					],
+					codes: { InsufficientRam: 2 }
+				}
+			},
+			nearest_misses: [ {
+				server_uuid: STUB_UUIDS[0],
+				step: 'Servers with enough unreserved RAM',
+				code: 'InsufficientRam',
+				resource: 'ram',
+				requested: 8192,
+				available: 7000,
+				gap: 1192
+			}, {
+				server_uuid: STUB_UUIDS[2],
+				step: 'Servers with enough unreserved RAM',
+				code: 'InsufficientRam',
+				resource: 'ram',
+				requested: 8192,
+				available: 4096,
+				gap: 4096
+			} ]
+		});
+
+		t.end();
+	});
+});
+
+
+test('allocate failure analysis with no servers', function (t) {
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe', stubPlugin('foo', [])];
+
+	allocator.allocate([], {}, {}, {}, [],
+			function (err, server, steps, details) {
+		t.ifError(err);
+
+		t.deepEqual(details.failure, {
+			emptied_by: null,
+			removed_by: {},
+			nearest_misses: []
+		});
+
+		t.end();
+	});
+});
+
+
+/*
+ * Only keeps servers if the allow_a default and vm.allow_b are both set.
+ */
+var RELAXABLE_PLUGIN = {
+	name: 'relaxable',
+	run: function (servers, opts, cb) {
+		if (opts.defaults.allow_a && opts.vm.allow_b)
+			return (cb(null, servers, {}));
+		return (cb(null, [], {}));
+	}
+};
+
+
+test('allocate relaxation analysis', function (t) {
+	var serverStubs = [ { uuid: STUB_UUIDS[0] } ];
+
+	var defaults = jsprim.deepCopy(common.DEFAULTS);
+	defaults.relaxation_ladder = [
+		{ name: 'a', defaults: { allow_a: true } },
+		{ name: 'b', set: { 'vm.allow_b': true } },
+		{ name: 'c', set: { 'vm.traits': null } }
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = ['pipe', RELAXABLE_PLUGIN];
+
+	var vm = { vm_uuid: VM_UUID, traits: { ssd: true } };
+
+	allocator.allocate(serverStubs, vm, {}, {}, [],
+			function (err, server, steps, details) {
+		t.ifError(err);
+		t.equal(server, undefined);
+		t.equal(details.failure.emptied_by, 'relaxable');
+
+		var minimal = { relaxations: [ 'a', 'b' ],
+		    server_uuid: STUB_UUIDS[0] };
+		t.deepEqual(details.relaxation, {
+			tried: [
+				{ relaxations: [ 'a' ], server_uuid: null },
+				{ relaxations: [ 'b' ], server_uuid: null },
+				{ relaxations: [ 'c' ], server_uuid: null },
+				minimal
+			],
+			minimal: minimal
+		});
+
+		// the real request was left alone
+		t.deepEqual(vm, { vm_uuid: VM_UUID, traits: { ssd: true } });
+		t.deepEqual(allocator.recentVms.list(60), []);
+		t.equal(allocator.defaults.allow_a, undefined);
+
+		t.end();
+	});
+});
+
+
+test('allocate relaxation analysis with one relaxation', function (t) {
+	var serverStubs = [ { uuid: STUB_UUIDS[0] } ];
+
+	var defaults = jsprim.deepCopy(common.DEFAULTS);
+	defaults.relaxation_ladder = [
+		{ name: 'c', set: { 'vm.traits': null } },
+		{ name: 'ab', defaults: { allow_a: true },
+		    set: { 'vm.allow_b': true } },
+		{ name: 'a', defaults: { allow_a: true } }
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = ['pipe', RELAXABLE_PLUGIN];
+
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
+			function (err, server, steps, details) {
+		t.ifError(err);
+		t.equal(server, undefined);
+
+		var minimal = { relaxations: [ 'ab' ],
+		    server_uuid: STUB_UUIDS[0] };
+		t.deepEqual(details.relaxation, {
+			tried: [
+				{ relaxations: [ 'c' ], server_uuid: null },
+				minimal
+			],
+			minimal: minimal
+		});
+
+		// no analysis when a server is found
+		serverStubs = [ { uuid: STUB_UUIDS[0] } ];
+		var vm = { vm_uuid: VM_UUID, allow_b: true };
+		allocator.defaults.allow_a = true;
+
+		allocator.allocate(serverStubs, vm, {}, {}, [],
+				function (err2, server2, steps2, details2) {
+			t.ifError(err2);
+			t.equal(server2.uuid, STUB_UUIDS[0]);
+			t.equal(details2.relaxation, undefined);
+
+			t.end();
+		});
+	});
+});
+
+
+test('allocate with automatic relaxations', function (t) {
+	var serverStubs = [ { uuid: STUB_UUIDS[0] } ];
+
+	var defaults = jsprim.deepCopy(common.DEFAULTS);
+	defaults.auto_relaxation_ladder = [
+		{ name: 'a', defaults: { allow_a: true } },
+		{ name: 'c', set: { 'vm.traits': null },
+		    when: { 'vm.traits': { present: true } } },
+		{ name: 'b', set: { 'vm.allow_b': true } }
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = ['pipe', calculateRecentVms,
+	    RELAXABLE_PLUGIN];
+
+	var vm = { vm_uuid: VM_UUID };
+	var events = recordEvents(allocator);
+
+	allocator.allocate(serverStubs, vm, {}, {}, [],
+			function (err, server, steps, details) {
+		t.ifError(err);
+		t.equal(server, serverStubs[0]);
+		t.deepEqual(details.relaxations, [ 'a', 'b' ]);
+
+		// only the unrelaxed run emits plugin events
+		t.deepEqual(events.map(function (e) {
+			return (e[0]);
+		}), [ 'allocation-start', 'plugin-start', 'plugin-end',
+		    'plugin-start', 'plugin-end', 'allocation-end' ]);
+		t.equal(events[5][1].server_uuid, STUB_UUIDS[0]);
+		t.equal(details.failure, undefined);
+		t.deepEqual(steps[0].remaining, [ STUB_UUIDS[0] ]);
+
+		t.deepEqual(vm, { vm_uuid: VM_UUID });
+		t.deepEqual(allocator.recentVms.list(60).map(function (e) {
+			return (e.server_uuid);
+		}), [ STUB_UUIDS[0] ]);
+
+		t.end();
+	});
+});
+
+
+test('allocate with automatic relaxations reuses loaded VMs', function (t) {
+	var serverStubs = STUB_UUIDS.slice(0, 2).map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+	var calls = [];
+
+	var opts = addCommonOpts({
+		getServerVms: function (serverUuid, cb) {
+			calls.push(serverUuid);
+			return (cb(null, [ { uuid: VM_UUID, ram: 256 } ]));
+		}
+	});
+
+	var defaults = jsprim.deepCopy(common.DEFAULTS);
+	defaults.auto_relaxation_ladder = [
+		{ name: 'a', defaults: { allow_a: true } },
+		{ name: 'b', set: { 'vm.allow_b': true } }
+	];
+
+	var allocator = new Allocator(opts, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = ['pipe',
+	    allocator.algorithms['load-server-vms'], RELAXABLE_PLUGIN];
+
+	allocator.allocate(serverStubs, { vm_uuid: STUB_UUIDS[2] }, {}, {}, [],
+			function (err, server, steps, details) {
+		t.ifError(err);
+		t.deepEqual(details.relaxations, [ 'a', 'b' ]);
+		t.ok(server === serverStubs[0] || server === serverStubs[1]);
+		t.deepEqual(Object.keys(server.vms), [ VM_UUID ]);
+
+		// loaded once, although the allocation ran three times
+		t.deepEqual(calls.sort(), STUB_UUIDS.slice(0, 2).sort());
+
+		t.end();
+	});
+});
+
+
+test('allocate with automatic relaxations which do not help', function (t) {
+	var serverStubs = [ { uuid: STUB_UUIDS[0] } ];
+
+	var defaults = jsprim.deepCopy(common.DEFAULTS);
+	defaults.auto_relaxation_ladder = [
+		{ name: 'a', defaults: { allow_a: true } }
+	];
+	defaults.relaxation_ladder = [
+		{ name: 'b', set: { 'vm.allow_b': true } }
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = ['pipe', RELAXABLE_PLUGIN];
+
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
+			function (err, server, steps, details) {
+		t.ifError(err);
+		t.equal(server, undefined);
+		t.equal(details.relaxations, undefined);
+		t.equal(details.failure.emptied_by, 'relaxable');
+
+		// the analysis doesn't include the automatic relaxations
+		t.deepEqual(details.relaxation, {
+			tried: [ { relaxations: [ 'b' ], server_uuid: null } ],
+			minimal: null
+		});
+
+		t.end();
+	});
+});
+
+
+test('allocateMany with automatic relaxations', function (t) {
+	var defaults = jsprim.deepCopy(common.DEFAULTS);
+	defaults.auto_relaxation_ladder = [
+		{ name: 'ab', defaults: { allow_a: true },
+		    set: { 'vm.allow_b': true } }
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = ['pipe', RELAXABLE_PLUGIN];
+
+	var requests = [ {
+		vm: { vm_uuid: VM_UUID, ram: 256 },
+		img: {},
+		pkg: {}
+	} ];
+
+	allocator.allocateMany([ { uuid: STUB_UUIDS[0] } ], requests,
+			function (err, results) {
+		t.ifError(err);
+		t.equal(results.length, 1);
+		t.equal(results[0].server.uuid, STUB_UUIDS[0]);
+		t.deepEqual(results[0].relaxations, [ 'ab' ]);
+
+		t.end();
+	});
+});
+
+
+test('allocate with random seed', function (t) {
+	var serverStubs = [
+		{ uuid: '66e94ea4-6b6b-4b62-a886-799c227e6ae6' },
+		{ uuid: '94d987a9-968e-47ce-a959-4f14324bef7f' },
+		{ uuid: '1727e98c-50b0-46de-96dd-3b360f522ce7' },
+		{ uuid: '32f7e58c-3be8-4530-851a-2606bb8bc53f' }
+	];
+
+	var plugins = [
+		'pipe',
+		{
+			name: 'random',
+			run: function (servers, opts, cb) {
+				assert.func(opts.random);
+
+				servers.forEach(function (server) {
+					server.score += opts.random();
+				});
+
+				cb(null, servers, {});
+			}
+		}
+	];
+
+	var defaults = { random_seed: 'replay' };
+	Object.keys(common.DEFAULTS).forEach(function (key) {
+		defaults[key] = common.DEFAULTS[key];
+	});
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = plugins;
+
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
+			function (err, server1, steps1) {
+		t.ifError(err);
+		t.equal(steps1[0].seed, 'replay');
+
+		allocator.allocate(serverStubs, {}, {}, {}, [],
+				function (err2, server2, steps2) {
+			t.ifError(err2);
+			t.equal(steps2[0].seed, 'replay');
+			t.equal(server2.uuid, server1.uuid);
+			t.equal(server2.score, server1.score);
+
+			t.end();
+		});
+	});
+});
+
+
+test('allocate with seed from VM UUID', function (t) {
+	var serverStubs = [
+		{ uuid: '66e94ea4-6b6b-4b62-a886-799c227e6ae6' },
+		{ uuid: '94d987a9-968e-47ce-a959-4f14324bef7f' }
+	];
+
+	var seen = [];
+	var plugins = [
+		'pipe',
+		{
+			name: 'random',
+			run: function (servers, opts, cb) {
+				seen.push(opts.random());
+				cb(null, servers, {});
+			}
+		}
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = plugins;
+
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
+			function (err, server, steps) {
+		t.ifError(err);
+		t.equal(steps[0].seed, VM_UUID);
+
+		allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {},
+				[], function (err2) {
+			t.ifError(err2);
+			t.equal(seen[0], seen[1]);
+			t.end();
+		});
+	});
+});
+
+
+function
+stepNames(steps)
+{
+	return (steps.map(function (step) {
+		return (step.step);
+	}));
+}
+
+
+test('reconfigure', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var opts = addCommonOpts({
+		algorithms: {
+			'site-slow': {
+				name: 'slow',
+				run: function (servers, _opts, cb) {
+					setImmediate(cb, null, servers, {});
+				}
+			},
+			'site-last': stubPlugin('last', STUB_UUIDS.slice(2))
+		}
+	});
+
+	var allocator = new Allocator(opts, ['pipe', 'site-slow'],
+	    common.DEFAULTS);
+	t.equal(allocator.version, 1);
+
+	// started before reconfigure(), so finishes with version 1
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
+			function (err, server, steps) {
+		t.ifError(err);
+		t.equal(steps[0].version, 1);
+		t.deepEqual(stepNames(steps), ['Received by DAPI', 'slow']);
+
+		allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {},
+				[], function (err2, server2, steps2) {
+			t.ifError(err2);
+			t.equal(steps2[0].version, 2);
+			t.deepEqual(stepNames(steps2),
+			    ['Received by DAPI', 'last']);
+			t.equal(server2.uuid, STUB_UUIDS[2]);
+			t.end();
+		});
+	});
+
+	allocator.reconfigure(['pipe', 'site-last'], null,
+			function (err, version) {
+		t.ifError(err);
+		t.equal(version, 2);
+		t.equal(allocator.version, 2);
+		t.equal(allocator.defaults, common.DEFAULTS);
+	});
+});
+
+
+test('reconfigure during allocateMany', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid, vms: {} });
+	});
+
+	var opts = addCommonOpts({
+		algorithms: {
+			'site-slow': {
+				name: 'slow',
+				run: function (servers, _opts, cb) {
+					setImmediate(cb, null, servers, {});
+				}
+			}
+		}
+	});
+
+	var allocator = new Allocator(opts, ['pipe', 'site-slow'],
+	    common.DEFAULTS);
+
+	var requests = [1, 2].map(function (i) {
+		return ({
+			vm: { vm_uuid: VM_UUID.slice(0, -1) + i, ram: 1 },
+			img: {},
+			pkg: {}
+		});
+	});
+
+	allocator.allocateMany(serverStubs, requests, function (err, results) {
+		t.ifError(err);
+		t.deepEqual(results.map(function (result) {
+			return (result.steps[0].version);
+		}), [1, 1]);
+		t.end();
+	});
+
+	allocator.reconfigure(['pipe', 'identity'], null, function (err) {
+		t.ifError(err);
+	});
+});
+
+
+test('reconfigure with bad configuration', function (t) {
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var expr = allocator.allocServerExpr;
+
+	allocator.reconfigure(['pipe', 'hard-filter-foo'], null,
+			function (err) {
+		t.ok(err);
+		t.equal(err.message,
+		    'Bad expression given: Unrecognized algorithm: ' +
+		    'hard-filter-foo');
+		t.equal(err.problems[0].code, 'UnknownAlgorithm');
+	});
+
+	allocator.reconfigure(null, { weight_unreserved_ram: 'lots' },
+			function (err) {
+		t.ok(err);
+		t.equal(err.message, 'Bad defaults given: Defaults ' +
+		    'weight_unreserved_ram is not a number');
+	});
+
+	t.equal(allocator.version, 1);
+	t.equal(allocator.allocServerExpr, expr);
+	t.equal(allocator.defaults, common.DEFAULTS);
+
+	var defaults = { weight_unreserved_ram: 1 };
+	allocator.reconfigure(null, defaults, function (err, version) {
+		t.ifError(err);
+		t.equal(version, 2);
+		t.equal(allocator.allocServerExpr, expr);
+		t.equal(allocator.defaults, defaults);
+	});
+
+	allocator.reconfigure('pack', undefined, function (err, version) {
+		t.ifError(err);
+		t.equal(version, 3);
+		t.notEqual(allocator.allocServerExpr, expr);
+		t.equal(allocator.defaults, defaults);
+		t.end();
+	});
+});
+
+
+test('allocate with shadow description', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var comparisons = [];
+	var opts = addCommonOpts({
+		algorithms: {
+			'site-first': stubPlugin('first',
+			    STUB_UUIDS.slice(0, 2)),
+			'site-last': stubPlugin('last', STUB_UUIDS.slice(2))
+		},
+		shadow: {
+			description: ['pipe', 'site-last'],
+			onComparison: function (comparison) {
+				comparisons.push(comparison);
+			}
+		}
+	});
+
+	var allocator = new Allocator(opts, ['pipe', 'site-first'],
+	    common.DEFAULTS);
+
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
+			function (err, server, steps) {
+		t.ifError(err);
+		t.equal(server.uuid, STUB_UUIDS[1]);
+		t.deepEqual(stepNames(steps), ['Received by DAPI', 'first']);
+		t.deepEqual(comparisons, []);
+
+		setImmediate(function () {
+			t.deepEqual(comparisons, [ {
+				vm_uuid: VM_UUID,
+				server_uuid: STUB_UUIDS[1],
+				shadow_server_uuid: STUB_UUIDS[2],
+				same_server: false,
+				shadow_rank: null,
+				filter_differences: [ {
+					server_uuid: STUB_UUIDS[0],
+					removed_by: null,
+					shadow_removed_by: 'last'
+				}, {
+					server_uuid: STUB_UUIDS[1],
+					removed_by: null,
+					shadow_removed_by: 'last'
+				}, {
+					server_uuid: STUB_UUIDS[2],
+					removed_by: 'first',
+					shadow_removed_by: null
+				} ]
+			} ]);
+
+			t.end();
+		});
+	});
+});
+
+
+test('allocate with shadow defaults', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var comparisons = [];
+	var opts = addCommonOpts({
+		algorithms: {
+			'site-score-first': {
+				name: 'score first',
+				run: function (servers, _opts, cb) {
+					var defaults = _opts.defaults;
+
+					servers[0].score +=
+					    defaults.weight_current_platform;
+					cb(null, servers, {});
+				}
+			}
+		},
+		shadow: {
+			description: ['pipe', 'site-score-first'],
+			defaults: { weight_current_platform: 1 },
+			onComparison: function (comparison) {
+				comparisons.push(comparison);
+			}
+		}
+	});
+
+	var allocator = new Allocator(opts, ['pipe', 'site-score-first'],
+	    { weight_current_platform: 0 });
+
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
+			function (err, server) {
+		t.ifError(err);
+		t.equal(server.uuid, STUB_UUIDS[2]);
+
+		setImmediate(function () {
+			t.equal(comparisons.length, 1);
+			t.equal(comparisons[0].shadow_server_uuid,
+			    STUB_UUIDS[0]);
+			t.equal(comparisons[0].same_server, false);
+			t.equal(comparisons[0].shadow_rank, 2);
+			t.deepEqual(comparisons[0].filter_differences, []);
+
+			// the shadow ran on copies
+			t.equal(serverStubs[0].score, 0);
+
+			t.end();
+		});
+	});
+});
+
+
+test('allocate migration', function (t) {
+	var sourceUuid = '66e94ea4-6b6b-4b62-a886-799c227e6ae6';
+	var siblingUuid = '32f7e58c-3be8-4530-851a-2606bb8bc53f';
+	var servers = batchServers().concat([ {
+		uuid: 'a3e5c8c2-8e8c-4b1c-ba3c-0b1a0e8d6c55',
+		disk_zone_quota_bytes: 0,
+		vms: {}
+	} ]);
+
+	servers[0].vms[VM_UUID] = { uuid: VM_UUID, quota: 10 };
+	servers[0].disk_zone_quota_bytes = 10 * 1024 * 1024 * 1024;
+	servers[1].vms[siblingUuid] = {
+		uuid: siblingUuid,
+		owner_uuid: '9b81f9e7-55e1-4e00-a8f7-917bd054b320'
+	};
+
+	var seenServers;
+	var seenOpts;
+	var plugins = [
+		'pipe',
+		{
+			name: 'record',
+			run: function (_servers, opts, cb) {
+				seenServers = _servers;
+				seenOpts = opts;
+				cb(null, _servers, {});
+			}
+		}
+	];
+
+	var vm = {
+		vm_uuid: VM_UUID,
+		server_uuid: sourceUuid,
+		owner_uuid: '9b81f9e7-55e1-4e00-a8f7-917bd054b320',
+		locality: { strict: true, far: [siblingUuid, VM_UUID] }
+	};
+	var tickets = [ { id: VM_UUID, extra: {} } ];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = plugins;
+
+	allocator.allocateMigration(servers, vm, {}, {}, tickets, {},
+			function (err, server, steps) {
+		t.ifError(err);
+
+		t.deepEqual(steps[1], {
+			step: 'Servers other than the VM\'s current server',
+			remaining: [
+				'94d987a9-968e-47ce-a959-4f14324bef7f',
+				'a3e5c8c2-8e8c-4b1c-ba3c-0b1a0e8d6c55'
+			],
+			reasons: {
+				'66e94ea4-6b6b-4b62-a886-799c227e6ae6':
+				    'VM ' + VM_UUID +
+				    ' is currently on this server'
+			}
+		});
+		t.equal(steps[2].step, 'record');
+		t.equal(seenServers.length, 2);
+
+		// the VM's own ticket and locality hints are ignored
+		t.deepEqual(seenOpts.tickets, []);
+		t.deepEqual(seenOpts.vm.locality.far, [siblingUuid]);
+
+		// caller's objects are untouched
+		t.ok(servers[0].vms[VM_UUID]);
+		t.equal(servers[0].disk_zone_quota_bytes,
+			10 * 1024 * 1024 * 1024);
+		t.deepEqual(vm.locality.far, [siblingUuid, VM_UUID]);
+
+		t.end();
+	});
+});
+
+
+test('allocate migration, source server override', function (t) {
+	var plugins = [ 'pipe', { name: 'noop', run: function (s, o, cb) {
+		cb(null, s, {});
+	} } ];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = plugins;
+
+	allocator.allocateMigration(batchServers(), { vm_uuid: VM_UUID }, {},
+			{}, [], {
+		sourceServerUuid: '94d987a9-968e-47ce-a959-4f14324bef7f'
+	}, function (err, server, steps) {
+		t.ifError(err);
+		t.equal(server.uuid, '66e94ea4-6b6b-4b62-a886-799c227e6ae6');
+		t.deepEqual(steps[1].remaining, [
+			'66e94ea4-6b6b-4b62-a886-799c227e6ae6'
+		]);
+		t.end();
+	});
+});
+
+
+/*
+ * A VM on the first example server, resized to 'ram' MiB.
+ */
+function resizeArgs(ram)
+{
+	return ({
+		vm: {
+			vm_uuid: '736ddef6-8854-4dd5-82a0-2d184bd90cd4',
+			server_uuid: '00000000-0000-0000-0000-00259094373c',
+			owner_uuid: '9dce1460-0c4c-4417-ab8b-25ca478c5a78',
+			brand: 'joyent',
+			ram: ram,
+			quota: 25,
+			cpu_cap: 100
+		},
+		img: { files: [] },
+		pkg: {
+			max_physical_memory: ram,
+			quota: 25600,
+			cpu_cap: 100,
+			overprovision_cpu: 4,
+			overprovision_memory: 1,
+			overprovision_storage: 1
+		}
+	});
+}
+
+
+test('check resize, fits', function (t) {
+	// only fits if the VM's current 128 MiB is released first
+	var args = resizeArgs(100700);
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.checkResize(common.getExampleServers(), args.vm, args.img,
+			args.pkg, [], function (err, result) {
+		t.ifError(err);
+		t.equal(result.fits, true);
+		t.equal(result.alternatives, undefined);
+
+		var stepNames = result.steps.map(function (step) {
+			return (step.step);
+		});
+		t.deepEqual(stepNames, [
+			'Received by DAPI',
+			'Load info about all VMs for each server',
+			'Force overprovisioning to fixed values',
+			'Add VMs which have open provisioning tickets',
+			'Release the VM\'s current reservation',
+			'Calculate unreserved resources on each server',
+			'Servers with enough unreserved RAM',
+			'Servers with enough unreserved CPU',
+			'Servers with enough unreserved disk'
+		]);
+		t.deepEqual(result.steps[4].reasons, {
+			'00000000-0000-0000-0000-00259094373c':
+			    'VM 736ddef6-8854-4dd5-82a0-2d184bd90cd4 released'
+		});
+
+		t.end();
+	});
+});
+
+
+test('check resize, does not fit', function (t) {
+	var args = resizeArgs(200000);
+	var servers = common.getExampleServers().slice(0, 2);
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = [ 'pipe', {
+		name: 'noop',
+		run: function (_servers, opts, cb) {
+			cb(null, _servers, {});
+		}
+	} ];
+
+	allocator.checkResize(servers, args.vm, args.img, args.pkg, [],
+			function (err, result) {
+		t.ifError(err);
+		t.equal(result.fits, false);
+
+		var lastStep = result.steps[result.steps.length - 1];
+		t.deepEqual(lastStep.remaining, []);
+
+		t.deepEqual(result.alternatives, [
+			'00000000-0000-0000-0000-0025909437d4'
+		]);
+		t.equal(result.alternativeSteps[1].step,
+			'Servers other than the VM\'s current server');
+
+		t.end();
+	});
+});
+
+
+test('check resize, unknown server', function (t) {
+	var args = resizeArgs(1024);
+	args.vm.server_uuid = 'b5b3e8a4-7f6f-4a5c-9c3e-6f1e3a0c2d11';
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.checkResize(common.getExampleServers(), args.vm, args.img,
+			args.pkg, [], function (err) {
+		t.ok(err);
+		t.end();
+	});
+});
+
+
+/*
+ * A getRequest() for planRebalance() and planEvacuation(), which gives each
+ * VM a payload made from its dimensions and 'extra'.
+ */
+function vmRequestGetter(extra)
+{
+	return (function getRequest(vm, cb) {
+		var payload = jsprim.mergeObjects({
+			vm_uuid: vm.uuid,
+			owner_uuid: vm.owner_uuid,
+			brand: vm.brand,
+			ram: vm.max_physical_memory,
+			cpu_cap: vm.cpu_cap,
+			quota: vm.quota
+		}, extra);
+
+		return (cb(null, {
+			vm: payload,
+			img: { files: [], image_size: 0 }
+		}));
+	});
+}
+
+
+test('plan evacuation', function (t) {
+	var sourceUuid = 'a3e5c8c2-8e8c-4b1c-ba3c-0b1a0e8d6c55';
+	var servers = batchServers();
+	var ownerUuid = '9b81f9e7-55e1-4e00-a8f7-917bd054b320';
+
+	servers[1].vms['b3d04682-536f-4f09-8170-1954e45e9e1c'] = {
+		uuid: 'b3d04682-536f-4f09-8170-1954e45e9e1c',
+		owner_uuid: ownerUuid,
+		max_physical_memory: 256
+	};
+
+	var source = {
+		uuid: sourceUuid,
+		disk_zone_quota_bytes: 0,
+		vms: {}
+	};
+	[
+		['1727e98c-50b0-46de-96dd-3b360f522ce7', 1024],
+		['32f7e58c-3be8-4530-851a-2606bb8bc53f', 4096],
+		['62559b33-4f3a-4505-a942-87cc557fdf4e', 512],
+		['335498f7-a1ed-420c-8367-7f2769ca1e84', 2048]
+	].forEach(function (vm) {
+		source.vms[vm[0]] = {
+			uuid: vm[0],
+			owner_uuid: ownerUuid,
+			brand: 'joyent',
+			max_physical_memory: vm[1],
+			quota: 10
+		};
+	});
+	servers.unshift(source);
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe', PICK_EMPTIEST];
+
+	allocator.planEvacuation(servers, sourceUuid, {
+		getRequest: vmRequestGetter()
+	}, function (err, plan) {
+		t.ifError(err);
+
+		var moves = plan.moves.map(function (move) {
+			return ([move.vm_uuid, move.server_uuid]);
+		});
+		t.deepEqual(moves, [
+			[
+				'32f7e58c-3be8-4530-851a-2606bb8bc53f',
+				'66e94ea4-6b6b-4b62-a886-799c227e6ae6'
+			], [
+				'335498f7-a1ed-420c-8367-7f2769ca1e84',
+				'66e94ea4-6b6b-4b62-a886-799c227e6ae6'
+			], [
+				'1727e98c-50b0-46de-96dd-3b360f522ce7',
+				'94d987a9-968e-47ce-a959-4f14324bef7f'
+			]
+		]);
+		t.equal(plan.moves[0].steps[1].step,
+			'Servers other than the VM\'s current server');
+
+		t.equal(plan.unplaced.length, 1);
+		t.equal(plan.unplaced[0].vm_uuid,
+			'62559b33-4f3a-4505-a942-87cc557fdf4e');
+		t.equal(plan.unplaced[0].step, 'Pick emptiest server');
+		t.deepEqual(plan.reasons, [ {
+			code: 'Unspecified',
+			step: 'Pick emptiest server',
+			vm_uuids: [ '62559b33-4f3a-4505-a942-87cc557fdf4e' ]
+		} ]);
+
+		// caller's servers are not charged
+		t.equal(Object.keys(servers[0].vms).length, 4);
+		t.deepEqual(servers[1].vms, {});
+
+		t.end();
+	});
+});
+
+
+test('plan evacuation groups reasons by code', function (t) {
+	var sourceUuid = 'a3e5c8c2-8e8c-4b1c-ba3c-0b1a0e8d6c55';
+	var servers = batchServers();
+	var createReason = reasons.factory('site-filter-room');
+
+	var plugin = {
+		name: 'Servers with room',
+		run: function (allServers, opts, cb) {
+			var removed = {};
+
+			var kept = allServers.filter(function (server) {
+				if (server.uuid === servers[1].uuid) {
+					removed[server.uuid] = createReason(
+					    'Reserved', 'Server is reserved');
+				} else if (opts.vm.ram > 1024) {
+					removed[server.uuid] = createReason(
+					    'InsufficientRam', 'Not enough RAM',
+					    { resource: 'ram' });
+				}
+
+				return (!removed[server.uuid]);
+			});
+
+			return (cb(null, kept, removed));
+		}
+	};
+
+	var source = {
+		uuid: sourceUuid,
+		disk_zone_quota_bytes: 0,
+		vms: {}
+	};
+	[
+		['1727e98c-50b0-46de-96dd-3b360f522ce7', 512],
+		['32f7e58c-3be8-4530-851a-2606bb8bc53f', 4096],
+		['335498f7-a1ed-420c-8367-7f2769ca1e84', 2048]
+	].forEach(function (vm) {
+		source.vms[vm[0]] = {
+			uuid: vm[0],
+			brand: 'joyent',
+			max_physical_memory: vm[1],
+			quota: 10
+		};
+	});
+	servers.unshift(source);
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe', plugin];
+
+	allocator.planEvacuation(servers, sourceUuid, {
+		getRequest: vmRequestGetter()
+	}, function (err, plan) {
+		t.ifError(err);
+
+		t.deepEqual(plan.moves.map(function (move) {
+			return (move.vm_uuid);
+		}), [ '1727e98c-50b0-46de-96dd-3b360f522ce7' ]);
+
+		var bigVms = [
+			'32f7e58c-3be8-4530-851a-2606bb8bc53f',
+			'335498f7-a1ed-420c-8367-7f2769ca1e84'
+		];
+		t.deepEqual(plan.reasons, [ {
+			code: 'Reserved',
+			step: 'Servers with room',
+			vm_uuids: bigVms
+		}, {
+			code: 'InsufficientRam',
+			step: 'Servers with room',
+			vm_uuids: bigVms
+		} ]);
+
+		t.end();
+	});
+});
+
+
+test('plan evacuation with the allocation chain', function (t) {
+	var servers = common.getExampleServers();
+	var sourceUuid = servers[0].uuid;
+	var targetUuid = servers[1].uuid;
+	var ssdVmUuid = 'c3ae2426-9ed2-4322-a780-9ef032359d9a';
+	var serverVms = {};
+
+	// the servers' VMs are only available through getServerVms
+	servers.forEach(function (server) {
+		serverVms[server.uuid] = Object.keys(server.vms || {}).map(
+		    function (vmUuid) {
+			return (server.vms[vmUuid]);
+		});
+		delete server.vms;
+	});
+
+	var opts = addCommonOpts({
+		getServerVms: function (serverUuid, cb) {
+			return (cb(null, serverVms[serverUuid]));
+		}
+	});
+
+	var getRequest = vmRequestGetter();
+	var evacuateOpts = {
+		getRequest: function (vm, cb) {
+			if (vm.uuid !== ssdVmUuid)
+				return (getRequest(vm, cb));
+
+			return (vmRequestGetter({ traits: { ssd: true } })(vm,
+			    cb));
+		}
+	};
+
+	var allocator = new Allocator(opts, common.ALGO_DESC, common.DEFAULTS);
+	allocator.planEvacuation(servers, sourceUuid, evacuateOpts,
+			function (err, plan) {
+		t.ifError(err);
+
+		var others = serverVms[sourceUuid].filter(function (vm) {
+			return (vm.uuid !== ssdVmUuid);
+		});
+		t.equal(plan.moves.length, others.length);
+		plan.moves.forEach(function (move) {
+			t.notEqual(move.vm_uuid, ssdVmUuid);
+			t.equal(move.server_uuid, targetUuid);
+		});
+
+		// the only other server lacks the traits the VM needs
+		t.equal(plan.unplaced.length, 1);
+		t.equal(plan.unplaced[0].vm_uuid, ssdVmUuid);
+		t.deepEqual(plan.reasons, [ {
+			code: 'TraitMismatch',
+			step: 'Servers with correct traits',
+			vm_uuids: [ ssdVmUuid ]
+		} ]);
+
+		t.end();
+	});
+});
+
+
+test('plan evacuation without source VMs', function (t) {
+	var servers = batchServers();
+	var sourceUuid = servers[0].uuid;
+	delete servers[0].vms;
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.planEvacuation(servers, sourceUuid, {
+		getRequest: vmRequestGetter()
+	}, function (err, plan) {
+		t.ok(err);
+		t.ok(/has no vms/.test(err.message), err.message);
+		t.equal(plan, undefined);
+		t.end();
+	});
+});
+
+
+/*
+ * An example server with a VM of each size in 'vmRams' (in MiB).
+ */
+function rebalanceServer(uuid, vmRams)
+{
+	var server = common.getExampleServers()[0];
+	server.uuid = uuid;
+	server.vms = {};
+
+	vmRams.forEach(function (ram, i) {
+		var vmUuid = (i + 1) + uuid.slice(1);
+
+		server.vms[vmUuid] = {
+			uuid: vmUuid,
+			owner_uuid: '9b81f9e7-55e1-4e00-a8f7-917bd054b320',
+			brand: 'joyent',
+			max_physical_memory: ram,
+			cpu_cap: 100,
+			quota: 10,
+			state: 'running'
+		};
+	});
+
+	return (server);
+}
+
+
+test('plan rebalance', function (t) {
+	// each server has 111379 MiB of RAM to give out
+	var servers = [
+		rebalanceServer('00000000-0000-0000-0000-00000000000a',
+		    [20000]),
+		rebalanceServer('00000000-0000-0000-0000-00000000000b',
+		    [8000]),
+		rebalanceServer('00000000-0000-0000-0000-00000000000c',
+		    [90000])
+	];
+	var pkgs = [ { max_physical_memory: 32768 } ];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = [ 'pipe', {
+		name: 'noop',
+		run: function (_servers, opts, cb) {
+			cb(null, _servers, {});
+		}
+	} ];
+
+	var rebalanceOpts = {
+		maxMoves: 5,
+		getRequest: vmRequestGetter()
+	};
+
+	allocator.planRebalance(servers, pkgs, rebalanceOpts,
+			function (err, plan) {
+		t.ifError(err);
+
+		t.deepEqual(plan, {
+			moves: [ {
+				vm_uuid: '10000000-0000-0000-0000-00000000000c',
+				source_server_uuid:
+				    '00000000-0000-0000-0000-00000000000c',
+				server_uuid:
+				    '00000000-0000-0000-0000-00000000000a',
+				slots: 1
+			} ],
+			before: [5],
+			after: [6]
+		});
+
+		// caller's servers are untouched
+		t.equal(Object.keys(servers[2].vms).length, 1);
+
+		rebalanceOpts.maxMoves = 0;
+		allocator.planRebalance(servers, pkgs, rebalanceOpts,
+				function (err2, plan2) {
+			t.ifError(err2);
+			t.deepEqual(plan2.moves, []);
+			t.deepEqual(plan2.after, plan2.before);
+			t.end();
+		});
+	});
+});
+
+
+test('plan rebalance checks moves with the VMs\' requests', function (t) {
+	// as 'plan rebalance', but only ...0b has the traits the VMs need
+	var servers = [
+		rebalanceServer('00000000-0000-0000-0000-00000000000a',
+		    [20000]),
+		rebalanceServer('00000000-0000-0000-0000-00000000000b',
+		    [8000]),
+		rebalanceServer('00000000-0000-0000-0000-00000000000c',
+		    [90000])
+	];
+	servers[1].traits = { ssd: true };
+	var pkgs = [ { max_physical_memory: 32768 } ];
+	var loaded = [];
+
+	var allocator = new Allocator(OPTS, ['pipe', 'hard-filter-traits'],
+	    common.DEFAULTS);
+	var getRequest = vmRequestGetter({ traits: { ssd: true } });
+
+	var rebalanceOpts = {
+		maxMoves: 5,
+		getRequest: function (vm, cb) {
+			loaded.push(vm.uuid);
+			return (getRequest(vm, cb));
+		}
+	};
+
+	allocator.planRebalance(servers, pkgs, rebalanceOpts,
+			function (err, plan) {
+		t.ifError(err);
+
+		// moving ...0c's VM to ...0a would recover a slot, but
+		// ...0a lacks the traits, and moving to ...0b recovers none
+		t.deepEqual(plan, {
+			moves: [],
+			before: [5],
+			after: [5]
+		});
+		t.deepEqual(loaded.sort(), [
+			'10000000-0000-0000-0000-00000000000a',
+			'10000000-0000-0000-0000-00000000000c'
+		]);
+
+		t.end();
+	});
+});
+
+
+test('allocate with recent VMs', function (t) {
+	var servers = batchServers();
+	var requests = batchRequests(3);
+	var plugins = [
+		'pipe',
+		calculateRecentVms,
+		PICK_EMPTIEST
+	];
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = plugins;
+
+	function allocate(request, cb) {
+		allocator.allocate(servers, request.vm, request.img,
+		    request.pkg, [], cb);
+	}
+
+	allocate(requests[0], function (err, server1) {
+		t.ifError(err);
+
+		// CNAPI hasn't reported the first VM yet
+		allocate(requests[1], function (err2, server2) {
+			t.ifError(err2);
+			t.notEqual(server2.uuid, server1.uuid);
+
+			t.deepEqual(allocator.recentVms.list(300).map(
+			    function (entry) {
+				return (entry.vm.uuid);
+			}), [
+				requests[0].vm.vm_uuid,
+				requests[1].vm.vm_uuid
+			]);
+
+			t.end();
+		});
+	});
+});
+
+
+/*
+ * Returns the [ name, event ] pairs emitted by 'allocator', without the
+ * event durations, which vary.
+ */
+function
+recordEvents(allocator)
+{
+	var events = [];
+
+	[ 'allocation-start', 'plugin-start', 'plugin-end',
+	    'allocation-end' ].forEach(function (name) {
+		allocator.on(name, function (event) {
+			assert.number(event.id, 'event.id');
+			if (name !== 'allocation-start' &&
+			    name !== 'plugin-start') {
+				assert.number(event.duration, 'event.duration');
+				delete event.duration;
+			}
+			events.push([ name, event ]);
+		});
+	});
+
+	return (events);
+}
+
+
+test('allocate events', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe',
+	    stubPlugin('foo', STUB_UUIDS.slice(0, 2)),
+	    stubPlugin('bar', STUB_UUIDS.slice(1, 2))];
+
+	var events = recordEvents(allocator);
+
+	allocator.allocate(serverStubs, { vm_uuid: VM_UUID }, {}, {}, [],
+			function (err, server) {
+		t.ifError(err);
+		t.equal(server.uuid, STUB_UUIDS[1]);
+
+		var operation = { id: 1, type: 'allocate', vm_uuid: VM_UUID };
+		function expectEvent(name, fields) {
+			var event = jsprim.deepCopy(operation);
+			Object.keys(fields).forEach(function (key) {
+				event[key] = fields[key];
+			});
+			return ([ name, event ]);
+		}
+
+		t.deepEqual(events, [
+			expectEvent('allocation-start', { servers: 3 }),
+			expectEvent('plugin-start',
+			    { plugin: 'foo', servers: 3 }),
+			expectEvent('plugin-end', {
+				plugin: 'foo',
+				servers_in: 3,
+				servers_out: 2,
+				reasons: {},
+				failure: null,
+				error: null
+			}),
+			expectEvent('plugin-start',
+			    { plugin: 'bar', servers: 2 }),
+			expectEvent('plugin-end', {
+				plugin: 'bar',
+				servers_in: 2,
+				servers_out: 1,
+				reasons: {},
+				failure: null,
+				error: null
+			}),
+			expectEvent('allocation-end', {
+				server_uuid: STUB_UUIDS[1],
+				score: 0,
+				score_breakdown: {},
+				candidates: null,
+				error: null
+			})
+		]);
+
+		t.end();
+	});
+});
+
+
+test('allocate events with a failing plugin', function (t) {
+	var serverStubs = STUB_UUIDS.map(function (uuid) {
+		return ({ uuid: uuid });
+	});
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = ['pipe', {
+		name: 'broken',
+		run: function (servers, opts, cb) {
+			cb(new Error('broken'));
+		}
+	}];
+
+	var events = recordEvents(allocator);
+
+	// a listener which throws doesn't affect the allocation
+	allocator.on('plugin-start', function () {
+		throw (new Error('bad listener'));
+	});
+
+	allocator.allocate(serverStubs, {}, {}, {}, [], function (err) {
+		t.equal(err.message, 'broken');
+
+		t.deepEqual(events.map(function (e) {
+			return (e[0]);
+		}), [ 'allocation-start', 'plugin-start', 'plugin-end',
+		    'allocation-end' ]);
+		t.equal(events[0][1].vm_uuid, null);
+		t.equal(events[2][1].error, 'broken');
+		t.equal(events[3][1].server_uuid, null);
+		t.equal(events[3][1].error, 'broken');
+
+		t.end();
+	});
+});
+
+
+test('server capacity events', function (t) {
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	var events = recordEvents(allocator);
+
+	allocator.serverCapacity(common.getExampleServers(),
+			function (err, servers) {
+		t.ifError(err);
+
+		var names = events.map(function (e) {
+			return (e[0]);
+		});
+		t.equal(names[0], 'allocation-start');
+		t.equal(names[names.length - 1], 'allocation-end');
+		t.equal(names.filter(function (name) {
+			return (name === 'plugin-end');
+		}).length, 7);
+
+		events.forEach(function (e) {
+			t.equal(e[1].type, 'serverCapacity');
+			t.equal(e[1].vm_uuid, null);
+		});
+
+		var running = events.filter(function (e) {
+			return (e[0] === 'plugin-end' && e[1].plugin ===
+			    'Servers which are currently running');
+		})[0][1];
+		t.equal(running.servers_in, 3);
+		t.equal(running.servers_out, 2);
+		t.equal(running.reasons.asdsa.code, 'ServerNotRunning');
+
+		t.equal(events[events.length - 1][1].servers,
+		    Object.keys(servers).length);
+
+		t.end();
+	});
+});
+
+
+test('recent VMs are only recorded for calculate-recent-vms', function (t) {
+	var servers = batchServers();
+	var requests = batchRequests(50);
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, common.DEFAULTS);
+	allocator.allocServerExpr = [ 'pipe', PICK_EMPTIEST ];
+
+	function allocate(i) {
+		if (i === requests.length) {
+			t.deepEqual(allocator.recentVms.entries, {});
+			return (allocateMany());
+		}
+
+		var request = requests[i];
+		return (allocator.allocate(servers, request.vm, request.img,
+				request.pkg, [], function (err) {
+			t.ifError(err);
+			allocate(i + 1);
+		}));
+	}
+
+	function allocateMany() {
+		allocator.allocateMany(servers, batchRequests(3),
+				function (err, results) {
+			t.ifError(err);
+			t.equal(results.length, 3);
+			t.deepEqual(allocator.recentVms.entries, {});
+			t.end();
+		});
+	}
+
+	allocate(0);
+});
+
+
+test('recent VMs expire as they are recorded', function (t) {
+	var servers = batchServers();
+	var requests = batchRequests(3);
+
+	var defaults = jsprim.deepCopy(common.DEFAULTS);
+	defaults.recent_vm_ttl = 60;
+
+	var allocator = new Allocator(OPTS, common.ALGO_DESC, defaults);
+	allocator.allocServerExpr = [ 'pipe', calculateRecentVms,
+	    PICK_EMPTIEST ];
+
+	allocator.allocate(servers, requests[0].vm, requests[0].img,
+			requests[0].pkg, [], function (err) {
+		t.ifError(err);
+
+		// long forgotten by calculate-recent-vms
+		var entries = allocator.recentVms.entries;
+		entries[requests[0].vm.vm_uuid].time -= 61 * 1000;
+
+		allocator.allocate(servers, requests[1].vm, requests[1].img,
+				requests[1].pkg, [], function (err2) {
+			t.ifError(err2);
+			t.deepEqual(Object.keys(entries),
+			    [ requests[1].vm.vm_uuid ]);
+			t.end();
+		});
 	});
 });
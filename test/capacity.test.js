@@ -0,0 +1,155 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var capacity = require('../lib/capacity.js');
+
+
+var SERVER = {
+	unreserved_cpu: 800,
+	unreserved_ram: 10000,
+	unreserved_disk: 100000
+};
+
+
+test('count slots limited by RAM', function (t) {
+	t.equal(capacity.countSlots(SERVER, {
+		max_physical_memory: 3000
+	}), 3);
+
+	t.equal(capacity.countSlots(SERVER, {
+		max_physical_memory: 3000,
+		overprovision_ram: 2
+	}), 6);
+
+	t.end();
+});
+
+
+test('count slots limited by CPU', function (t) {
+	t.equal(capacity.countSlots(SERVER, {
+		max_physical_memory: 1000,
+		cpu_cap: 400,
+		overprovision_cpu: 1
+	}), 2);
+
+	t.equal(capacity.countSlots(SERVER, {
+		max_physical_memory: 1000,
+		cpu_cap: 400,
+		overprovision_cpu: 4
+	}), 8);
+
+	t.end();
+});
+
+
+test('count slots limited by disk', function (t) {
+	t.equal(capacity.countSlots(SERVER, {
+		max_physical_memory: 1000,
+		quota: 40960,
+		overprovision_disk: 1
+	}), 2);
+
+	t.end();
+});
+
+
+test('count slots on a full server', function (t) {
+	var server = {
+		unreserved_cpu: 0,
+		unreserved_ram: -500,
+		unreserved_disk: 0
+	};
+
+	t.equal(capacity.countSlots(server, { max_physical_memory: 1 }), 0);
+
+	t.end();
+});
+
+
+test('count all slots', function (t) {
+	t.equal(capacity.countAllSlots(SERVER, [
+		{ max_physical_memory: 3000 },
+		{ max_physical_memory: 5000 }
+	]), 5);
+
+	t.end();
+});
+
+
+test('count slots with HVM memory overhead', function (t) {
+	// overprovision_ram does not apply to HVM VMs
+	t.equal(capacity.countSlots(SERVER, {
+		max_physical_memory: 1024,
+		brand: 'kvm',
+		overprovision_ram: 2
+	}), 4);
+
+	t.equal(capacity.countSlots(SERVER, {
+		max_physical_memory: 1024,
+		brand: 'bhyve'
+	}), 4);
+
+	t.end();
+});
+
+
+test('count slots leaves spare disk', function (t) {
+	t.equal(capacity.countSlots(SERVER, {
+		max_physical_memory: 1000,
+		quota: 30000
+	}), 2);
+
+	t.end();
+});
+
+
+test('count slots with an image', function (t) {
+	var pkg = {
+		max_physical_memory: 1000,
+		quota: 20000,
+		brand: 'kvm'
+	};
+	var img = {
+		files: [ { size: 1024 * 1024 * 1024 } ],
+		image_size: 10240
+	};
+
+	t.equal(capacity.countSlots(SERVER, pkg), 4);
+	// as hard-filter-min-disk does, HVM VMs are also charged image_size
+	// and the image files
+	t.equal(capacity.countSlots(SERVER, pkg, {}, img), 2);
+
+	// as they are for zvol images
+	img.type = 'zvol';
+	t.equal(capacity.countSlots(SERVER, {
+		max_physical_memory: 1000,
+		quota: 20000,
+		overprovision_disk: 2
+	}, {}, img), 2);
+
+	t.end();
+});
+
+
+test('count slots limited by VM count', function (t) {
+	var server = {
+		unreserved_cpu: 800,
+		unreserved_ram: 10000,
+		unreserved_disk: 100000,
+		vms: { a: {}, b: {}, c: {} }
+	};
+	var pkg = { max_physical_memory: 1000 };
+
+	t.equal(capacity.countSlots(server, pkg), 10);
+	t.equal(capacity.countSlots(server, pkg, { filter_vm_limit: 5 }), 2);
+
+	t.end();
+});
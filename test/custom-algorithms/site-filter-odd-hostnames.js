@@ -0,0 +1,36 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+/*
+ * An example of a site-specific algorithm living outside lib/algorithms, for
+ * tests of the allocator's algorithmPaths option. Returns servers whose
+ * hostnames end with an odd digit.
+ */
+
+function
+filterOddHostnames(servers, opts, cb)
+{
+	var reasons = {};
+
+	var oddServers = servers.filter(function (server) {
+		if (/[13579]$/.test(server.hostname))
+			return (true);
+
+		reasons[server.uuid] = 'Hostname does not end in an odd digit';
+		return (false);
+	});
+
+	return (cb(null, oddServers, reasons));
+}
+
+module.exports = {
+	name: 'Servers with odd hostnames',
+	run: filterOddHostnames
+};
@@ -136,6 +136,8 @@ test('allocate 1', function (t) {
 	var expectedSteps = [
 		{
 			step: 'Received by DAPI',
+			seed: VM.vm_uuid,
+			version: 1,
 			remaining: [
 				'00000000-0000-0000-0000-00259094373c',
 				'00000000-0000-0000-0000-0025909437d4',
@@ -156,6 +158,16 @@ test('allocate 1', function (t) {
 			],
 			reasons: {
 				asdsa: 'Server has status: undefined'
+			},
+			reason_details: {
+				asdsa: {
+					code: 'ServerNotRunning',
+					plugin: 'hard-filter-running',
+					resource: 'status',
+					requested: 'running',
+					available: null,
+					message: 'Server has status: undefined'
+				}
 			}
 		}, {
 			step: 'Servers objects which are valid',
@@ -201,6 +213,17 @@ test('allocate 1', function (t) {
 			reasons: {
 				/* JSSTYLED */
 				'00000000-0000-0000-0000-0025909437d4': 'Combined vm/pkg/img traits require {"cabbages":true} but server has {}'
+			},
+			reason_details: {
+				'00000000-0000-0000-0000-0025909437d4': {
+					code: 'TraitMismatch',
+					plugin: 'hard-filter-traits',
+					resource: 'traits',
+					requested: { cabbages: true },
+					available: {},
+					/* JSSTYLED */
+					message: 'Combined vm/pkg/img traits require {"cabbages":true} but server has {}'
+				}
 			}
 		}, {
 			step: 'Servers which are not headnodes',
@@ -264,6 +287,18 @@ test('allocate 1', function (t) {
 			reasons: {
 				'*': 'exclude: inst==~' + VM.locality.near
 					+ ' (ignored b/c non-strict)'
+			},
+			reason_details: {
+				'*': {
+					code: 'NearVmMissing',
+					plugin: 'soft-filter-locality-hints',
+					resource: 'locality.near',
+					requested: [ VM.locality.near ],
+					available: null,
+					message: 'exclude: inst==~' +
+					    VM.locality.near +
+					    ' (ignored b/c non-strict)'
+				}
 			}
 		}, {
 		step: 'Score servers based on unreserved RAM',
@@ -327,6 +362,8 @@ test('allocate 2', function (t) {
 	var expectedSteps = [
 		{
 			step: 'Received by DAPI',
+			seed: VM.vm_uuid,
+			version: 1,
 			remaining: [
 				'00000000-0000-0000-0000-00259094373c',
 				'00000000-0000-0000-0000-0025909437d4',
@@ -347,6 +384,16 @@ test('allocate 2', function (t) {
 			],
 			reasons: {
 				asdsa: 'Server has status: undefined'
+			},
+			reason_details: {
+				asdsa: {
+					code: 'ServerNotRunning',
+					plugin: 'hard-filter-running',
+					resource: 'status',
+					requested: 'running',
+					available: null,
+					message: 'Server has status: undefined'
+				}
 			}
 		}, {
 			step: 'Servers objects which are valid',
@@ -394,6 +441,17 @@ test('allocate 2', function (t) {
 			reasons: {
 				/* JSSTYLED */
 				'00000000-0000-0000-0000-00259094373c':'Combined vm/pkg/img require no traits but server has {"cabbages":true}'
+			},
+			reason_details: {
+				'00000000-0000-0000-0000-00259094373c': {
+					code: 'TraitMismatch',
+					plugin: 'hard-filter-traits',
+					resource: 'traits',
+					requested: {},
+					available: { cabbages: true },
+					/* JSSTYLED */
+					message: 'Combined vm/pkg/img require no traits but server has {"cabbages":true}'
+				}
 			}
 		}, {
 			step: 'Servers which are not headnodes',
@@ -458,6 +516,18 @@ test('allocate 2', function (t) {
 			reasons: {
 				'*': 'exclude: inst==~' + VM.locality.near
 					+ ' (ignored b/c non-strict)'
+			},
+			reason_details: {
+				'*': {
+					code: 'NearVmMissing',
+					plugin: 'soft-filter-locality-hints',
+					resource: 'locality.near',
+					requested: [ VM.locality.near ],
+					available: null,
+					message: 'exclude: inst==~' +
+					    VM.locality.near +
+					    ' (ignored b/c non-strict)'
+				}
 			}
 		}, {
 			step: 'Score servers based on unreserved RAM',
@@ -0,0 +1,94 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var predicate = require('../lib/predicate.js');
+
+
+var REQUEST = {
+	vm: {
+		brand: 'bhyve',
+		owner_uuid: '930896af-bf8c-48d4-885c-6573a94b1853',
+		traits: {}
+	},
+	img: { requirements: { min_platform: { '7.0': '20180101T000000Z' } } },
+	pkg: { max_physical_memory: 1024 }
+};
+
+
+test('predicate matches values', function (t) {
+	t.ok(predicate.matches({ 'vm.brand': 'bhyve' }, REQUEST));
+	t.notOk(predicate.matches({ 'vm.brand': 'joyent' }, REQUEST));
+	t.ok(predicate.matches({ 'vm.brand': ['kvm', 'bhyve'] }, REQUEST));
+	t.ok(predicate.matches({ 'pkg.max_physical_memory': 1024 }, REQUEST));
+	t.ok(predicate.matches({ 'vm.docker': false }, REQUEST));
+	t.notOk(predicate.matches({ 'vm.docker': true }, REQUEST));
+
+	t.end();
+});
+
+
+test('predicate matches presence', function (t) {
+	t.ok(predicate.matches({ 'vm.traits': { present: false } }, REQUEST));
+	t.ok(predicate.matches({ 'img.requirements.min_platform':
+	    { present: true } }, REQUEST));
+	t.ok(predicate.matches({ 'img.requirements.max_platform':
+	    { present: false } }, REQUEST));
+	t.ok(predicate.matches({ 'pkg.traits.ssd': { present: false } },
+	    { vm: {}, img: {} }));
+
+	t.end();
+});
+
+
+test('predicate requires every field to match', function (t) {
+	t.ok(predicate.matches({
+		'vm.brand': 'bhyve',
+		'vm.owner_uuid': '930896af-bf8c-48d4-885c-6573a94b1853'
+	}, REQUEST));
+
+	t.notOk(predicate.matches({
+		'vm.brand': 'bhyve',
+		'vm.owner_uuid': '00000000-0000-0000-0000-000000000000'
+	}, REQUEST));
+
+	t.end();
+});
+
+
+test('predicate validation', function (t) {
+	t.equal(predicate.validate({ 'vm.brand': ['kvm', 'bhyve'],
+	    'vm.docker': true, 'vm.traits': { present: true } }), null);
+
+	t.equal(predicate.validate('vm.brand'),
+	    'predicate must be an object');
+	t.equal(predicate.validate({}),
+	    'predicate must have at least one field');
+	t.equal(predicate.validate({ 'server.uuid': 'foo' }),
+	    'predicate field server.uuid must start with vm., img. or pkg.');
+	t.equal(predicate.validate({ 'vm.brand': [] }),
+	    'predicate field vm.brand has an invalid value');
+	t.equal(predicate.validate({ 'vm.brand': { equals: 'kvm' } }),
+	    'predicate field vm.brand has an invalid value');
+
+	t.end();
+});
+
+
+test('predicate description', function (t) {
+	t.equal(predicate.describe({
+		'vm.brand': ['kvm', 'bhyve'],
+		'vm.docker': false,
+		'vm.traits': { present: true }
+	}), 'vm.brand is one of "kvm", "bhyve" and vm.docker is false and ' +
+	    'vm.traits is present');
+
+	t.end();
+});
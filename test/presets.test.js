@@ -0,0 +1,184 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var Allocator = require('../lib/allocator.js');
+var common = require('./common');
+var presets = require('../lib/presets.js');
+var addCommonOpts = require('./algorithms/common.js').addCommonOpts;
+
+
+var OPTS = addCommonOpts({});
+
+var OWNER_UUID = 'b4f66289-c30f-4d29-9645-21f8f939bcb2';
+
+var SERVER_UUIDS = [
+	'00000000-0000-0000-0000-000000000001',
+	'00000000-0000-0000-0000-000000000002',
+	'00000000-0000-0000-0000-000000000003'
+];
+
+var DEFAULTS = {
+	weight_current_platform: 0,
+	weight_next_reboot: 0,
+	weight_uniform_random: 0,
+	filter_headnode: true,
+	filter_min_resources: true,
+	filter_large_servers: true
+};
+
+
+/*
+ * Returns three copies of an example server, with the first having 'numVms'
+ * more VMs belonging to OWNER_UUID. The first two servers are in one rack, and
+ * the third in another.
+ */
+function
+presetServers(numVms)
+{
+	var example = common.getExampleServers()[0];
+
+	var servers = SERVER_UUIDS.map(function (uuid, i) {
+		var server = JSON.parse(JSON.stringify(example));
+		server.uuid = uuid;
+		server.hostname = 'cn' + i;
+		server.rack_identifier = (i < 2 ? 'rack1' : 'rack2');
+		return (server);
+	});
+
+	for (var i = 0; i !== numVms; i++) {
+		var uuid = (i + 1) + '0000000-0000-0000-0000-000000000001';
+
+		servers[0].vms[uuid] = {
+			uuid: uuid,
+			owner_uuid: OWNER_UUID,
+			max_physical_memory: 512,
+			cpu_cap: 100,
+			quota: 10,
+			brand: 'joyent',
+			state: 'running'
+		};
+	}
+
+	return (servers);
+}
+
+
+function
+allocate(description, servers, cb)
+{
+	var allocator = new Allocator(OPTS, description, DEFAULTS);
+
+	var vm = {
+		vm_uuid: '6c5ac296-ff76-4581-8d39-4b3c35484082',
+		owner_uuid: OWNER_UUID,
+		brand: 'joyent',
+		ram: 1024,
+		cpu_cap: 100,
+		quota: 10
+	};
+
+	var img = { requirements: {}, image_size: 0, files: [] };
+
+	var pkg = {
+		max_physical_memory: 1024,
+		cpu_cap: 100,
+		quota: 10240,
+		overprovision_ram: 1,
+		overprovision_disk: 1,
+		overprovision_cpu: 4
+	};
+
+	allocator.allocate(servers, vm, img, pkg, [], cb);
+}
+
+
+test('presets create valid allocators', function (t) {
+	Object.keys(presets.PRESETS).forEach(function (name) {
+		var allocator = new Allocator(OPTS, name, DEFAULTS);
+		t.ok(allocator.allocServerExpr, name);
+	});
+
+	t.deepEqual(Object.keys(presets.PRESETS).sort(),
+	    ['ha', 'pack', 'spread']);
+
+	t.end();
+});
+
+
+test('default preset', function (t) {
+	var allocator = new Allocator(OPTS, undefined, DEFAULTS);
+	var expected = new Allocator(OPTS, presets.DEFAULT_PRESET, DEFAULTS);
+
+	function names(expr) {
+		return (expr.map(function (element) {
+			if (Array.isArray(element))
+				return (names(element));
+			return (element.name || element);
+		}));
+	}
+
+	t.equal(presets.DEFAULT_PRESET, 'spread');
+	t.deepEqual(names(allocator.allocServerExpr),
+	    names(expected.allocServerExpr));
+
+	t.end();
+});
+
+
+test('unknown preset', function (t) {
+	t.throws(function () {
+		return (new Allocator(OPTS, 'cram', DEFAULTS));
+	}, /Bad expression given: Unknown preset: cram/);
+
+	t.end();
+});
+
+
+test('pack preset', function (t) {
+	allocate('pack', presetServers(3), function (err, server) {
+		t.ifError(err);
+
+		// the first server has the least unreserved RAM
+		t.equal(server.uuid, SERVER_UUIDS[0]);
+
+		t.end();
+	});
+});
+
+
+test('spread preset', function (t) {
+	allocate('spread', presetServers(3), function (err, server) {
+		t.ifError(err);
+
+		t.ok(server, 'spread selected a server');
+		t.notEqual(server.uuid, SERVER_UUIDS[0]);
+
+		t.end();
+	});
+});
+
+
+test('ha preset', function (t) {
+	allocate('ha', presetServers(3), function (err, server, steps) {
+		t.ifError(err);
+
+		// the second server shares a rack with the first, so is avoided
+		t.equal(server.uuid, SERVER_UUIDS[2]);
+
+		t.ok(steps.some(function (step) {
+			return (step.step === 'Score servers based on number ' +
+			    'of zones belonging to owner in their rack ' +
+			    '(weight_num_owner_rack_zones=8)');
+		}));
+
+		t.end();
+	});
+});
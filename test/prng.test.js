@@ -0,0 +1,64 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var prng = require('../lib/prng.js');
+
+
+function sequence(random, length) {
+	var numbers = [];
+
+	for (var i = 0; i !== length; i++)
+		numbers.push(random());
+
+	return (numbers);
+}
+
+
+test('same seed gives same sequence', function (t) {
+	var seed = '6c5ac296-ff76-4581-8d39-4b3c35484082';
+
+	t.deepEqual(sequence(prng.createPrng(seed), 20),
+		sequence(prng.createPrng(seed), 20));
+	t.deepEqual(sequence(prng.createPrng(42), 20),
+		sequence(prng.createPrng(42), 20));
+
+	t.end();
+});
+
+
+test('different seeds give different sequences', function (t) {
+	t.notDeepEqual(sequence(prng.createPrng('a'), 20),
+		sequence(prng.createPrng('b'), 20));
+	t.notDeepEqual(sequence(prng.createPrng(1), 20),
+		sequence(prng.createPrng(2), 20));
+
+	t.end();
+});
+
+
+test('numbers are in range [0, 1)', function (t) {
+	var numbers = sequence(prng.createPrng(prng.generateSeed()), 1000);
+
+	numbers.forEach(function (n) {
+		t.ok(n >= 0 && n < 1, n + ' in range');
+	});
+
+	t.end();
+});
+
+
+test('bad seed', function (t) {
+	t.throws(function () {
+		prng.createPrng({});
+	});
+
+	t.end();
+});
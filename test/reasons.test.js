@@ -0,0 +1,100 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var reasons = require('../lib/reasons.js');
+
+
+var SERVER_UUID = '7a8c759c-2a82-4d9b-bed4-7049b71197cb';
+var MESSAGE = 'VM\'s calculated 512 RAM is less than server\'s spare 256';
+
+
+test('create reason', function (t) {
+	t.deepEqual(reasons.create('hard-filter-min-ram', 'InsufficientRam',
+	    MESSAGE, { resource: 'ram', requested: 512, available: 256 }), {
+		code: 'InsufficientRam',
+		plugin: 'hard-filter-min-ram',
+		resource: 'ram',
+		requested: 512,
+		available: 256,
+		message: MESSAGE
+	});
+
+	t.deepEqual(reasons.create('hard-filter-virtual-servers',
+	    'VirtualServer', 'Server is a virtual server - excluding'), {
+		code: 'VirtualServer',
+		plugin: 'hard-filter-virtual-servers',
+		resource: null,
+		requested: null,
+		available: null,
+		message: 'Server is a virtual server - excluding'
+	});
+
+	t.throws(function () {
+		reasons.create('hard-filter-min-ram', 'InsufficientRam');
+	});
+
+	t.end();
+});
+
+
+test('create reason with factory', function (t) {
+	var createReason = reasons.factory('hard-filter-min-ram');
+
+	t.deepEqual(createReason('InsufficientRam', MESSAGE, {
+		resource: 'ram',
+		requested: 512,
+		available: 256
+	}), reasons.create('hard-filter-min-ram', 'InsufficientRam', MESSAGE,
+	    { resource: 'ram', requested: 512, available: 256 }));
+
+	t.end();
+});
+
+
+test('legacy messages', function (t) {
+	var reason = reasons.create('hard-filter-min-ram', 'InsufficientRam',
+	    MESSAGE);
+	var serverReasons = { skip: 'Nothing to do' };
+	serverReasons[SERVER_UUID] = reason;
+
+	t.ok(reasons.isReason(reason));
+	t.notOk(reasons.isReason(MESSAGE));
+	t.notOk(reasons.isReason(null));
+
+	t.equal(reasons.toMessage(reason), MESSAGE);
+	t.equal(reasons.toMessage(MESSAGE), MESSAGE);
+
+	var expected = { skip: 'Nothing to do' };
+	expected[SERVER_UUID] = MESSAGE;
+	t.deepEqual(reasons.toMessages(serverReasons), expected);
+
+	// the original is untouched
+	t.equal(serverReasons[SERVER_UUID], reason);
+
+	t.end();
+});
+
+
+test('pick reason objects', function (t) {
+	var reason = reasons.create('hard-filter-min-ram', 'InsufficientRam',
+	    MESSAGE);
+	var serverReasons = { skip: 'Nothing to do' };
+	serverReasons[SERVER_UUID] = reason;
+
+	var expected = {};
+	expected[SERVER_UUID] = reason;
+	t.deepEqual(reasons.pickDetails(serverReasons), expected);
+
+	t.equal(reasons.pickDetails({ skip: 'Nothing to do' }), null);
+	t.equal(reasons.pickDetails({}), null);
+
+	t.end();
+});
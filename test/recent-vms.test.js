@@ -0,0 +1,82 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var RecentVms = require('../lib/recent-vms.js');
+
+
+var SERVER_UUID = '7f9b1a24-dd28-430e-92ed-604fed51772b';
+var VM = {
+	uuid: 'b3d04682-536f-4f09-8170-1954e45e9e1c',
+	max_physical_memory: 128,
+	quota: 5
+};
+
+
+test('list recent VMs', function (t) {
+	var recentVms = new RecentVms();
+	recentVms.add(SERVER_UUID, VM);
+
+	t.deepEqual(recentVms.list(300), [
+		{ server_uuid: SERVER_UUID, vm: VM }
+	]);
+
+	recentVms.remove(VM.uuid);
+	t.deepEqual(recentVms.list(300), []);
+
+	t.end();
+});
+
+
+test('recent VMs expire', function (t) {
+	var recentVms = new RecentVms();
+	recentVms.add(SERVER_UUID, VM);
+	recentVms.entries[VM.uuid].time -= 301 * 1000;
+
+	t.deepEqual(recentVms.list(300), []);
+	t.deepEqual(recentVms.entries, {});
+
+	t.end();
+});
+
+
+test('recent VMs expire when adding', function (t) {
+	var recentVms = new RecentVms();
+	var vm2 = { uuid: '4bb0c4a4-0a6d-4dc4-9fcf-8e6a2f0d0d27' };
+
+	recentVms.add(SERVER_UUID, VM);
+	recentVms.entries[VM.uuid].time -= 61 * 1000;
+
+	recentVms.add(SERVER_UUID, vm2, 60);
+	t.deepEqual(Object.keys(recentVms.entries), [ vm2.uuid ]);
+
+	// without a TTL, the default is used
+	recentVms.entries[vm2.uuid].time -= (RecentVms.DEFAULT_TTL + 1) * 1000;
+	recentVms.add(SERVER_UUID, VM);
+	t.deepEqual(Object.keys(recentVms.entries), [ VM.uuid ]);
+
+	t.end();
+});
+
+
+test('clone recent VMs', function (t) {
+	var recentVms = new RecentVms();
+	recentVms.add(SERVER_UUID, VM);
+
+	var copy = recentVms.clone();
+	copy.remove(VM.uuid);
+
+	t.deepEqual(copy.list(300), []);
+	t.deepEqual(recentVms.list(300), [
+		{ server_uuid: SERVER_UUID, vm: VM }
+	]);
+
+	t.end();
+});
@@ -0,0 +1,93 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var relaxations = require('../lib/relaxations.js');
+
+
+var LADDER = [
+	{ name: 'ram-1.5', defaults: { overprovision_ratio_ram: 1.5 } },
+	{ name: 'non-strict', set: { 'vm.locality.strict': false } },
+	{ name: 'no-traits', set: { 'vm.traits': null, 'pkg.traits': null } }
+];
+
+
+test('validate relaxations', function (t) {
+	t.equal(relaxations.validate(LADDER), null);
+	t.equal(relaxations.validate([]), null);
+
+	t.equal(relaxations.validate({}), 'is not an array');
+	t.equal(relaxations.validate(['ram-1.5']), 'entry 0 is not an object');
+	t.equal(relaxations.validate([ { set: {} } ]),
+	    'entry 0 does not have a name');
+	t.equal(relaxations.validate([ LADDER[0], LADDER[0] ]),
+	    'entry ram-1.5 is listed more than once');
+	t.equal(relaxations.validate([ { name: 'foo' } ]),
+	    'entry foo has neither defaults nor set');
+	t.equal(relaxations.validate([ { name: 'foo', defaults: [] } ]),
+	    'entry foo defaults is not an object');
+	t.equal(relaxations.validate([ { name: 'foo', set: 'vm.ram' } ]),
+	    'entry foo set is not an object');
+	t.equal(relaxations.validate([ { name: 'foo', set: { ram: 1 } } ]),
+	    'entry foo field ram must start with vm., img. or pkg.');
+	t.equal(relaxations.validate([ { name: 'foo', set: { vm: 1 } } ]),
+	    'entry foo field vm must start with vm., img. or pkg.');
+	t.equal(relaxations.validate([ { name: 'foo', set: {}, when: {} } ]),
+	    'entry foo when: predicate must have at least one field');
+
+	t.end();
+});
+
+
+test('apply relaxations', function (t) {
+	var defaults = { overprovision_ratio_ram: 1, filter_headnode: true };
+	var opts = {
+		vm: { ram: 1024, traits: { ssd: true } },
+		pkg: {},
+		defaults: defaults
+	};
+
+	LADDER.forEach(function (relaxation) {
+		relaxations.apply(relaxation, opts);
+	});
+
+	t.deepEqual(opts, {
+		vm: { ram: 1024, locality: { strict: false } },
+		pkg: {},
+		defaults: { overprovision_ratio_ram: 1.5, filter_headnode: true }
+	});
+
+	// the original defaults are untouched
+	t.deepEqual(defaults,
+	    { overprovision_ratio_ram: 1, filter_headnode: true });
+
+	t.end();
+});
+
+
+test('applicable relaxations', function (t) {
+	var ladder = [
+		LADDER[0],
+		{ name: 'bhyve-only', set: { 'vm.traits': null },
+		    when: { 'vm.brand': 'bhyve' } }
+	];
+
+	t.deepEqual(relaxations.applicable(ladder, { vm: { brand: 'bhyve' } }),
+	    ladder);
+	t.deepEqual(relaxations.applicable(ladder, { vm: { brand: 'kvm' } }),
+	    [ LADDER[0] ]);
+	t.deepEqual(relaxations.applicable(undefined, { vm: {} }), []);
+
+	t.ok(relaxations.isSet(ladder));
+	t.notOk(relaxations.isSet([]));
+	t.notOk(relaxations.isSet(undefined));
+
+	t.end();
+});
@@ -0,0 +1,176 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2019 Joyent, Inc.
+ */
+
+var test = require('tape');
+var reservations = require('../lib/reservations.js');
+var calculateUnreserved =
+    require('../lib/algorithms/shared/unreserved.js').calculateUnreserved;
+
+
+var GiB = 1024 * 1024 * 1024;
+var VM_UUID = 'b3d04682-536f-4f09-8170-1954e45e9e1c';
+// MiB unreserved on an empty server: 94% of its 1000 GiB pool is usable
+var DISK = 962560;
+
+
+/*
+ * An empty server, as calculate-server-unreserved leaves it.
+ */
+function createServer()
+{
+	var server = {
+		uuid: '7f9b1a24-dd28-430e-92ed-604fed51772b',
+		sysinfo: { 'CPU Total Cores': 16 },
+		memory_total_bytes: 64 * GiB,
+		reservation_ratio: 0,
+		disk_pool_size_bytes: 1000 * GiB,
+		disk_pool_alloc_bytes: 0,
+		disk_system_used_bytes: 0,
+		disk_installed_images_used_bytes: 0,
+		disk_cores_quota_used_bytes: 0,
+		disk_zone_quota_bytes: 0,
+		disk_zone_quota_used_bytes: 0,
+		disk_kvm_zvol_volsize_bytes: 0,
+		overprovision_ratios: { ram: 1, disk: 1, cpu: 4 },
+		vms: {}
+	};
+
+	calculateUnreserved(server);
+	return (server);
+}
+
+
+test('add a new KVM VM', function (t) {
+	var server = createServer();
+	var vm = reservations.createVm(VM_UUID, {
+		max_physical_memory: 1024,
+		cpu_cap: 100,
+		quota: 10,
+		brand: 'kvm',
+		disks: [ { image_size: 10240 }, { size: 25600 } ]
+	});
+
+	reservations.addVm(server, vm);
+
+	t.equal(server.unreserved_cpu, 1600 - 100 / 4);
+	t.equal(server.unreserved_ram, 65536 - 1024 - 1024);
+	t.equal(server.disk_zone_quota_bytes, 10 * GiB);
+	t.equal(server.disk_kvm_zvol_volsize_bytes, 25 * GiB);
+	// quota, zvols, and the 10 GiB every KVM VM is charged
+	t.equal(server.unreserved_disk, DISK - (10 + 25 + 10) * 1024);
+	t.equal(vm.zvol_quota, undefined);
+
+	t.end();
+});
+
+
+test('move an existing KVM VM', function (t) {
+	var source = createServer();
+	var target = createServer();
+
+	source.disk_zone_quota_bytes = 10 * GiB;
+	source.disk_kvm_zvol_volsize_bytes = 25 * GiB;
+	source.vms[VM_UUID] = {
+		uuid: VM_UUID,
+		max_physical_memory: 2048,
+		quota: 10,
+		brand: 'kvm',
+		disks: [ { image_size: 10240 }, { size: 25600 } ],
+		state: 'running'
+	};
+	calculateUnreserved(source);
+
+	var vm = reservations.removeVm(source, VM_UUID);
+	reservations.addVm(target, vm);
+
+	t.equal(source.disk_zone_quota_bytes, 0);
+	t.equal(source.disk_kvm_zvol_volsize_bytes, 0);
+	t.equal(source.unreserved_disk, DISK);
+
+	t.equal(target.disk_zone_quota_bytes, 10 * GiB);
+	t.equal(target.disk_kvm_zvol_volsize_bytes, 25 * GiB);
+	t.equal(target.unreserved_disk, DISK - (10 + 25 + 10) * 1024);
+
+	t.end();
+});
+
+
+test('move an existing bhyve VM', function (t) {
+	var source = createServer();
+	var target = createServer();
+
+	// vmadm has already added the zvols to the quota
+	source.disk_zone_quota_bytes = 35 * GiB;
+	source.vms[VM_UUID] = {
+		uuid: VM_UUID,
+		max_physical_memory: 2048,
+		quota: 35,
+		brand: 'bhyve',
+		state: 'running'
+	};
+	calculateUnreserved(source);
+
+	var vm = reservations.removeVm(source, VM_UUID);
+	reservations.addVm(target, vm);
+
+	t.equal(source.disk_zone_quota_bytes, 0);
+	t.equal(source.unreserved_disk, DISK);
+
+	t.equal(target.disk_zone_quota_bytes, 35 * GiB);
+	t.equal(target.disk_kvm_zvol_volsize_bytes, 0);
+	t.equal(target.unreserved_disk, DISK - 35 * 1024);
+	t.equal(vm.quota, 35);
+
+	t.end();
+});
+
+
+test('add and remove a VM without a cpu_cap', function (t) {
+	var server = createServer();
+	var vm = reservations.createVm(VM_UUID, {
+		max_physical_memory: 1024,
+		quota: 10,
+		brand: 'joyent'
+	});
+
+	// it could use every CPU on the server
+	reservations.addVm(server, vm);
+	t.equal(server.unreserved_cpu, 0);
+	t.equal(server.unreserved_ram, 65536 - 1024);
+
+	reservations.removeVm(server, VM_UUID);
+	t.equal(server.unreserved_cpu, 1600);
+	t.equal(server.unreserved_ram, 65536);
+
+	t.end();
+});
+
+
+test('add a VM to a server with little free pool space', function (t) {
+	var server = createServer();
+	server.disk_pool_alloc_bytes = 900 * GiB;
+	calculateUnreserved(server);
+
+	var poolFree = DISK - 900 * 1024;
+	t.equal(server.unreserved_disk, poolFree);
+
+	reservations.addVm(server, reservations.createVm(VM_UUID, {
+		max_physical_memory: 1024,
+		cpu_cap: 100,
+		quota: 10,
+		brand: 'joyent'
+	}));
+
+	// still capped at the free pool space, which the VM hasn't used yet
+	t.equal(server.disk_zone_quota_bytes, 10 * GiB);
+	t.equal(server.unreserved_disk, poolFree);
+
+	t.end();
+});
@@ -604,5 +604,52 @@ test('validate defaults', function (t) {
 	res = validations.validateDefaults(badDefaults);
 	t.ok(res);
 
+	badDefaults = deepCopy(DEFAULTS);
+	badDefaults.random_seed = { foo: 1 };
+	res = validations.validateDefaults(badDefaults);
+	t.equal(res, 'Defaults random_seed is not a number or string');
+
+	var seededDefaults = deepCopy(DEFAULTS);
+	seededDefaults.random_seed = 'd84f8cd6-3e8f-4434-95f1-fc50cafde9e3';
+	t.ifError(validations.validateDefaults(seededDefaults));
+
+	badDefaults = deepCopy(DEFAULTS);
+	badDefaults.plugin_failure_policy = 'ignore';
+	res = validations.validateDefaults(badDefaults);
+	t.equal(res, 'Defaults plugin_failure_policy is not one of fail, ' +
+	    'skip, drop');
+
+	var policyDefaults = deepCopy(DEFAULTS);
+	policyDefaults.plugin_failure_policy = 'skip';
+	policyDefaults.plugin_timeout = 5000;
+	t.ifError(validations.validateDefaults(policyDefaults));
+
+	var relaxedDefaults = deepCopy(DEFAULTS);
+	relaxedDefaults.relaxation_ladder = [
+		{ name: 'ram-1.5', defaults: { overprovision_ratio_ram: 1.5 } },
+		{ name: 'no-traits', set: { 'vm.traits': null } }
+	];
+	t.ifError(validations.validateDefaults(relaxedDefaults));
+
+	badDefaults = deepCopy(relaxedDefaults);
+	badDefaults.relaxation_ladder[1].set = { traits: null };
+	res = validations.validateDefaults(badDefaults);
+	t.equal(res, 'Defaults relaxation_ladder entry no-traits field ' +
+	    'traits must start with vm., img. or pkg.');
+
+	badDefaults = deepCopy(relaxedDefaults);
+	badDefaults.relaxation_ladder[0].defaults.overprovision_ratio_ram = 'a';
+	res = validations.validateDefaults(badDefaults);
+	t.equal(res, 'Defaults relaxation_ladder entry ram-1.5: Defaults ' +
+	    'overprovision_ratio_ram is not a number');
+
+	badDefaults = deepCopy(DEFAULTS);
+	badDefaults.auto_relaxation_ladder = [
+		{ name: 'spread', defaults: { filter_owner_spread: 'no' } }
+	];
+	res = validations.validateDefaults(badDefaults);
+	t.equal(res, 'Defaults auto_relaxation_ladder entry spread: ' +
+	    'Defaults filter_owner_spread is not boolean');
+
 	t.end();
 });